@@ -3,6 +3,8 @@
 const { Command } = require('commander');
 const path = require('path');
 const { buildModels } = require('../src/commands/build');
+const { watchModels } = require('../src/commands/watch');
+const { loadConfig, mergeConfigOptions } = require('../src/parsers/configParser');
 
 const program = new Command();
 
@@ -14,16 +16,54 @@ program
 program
   .command('build')
   .description('Build model files from Prisma schema')
+  .option('-c, --config <path>', 'Path to the config file (default: rapidd.config.js or rapidd.config.json)')
   .option('-s, --schema <path>', 'Path to Prisma schema file', process.env.PRISMA_SCHEMA_PATH || './prisma/schema.prisma')
   .option('-o, --output <path>', 'Output base directory', './')
   .option('-m, --model <name>', 'Generate/update only specific model (e.g., "account", "user")')
-  .option('--only <component>', 'Generate only specific component: "model", "route", "acl", or "relationship"')
+  .option('--only <component>', 'Generate only specific component: "model", "route", "acl", "relationship", "openapi", or "zod"')
   .option('--user-table <name>', 'Name of the user table for ACL (default: auto-detect from user/users)')
+  .option('--offline', 'Read RLS policies and functions from prisma/migrations instead of the database')
+  .option('--sql <paths...>', 'Read RLS policies and functions from these SQL files or directories instead of the database')
+  .option('--role-map <mappings...>', 'Map database roles of policies to user.role values (e.g. admin_role=admin staff=editor,moderator)')
+  .option('--lang <language>', 'Output language: "js" or "ts"', 'js')
+  .option('--module <system>', 'Module system of the generated files: "cjs" or "esm"', 'cjs')
   .option('--debug', 'Enable debug mode (generates acl-mappings.json)')
-  .action(async (options) => {
+  .option('-w, --watch', 'Rebuild the changed models when the schema or the migration SQL changes')
+  .option('--dry-run', 'Print a diff of the generated files instead of writing them')
+  .option('--check', 'Exit with an error when the generated files are out of date, without writing them')
+  .option('--force', 'Overwrite model and route files that have no rapidd:checksum header or were edited outside their custom regions')
+  .action(async (cliOptions, command) => {
+    // Options of the config file, flags passed on the command line take precedence
+    let options;
     try {
-      await buildModels(options);
-      console.log('\n✓ Build completed successfully');
+      const loaded = await loadConfig(cliOptions.config);
+      if (loaded) {
+        console.log(`Using config: ${path.relative(process.cwd(), loaded.configPath)}`);
+      }
+      options = mergeConfigOptions(loaded && loaded.config, cliOptions, (key) => {
+        const source = command.getOptionValueSource(key);
+        return Boolean(source) && source !== 'default';
+      });
+    } catch (error) {
+      console.error('Error building models:', error.message);
+      process.exit(1);
+    }
+
+    if (options.watch && (options.dryRun || options.check)) {
+      console.error('Error building models: --watch cannot be combined with --dry-run or --check');
+      process.exit(1);
+    }
+    if (options.watch) {
+      await watchModels(options);
+      return;
+    }
+    try {
+      const { outputChanges } = await buildModels(options);
+      if (options.check && outputChanges.length > 0) {
+        console.error('\nGenerated files are out of date. Run rapidd build to update them.');
+        process.exit(1);
+      }
+      console.log(options.dryRun || options.check ? '\n✓ Dry run completed, no files were written' : '\n✓ Build completed successfully');
     } catch (error) {
       console.error('Error building models:', error.message);
       process.exit(1);
@@ -1,19 +1,291 @@
 const fs = require('fs');
 const path = require('path');
 const { parsePrismaSchema, parsePrismaDMMF } = require('../parsers/prismaParser');
-const { generateAllModels } = require('../generators/modelGenerator');
-const { generateRelationshipsFromDMMF, generateRelationshipsFromSchema } = require('../generators/relationshipsGenerator');
-const { generateACL } = require('../generators/aclGenerator');
+const { generateAllModels, getEnumValues } = require('../generators/modelGenerator');
+const { generateRelationshipsFromDMMF, generateRelationshipsFromSchema, readRelationshipsFile, writeRelationshipsFile } = require('../generators/relationshipsGenerator');
+const { generateACL, detectUserTable } = require('../generators/aclGenerator');
 const { parseDatasource } = require('../parsers/datasourceParser');
 const { generateAllRoutes } = require('../generators/routeGenerator');
+const { generateOpenAPI } = require('../generators/openapiGenerator');
+const { generateZodSchemas } = require('../generators/zodGenerator');
+const { generateUserContext } = require('../generators/userContextGenerator');
+const { findMigrationFiles, resolveSQLFiles } = require('../parsers/sqlMigrationParser');
+const { addImportExtensions, createLayout } = require('../generators/moduleSyntax');
+const { hasCustomCode, setForce } = require('../generators/customRegions');
+const { setDryRun, outputFileExists, readOutputFile, writeOutputFile, removeOutputFile, getPendingChanges } = require('../utils/outputWriter');
+const { createUnifiedDiff } = require('../utils/diff');
 
 /**
  * Generate src/Model.js base class file
+ * @param {string} modelJsPath - Path to Model.js (Model.ts)
+ * @param {string} lang - Output language: 'js' or 'ts'
+ * @param {string} moduleSystem - Module system: 'cjs' or 'esm'
+ * @param {Object} layout - Optional: output directories from rapidd.config.js (createLayout)
  */
-function generateBaseModelFile(modelJsPath) {
-  const content = `const { QueryBuilder, prisma, prismaTransaction } = require("./QueryBuilder");
+function generateBaseModelFile(modelJsPath, lang = 'js', moduleSystem = 'cjs', layout = null) {
+  const imports = moduleSystem === 'esm'
+    ? `import { createRequire } from 'module';
+import { QueryBuilder, prisma, prismaTransaction } from "./QueryBuilder.js";
+import {acl} from '../rapidd/rapidd.js';
+import {ErrorResponse} from './Api.js';
+
+// JSON imports need import attributes, which older Node versions reject
+const require = createRequire(import.meta.url);
+const relationships = require('../rapidd/relationships.json');`
+    : `const { QueryBuilder, prisma, prismaTransaction } = require("./QueryBuilder");
 const {acl} = require('../rapidd/rapidd');
-const {ErrorResponse} = require('./Api');
+const relationships = require('../rapidd/relationships.json');
+const {ErrorResponse} = require('./Api');`;
+
+  let content = lang === 'ts' ? generateTypeScriptBaseModel() : `${imports}
+
+/**
+ * Collect the records created through nested writes of a payload
+ * ({relation: {create}}, {relation: {createMany: {data}}}, {relation: {connectOrCreate: {create}}}, {relation: {upsert: {create}}}),
+ * including the ones of nested updates ({relation: {update: {data: {other: {create}}}}})
+ * @param {string} modelName
+ * @param {Object} data
+ * @returns {Array<[string, Object]>} - [modelName, record] pairs, including deeper levels
+ */
+function getNestedCreates(modelName, data) {
+    const toArray = (value) => value == null ? [] : (Array.isArray(value) ? value : [value]);
+    // {where, data} of list relations, or the data itself for a to-one relation
+    const updateData = (item) => item?.data && Object.keys(item).every(key => key === 'where' || key === 'data') ? item.data : item;
+    const nested = [];
+
+    for (const [key, value] of Object.entries(data || {})) {
+        const relation = relationships[modelName]?.[key];
+        if (!relation || !value || typeof value !== 'object') continue;
+
+        const records = [
+            ...toArray(value.create),
+            ...toArray(value.createMany?.data),
+            ...toArray(value.connectOrCreate).map(item => item?.create),
+            ...toArray(value.upsert).map(item => item?.create)
+        ];
+        for (const record of records) {
+            nested.push([relation.object, record], ...getNestedCreates(relation.object, record));
+        }
+
+        const updates = [
+            ...toArray(value.update).map(updateData),
+            ...toArray(value.upsert).map(item => item?.update)
+        ];
+        for (const update of updates) {
+            nested.push(...getNestedCreates(relation.object, update));
+        }
+    }
+
+    return nested;
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Coerce a primary key value (e.g. a route param) to the type of the @id field
+ * @param {*} value
+ * @param {{name: string, type: string, format?: string}} primaryKey - Key field
+ * @returns {*} - The coerced value, or undefined when it is not valid for the field
+ */
+function coerceId(value, primaryKey) {
+    if (value == null || value === '') return undefined;
+
+    switch (primaryKey.type) {
+        case 'Int': {
+            const number = Number(value);
+            return Number.isSafeInteger(number) ? number : undefined;
+        }
+        case 'BigInt':
+            try {
+                return BigInt(value);
+            } catch (error) {
+                return undefined;
+            }
+        case 'Float':
+        case 'Decimal': {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : undefined;
+        }
+        default: {
+            const string = String(value);
+            if (primaryKey.format === 'uuid' && !UUID_PATTERN.test(string)) return undefined;
+            return string;
+        }
+    }
+}
+
+const NUMERIC_UPDATES = ['set', 'increment', 'decrement', 'multiply', 'divide'];
+
+/**
+ * Check a single value against a validation rule
+ * @param {Object} rule - Rule of the field (see validatePayload)
+ * @param {*} value
+ * @returns {Object|null} - {error, ...details}, or null when the value is valid
+ */
+function validateValue(rule, value) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return {error: 'invalid_type', expected: 'string'};
+            if (rule.format === 'uuid' && !UUID_PATTERN.test(value)) return {error: 'invalid_format', expected: 'uuid'};
+            if (rule.maxLength && value.length > rule.maxLength) return {error: 'too_long', maxLength: rule.maxLength};
+            return null;
+        case 'integer':
+            return Number.isSafeInteger(value) ? null : {error: 'invalid_type', expected: 'integer'};
+        case 'bigint':
+            return Number.isSafeInteger(value) || typeof value === 'bigint' || /^-?\\d+$/.test(value)
+                ? null : {error: 'invalid_type', expected: 'integer'};
+        case 'number':
+            return Number.isFinite(value) ? null : {error: 'invalid_type', expected: 'number'};
+        case 'decimal':
+            return Number.isFinite(value) || (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)))
+                ? null : {error: 'invalid_type', expected: 'decimal'};
+        case 'boolean':
+            return typeof value === 'boolean' ? null : {error: 'invalid_type', expected: 'boolean'};
+        case 'datetime':
+            return (value instanceof Date || typeof value === 'string') && !isNaN(new Date(value).getTime())
+                ? null : {error: 'invalid_type', expected: 'datetime'};
+        case 'enum':
+            return rule.values.includes(value) ? null : {error: 'invalid_value', values: rule.values};
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check a create or update payload against the validationSchema of a model
+ * @param {Object} schema - {field: {type, required?, nullable?, isArray?, readOnly?, maxLength?, format?, values?, relationField?}},
+ *                          relation fields are {relation: '<Model>'} and not checked (nested writes)
+ * @param {*} data - Payload
+ * @param {boolean} partial - Update payload: missing required fields are allowed, and so are
+ *                            Prisma's update operations ({set}, {increment}, ...)
+ * @returns {Array<Object>} - {field, error, ...details} for every offending field
+ */
+function validatePayload(schema, data, partial = false) {
+    if (data == null || typeof data !== 'object' || Array.isArray(data)) {
+        return [{field: null, error: 'invalid_payload'}];
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        if (rule.relation) continue;
+
+        let value = data[field];
+        if (value === undefined) {
+            // A foreign key can be replaced by connecting its relation
+            if (rule.required && !partial && !(rule.relationField && data[rule.relationField] !== undefined)) {
+                errors.push({field, error: 'required'});
+            }
+            continue;
+        }
+        if (rule.readOnly) {
+            errors.push({field, error: 'read_only'});
+            continue;
+        }
+
+        if (partial && value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && rule.type !== 'json') {
+            const [operation, ...others] = Object.keys(value);
+            const numeric = ['integer', 'bigint', 'number', 'decimal'].includes(rule.type) && !rule.isArray;
+            if (others.length > 0 || !(operation === 'set' || (numeric && NUMERIC_UPDATES.includes(operation)))) {
+                errors.push({field, error: 'invalid_type', expected: rule.isArray ? \`\${rule.type}[]\` : rule.type});
+                continue;
+            }
+            value = value[operation];
+        }
+
+        if (value === null) {
+            if (!rule.nullable) errors.push({field, error: 'not_nullable'});
+            continue;
+        }
+        if (rule.isArray && !Array.isArray(value)) {
+            errors.push({field, error: 'invalid_type', expected: \`\${rule.type}[]\`});
+            continue;
+        }
+
+        const error = (rule.isArray ? value : [value]).map(item => validateValue(rule, item)).find(Boolean);
+        if (error) {
+            errors.push({field, ...error});
+        }
+    }
+
+    for (const field of Object.keys(data)) {
+        if (!schema[field]) {
+            errors.push({field, error: 'unknown_field'});
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Apply a Prisma update operation ({set}, {increment}, ...) to the current value of a field
+ * @returns {*} - The new value, or undefined for an unknown operation
+ */
+function applyUpdateOperation(value, operation, operand) {
+    if (operation === 'set') return operand;
+    if (!NUMERIC_UPDATES.includes(operation)) return undefined;
+    // Arithmetic on NULL stays NULL
+    if (value == null) return value;
+
+    const bigint = typeof value === 'bigint';
+    const current = bigint ? value : Number(value);
+    const change = bigint ? BigInt(operand) : Number(operand);
+    switch (operation) {
+        case 'increment': return current + change;
+        case 'decrement': return current - change;
+        case 'multiply': return current * change;
+        default: return current / change;
+    }
+}
+
+/**
+ * Record an update results in, to check it against the update policies (WITH CHECK)
+ * Relations that own a foreign key are resolved to their key columns ({connect: {id}}, {disconnect: true}),
+ * update operations are applied to the current values
+ * @param {string} modelName
+ * @param {Object} schema - validationSchema of the model
+ * @param {Object} current - Record before the update
+ * @param {Object} data - Update payload
+ * @returns {Object|null} - The updated record, or null when the payload changes a foreign key in a way
+ *                          that isn't known before the update (nested create, connect by another unique field, ...)
+ */
+function getUpdatedRecord(modelName, schema, current, data) {
+    const record = {...current};
+
+    for (const [field, value] of Object.entries(data || {})) {
+        const rule = schema?.[field];
+        if (rule?.relation || (!rule && relationships[modelName]?.[field])) {
+            // The related model owns the key: the record itself doesn't change
+            if (rule && !rule.fields) continue;
+            if (!rule || !value || typeof value !== 'object') return null;
+
+            for (const [operation, argument] of Object.entries(value)) {
+                if (operation === 'connect' && rule.references.every(key => argument?.[key] !== undefined)) {
+                    rule.fields.forEach((key, index) => record[key] = argument[rule.references[index]]);
+                }
+                else if (operation === 'disconnect' && argument === true) {
+                    rule.fields.forEach(key => record[key] = null);
+                }
+                // Nested updates change the related record, not the key
+                else if (operation !== 'update') {
+                    return null;
+                }
+            }
+            continue;
+        }
+
+        if (rule && rule.type !== 'json' && value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+            const [operation, ...others] = Object.keys(value);
+            const updated = applyUpdateOperation(current[field], operation, value[operation]);
+            if (others.length > 0 || updated === undefined) return null;
+            record[field] = updated;
+            continue;
+        }
+
+        record[field] = value;
+    }
+
+    return record;
+}
 
 class Model {
     /**
@@ -22,6 +294,8 @@ class Model {
          */
     constructor(name, options){
         this.modelName = name;
+        this.primaryKey = this.constructor.primaryKey || {'name': 'id', 'type': 'Int'};
+        this.keyFields = this.primaryKey.fields || [this.primaryKey];
         this.queryBuilder = new QueryBuilder(name);
         this.acl = acl.model[name] || {};
         this.options = options || {}
@@ -32,12 +306,39 @@ class Model {
     _select = (fields) => this.queryBuilder.select(fields);
     _filter = (q) => this.queryBuilder.filter(q);
     _include = (include) => this.queryBuilder.include(include, this.user);
+    _parseId = (id) => {
+        if (!this.primaryKey.fields) {
+            const value = coerceId(id, this.primaryKey);
+            if (value === undefined) {
+                throw new ErrorResponse(400, "invalid_id", {[this.primaryKey.name]: id, modelName: this.constructor.name});
+            }
+            return value;
+        }
+
+        // Compound key: {course_id, student_id} or [course_id, student_id]
+        const values = Array.isArray(id) ? id : this.keyFields.map(field => id?.[field.name]);
+        return Object.fromEntries(this.keyFields.map((field, index) => {
+            const value = coerceId(values[index], field);
+            if (value === undefined) {
+                throw new ErrorResponse(400, "invalid_id", {[field.name]: values[index], modelName: this.constructor.name});
+            }
+            return [field.name, value];
+        }));
+    };
+    // Unique selector, e.g. {id: 1} or {course_id_student_id: {course_id: 1, student_id: 2}}
+    _whereId = (id) => ({[this.primaryKey.name]: id});
+    _selectId = () => Object.fromEntries(this.keyFields.map(field => [field.name, true]));
     // ACL METHODS
-    _canCreate = () => this.acl.canCreate(this.user);
+    _canCreate = (data) => this.acl.canCreate(this.user, data);
     _getAccessFilter = () => this.acl.getAccessFilter?.(this.user);
     _getUpdateFilter = () => this.acl.getUpdateFilter(this.user);
+    _canUpdateTo = (data) => this.acl.canUpdateTo(this.user, data);
     _getDeleteFilter = () => this.acl.getDeleteFilter(this.user);
-    _omit = () => this.queryBuilder.omit(this.user);
+    _getOmitFields = () => this.acl.getOmitFields?.(this.user) || [];
+    _omit = () => ({
+        ...this.queryBuilder.omit(this.user),
+        ...Object.fromEntries(this.getOmitFields().map(field => [field, true]))
+    });
 
     /**
      *
@@ -49,7 +350,7 @@ class Model {
      * @param {'asc'|'desc'} sortOrder
      * @returns {Promise<Object[]>}
      */
-    _getMany = async (q = {}, include = "", limit = 25, offset = 0, sortBy = "id", sortOrder = "asc", options = {})=>{
+    _getMany = async (q = {}, include = "", limit = 25, offset = 0, sortBy = this.keyFields[0].name, sortOrder = "asc", options = {})=>{
         const take = this.take(Number(limit));
         const skip = this.skip(Number(offset));
 
@@ -59,6 +360,11 @@ class Model {
             throw new ErrorResponse(400, "invalid_sort_field", {sortBy, modelName: this.constructor.name});
         }
 
+        // No policy grants access: nothing to list
+        if (this.getAccessFilter() === false) {
+            return {data: [], meta: {take, skip, total: 0}};
+        }
+
         // Query the database using Prisma with filters, pagination, and limits
         const [data, total] = await prismaTransaction([
             (tx) => tx[this.name].findMany({
@@ -77,46 +383,43 @@ class Model {
         return {data, meta: {take, skip, total}};
     }
     /**
-     * @param {number} id
+     * @param {number|string|bigint|Object} id - Value of the @id field, or {field: value} for a compound key
      * @param {string | Object} include
      * @returns {Promise<{} | null>}
      */
     _get = async (id, include, options = {}) =>{
         const {omit, ..._options} = options;
-        id = Number(id);
+        id = this._parseId(id);
         // To determine if the record is inaccessible, either due to non-existence or insufficient permissions, two simultaneous queries are performed.
         const _response = this.prisma.findUnique({
-            'where': {
-                'id': id
-            },
+            'where': this._whereId(id),
             'include': this.include(include),
             'omit': {...this._omit(), ...omit},
             ..._options
         });
 
-        const _checkPermission = this.prisma.findUnique({
+        const accessFilter = this.getAccessFilter();
+        const _checkPermission = accessFilter === false ? null : this.prisma.findUnique({
             'where': {
-                'id': id,
-                ...this.getAccessFilter()
+                ...this._whereId(id),
+                ...accessFilter
             },
-            'select': {
-                'id': true
-            }
+            'select': this._selectId()
         });
 
         const [response, checkPermission] = await Promise.all([_response, _checkPermission]);
         if(response){
             if(checkPermission){
-                if(response.id != checkExistence?.id){   // IN CASE access_filter CONTAINS id FIELD
-                    throw new ErrorResponse(getTranslation("no_permission"), 403);
+                if(this.keyFields.some(field => response[field.name] != checkPermission?.[field.name])){   // IN CASE access_filter CONTAINS id FIELD
+                    throw new ErrorResponse(403, "no_permission");
                 }
             }
             else{
-                throw new ErrorResponse(getTranslation("no_permission"), 403);
+                throw new ErrorResponse(403, "no_permission");
             }
         }
         else{
-            throw new ErrorResponse(getTranslation("record_not_found"), 404);
+            throw new ErrorResponse(404, "record_not_found");
         }
         return response;
     }
@@ -125,29 +428,30 @@ class Model {
      * @returns {Promise<Object>}
      */
     _create = async (data, options = {}) => {
-        // CHECK CREATE PERMISSION
-        if (!this.canCreate()) {
-            throw new ErrorResponse(403, "no_permission_to_create");
-        }
-
         // VALIDATE PASSED FIELDS AND RELATIONSHIPS
         this.queryBuilder.create(data, this.user_id);
 
+        // CHECK CREATE PERMISSION (WITH CHECK) ON THE RECORD AND EVERY NESTED RECORD
+        if (!this.canCreate(data, await this.loadCheckRelations(data))) {
+            throw new ErrorResponse(403, "no_permission_to_create");
+        }
+
         // CREATE
         return await this.prisma.create({
             'data': data,
             'include': this.include('ALL'),
+            'omit': this._omit(),
             ...options
         });
     }
 
     /**
-     * @param {number} id
+     * @param {number|string|bigint|Object} id - Value of the @id field, or {field: value} for a compound key
      * @param {{}} data
      * @returns {Promise<Object>}
      */
     _update = async (id, data, options = {}) => {
-        id = Number(id);
+        id = this._parseId(id);
 
         // CHECK UPDATE PERMISSION
         const updateFilter = this.getUpdateFilter();
@@ -155,15 +459,35 @@ class Model {
             throw new ErrorResponse(403, "no_permission_to_update");
         }
 
+        // CHECK CREATE PERMISSION (WITH CHECK) ON EVERY RECORD CREATED THROUGH NESTED WRITES
+        if (!this.canCreateNested(data)) {
+            throw new ErrorResponse(403, "no_permission_to_create");
+        }
+
+        // CHECK THE UPDATED RECORD AGAINST THE UPDATE POLICIES (WITH CHECK)
+        if (this.acl.canUpdateTo && this.user.role != "application") {
+            const current = await this.prisma.findUnique({
+                'where': {
+                    ...this._whereId(id),
+                    ...updateFilter
+                }
+            });
+            const updated = current && getUpdatedRecord(this.name, this.constructor.validationSchema, current, data);
+            if (!updated || !this.canUpdateTo(await this.loadCheckRelations(updated, this._whereId(id)))) {
+                throw new ErrorResponse(403, "no_permission_to_update");
+            }
+        }
+
         // VALIDATE PASSED FIELDS AND RELATIONSHIPS
         this.queryBuilder.update(id, data, this.user_id);
         const response = await this.prisma.update({
             'where': {
-                'id': id,
+                ...this._whereId(id),
                 ...updateFilter
             },
             'data': data,
             'include': this.include('ALL'),
+            'omit': this._omit(),
             ...options
         });
         if(response){
@@ -178,17 +502,20 @@ class Model {
      * @returns {Promise<number>}
      */
     _count = async (q = {}) => {
+        if (this.getAccessFilter() === false) {
+            return 0;
+        }
         return await this.prisma.count({
             'where': this.filter(q)
         });
     }
 
     /**
-     * @param {number} id
+     * @param {number|string|bigint|Object} id - Value of the @id field, or {field: value} for a compound key
      * @returns {Promise<Object>}
      */
     _delete = async (id, options = {}) => {
-        id = Number(id);
+        id = this._parseId(id);
 
         // CHECK DELETE PERMISSION
         const deleteFilter = this.getDeleteFilter();
@@ -198,7 +525,7 @@ class Model {
 
         const response = await this.prisma.delete({
             'where': {
-                id: parseInt(id),
+                ...this._whereId(id),
                 ...deleteFilter
             },
             'select': this.select(),
@@ -220,25 +547,25 @@ class Model {
      * @param {'asc'|'desc'} sortOrder
      * @returns {Promise<Object[]>}
      */
-    async getMany(q = {}, include = "", limit = 25, offset = 0, sortBy = "id", sortOrder = "asc"){
+    async getMany(q = {}, include = "", limit = 25, offset = 0, sortBy = this.keyFields[0].name, sortOrder = "asc"){
         return await this._getMany(q, include, Number(limit), Number(offset), sortBy, sortOrder);
     }
     /**
-     * @param {number} id
+     * @param {number|string|bigint|Object} id - Value of the @id field, or {field: value} for a compound key
      * @param {string | Object} include
      * @returns {Promise<{} | null>}
      */
     async get(id, include, options = {}){
-        return await this._get(Number(id), include, options);
+        return await this._get(id, include, options);
     }
 
     /**
-     * @param {number} id
+     * @param {number|string|bigint|Object} id - Value of the @id field, or {field: value} for a compound key
      * @param {{}} data
      * @returns {Promise<Object>}
      */
     async update(id, data, options = {}){
-        return await this._update(Number(id), data, options);
+        return await this._update(id, data, options);
     }
 
     /**
@@ -251,18 +578,26 @@ class Model {
     }
 
     /**
-     * @param {number} id
+     * @param {number|string|bigint|Object} id - Value of the @id field, or {field: value} for a compound key
      * @returns {Promise<Object>}
      */
     async delete(id, data, options = {}){
-        return await this._delete(Number(id), data, options);
+        return await this._delete(id, data, options);
     }
 
     select(fields){
         return this._select(fields);
     }
+    /**
+     * Query filter restricted to the records the user can access
+     * @throws {ErrorResponse} 403 no_permission when no policy grants access
+     */
     filter(include){
-        return {...this._filter(include), ...this.getAccessFilter()};
+        const accessFilter = this.getAccessFilter();
+        if (accessFilter === false) {
+            throw new ErrorResponse(403, "no_permission");
+        }
+        return {...this._filter(include), ...accessFilter};
     }
     include(include){
         return this._include(include);
@@ -282,24 +617,94 @@ class Model {
     }
 
     /**
-     *
-     * @returns {Object}
+     * Check a payload against the validationSchema of the model (generated from the Prisma schema)
+     * @param {Object} data - Create or update payload
+     * @param {boolean} partial - true for update payloads
+     * @throws {ErrorResponse} 400 invalid_payload with every offending field
+     */
+    validate(data, partial = false){
+        const schema = this.constructor.validationSchema;
+        if (!schema) return;
+
+        const errors = validatePayload(schema, data, partial);
+        if (errors.length > 0) {
+            throw new ErrorResponse(400, "invalid_payload", {errors, modelName: this.constructor.name});
+        }
+    }
+
+    /**
+     * Get access filter for ACL
+     * @returns {Object|false} - false when no policy grants access
      */
     getAccessFilter(){
-        const filter = this._getAccessFilter()
-        if(this.user.role == "application" || filter === true){
+        const filter = this._getAccessFilter();
+        if(this.user.role == "application" || filter === true || filter === undefined){
             return {};
         }
-        return this._getAccessFilter();
+        return filter;
+    }
+
+    /**
+     * Check if user can create a record, including records created through nested writes
+     * @param {Object} data - Create payload
+     * @param {Object} record - The payload with the related records the policies read (loadCheckRelations)
+     * @returns {boolean}
+     */
+    canCreate(data = {}, record = data) {
+        if(this.user.role == "application") return true;
+        return this._canCreate(record) && this.canCreateNested(data);
+    }
+
+    /**
+     * Add the related records canCreate and canUpdateTo read through relation subqueries (acl checkInclude) to a record.
+     * Relations this record holds the foreign key of are looked up by the key, the others are read with the stored record
+     * (a record that is being created has none yet)
+     * @param {Object} record - Create payload, or the record an update results in
+     * @param {Object} where - Unique selector of the stored record, null for creates
+     * @returns {Promise<Object>} - Copy of the record with the related records
+     */
+    async loadCheckRelations(record, where = null) {
+        const include = this.acl.checkInclude;
+        if (!include || this.user.role == "application") return record;
+
+        const schema = this.constructor.validationSchema || {};
+        const checked = {...record};
+        const stored = {};
+        for (const [relationName, options] of Object.entries(include)) {
+            const rule = schema[relationName];
+            delete checked[relationName];
+            if (!rule?.fields) {
+                if (where) stored[relationName] = options;
+                continue;
+            }
+
+            // {relation: {connect: {...}}} sets the key like the key field itself
+            const connect = record[relationName]?.connect;
+            const keys = rule.fields.map((field, index) => connect ? connect[rule.references[index]] : record[field]);
+            if (keys.some(key => key === undefined)) continue;
+            checked[relationName] = keys.includes(null) ? null : await prisma[rule.relation].findFirst({
+                'where': Object.fromEntries(rule.references.map((key, index) => [key, keys[index]])),
+                ...(options === true ? {} : options)
+            });
+        }
+
+        if (Object.keys(stored).length > 0) {
+            Object.assign(checked, await this.prisma.findUnique({'where': where, 'select': stored}));
+        }
+        return checked;
     }
 
     /**
-     * Check if user can create records
+     * Check if user can create the records of the nested writes of a create or update payload
+     * @param {Object} data - Create or update payload
      * @returns {boolean}
      */
-    canCreate() {
+    canCreateNested(data = {}) {
         if(this.user.role == "application") return true;
-        return this._canCreate();
+        return getNestedCreates(this.name, data).every(([modelName, record]) => {
+            const canCreate = acl.model[modelName]?.canCreate;
+            return !canCreate || canCreate(this.user, record);
+        });
     }
 
     /**
@@ -314,6 +719,25 @@ class Model {
         return filter;
     }
 
+    /**
+     * Check if the record resulting from an update is still allowed
+     * @param {Object} data - Current record merged with the update payload
+     * @returns {boolean}
+     */
+    canUpdateTo(data) {
+        if(this.user.role == "application") return true;
+        return this._canUpdateTo(data);
+    }
+
+    /**
+     * Fields hidden from the user (column privileges and @rapidd.omit annotations)
+     * @returns {string[]}
+     */
+    getOmitFields(){
+        if(this.user.role == "application") return [];
+        return this._getOmitFields();
+    }
+
     /**
      * Get delete filter for ACL
      * @returns {Object|false}
@@ -332,39 +756,1079 @@ class Model {
         this.fields = this.prisma.fields;
     }
 
-    static relatedObjects = [];
-    static Error = ErrorResponse;
-}
+    static relatedObjects = [];
+    static Error = ErrorResponse;
+}
+
+${moduleSystem === 'esm' ? 'export' : 'module.exports ='} {Model, QueryBuilder, prisma};
+`;
+  if (layout) {
+    content = layout.relocate(content, 'src');
+  }
+  if (lang === 'ts' && moduleSystem === 'esm') {
+    content = addImportExtensions(content);
+  }
+
+  writeOutputFile(modelJsPath, content);
+  console.log(`✓ Generated src/${path.basename(modelJsPath)}`);
+}
+
+/**
+ * Source of src/Model.ts, the typed counterpart of the base Model class
+ * Subclasses pass their Prisma record, WhereInput, CreateInput and UpdateInput types
+ * @returns {string}
+ */
+function generateTypeScriptBaseModel() {
+  return `import { QueryBuilder, prisma, prismaTransaction } from "./QueryBuilder";
+import {acl} from '../rapidd/rapidd';
+import type {AclModel, User} from '../rapidd/acl';
+import {relationships} from '../rapidd/relationships';
+import {ErrorResponse} from './Api';
+
+export type Query = string | Record<string, unknown>;
+export type Include = string | Record<string, unknown>;
+export type KeyValue = number | string | bigint;
+export type Id = KeyValue | Record<string, KeyValue> | KeyValue[];
+
+export interface KeyField {
+    name: string;
+    type: string;
+    format?: string;
+}
+
+/**
+ * Single @id field ({name, type, format}) or composite key ({name: compound selector, fields})
+ */
+export interface PrimaryKey {
+    name: string;
+    type?: string;
+    format?: string;
+    fields?: KeyField[];
+}
+
+export interface ModelOptions {
+    user?: object;
+}
+
+export interface ListResult<T> {
+    data: T[];
+    meta: {take: number, skip: number, total: number};
+}
+
+/**
+ * Payload rule of a field, generated from the Prisma schema
+ */
+export interface ValidationRule {
+    type?: 'string' | 'integer' | 'bigint' | 'number' | 'decimal' | 'boolean' | 'datetime' | 'enum' | 'json' | 'bytes';
+    required?: boolean;
+    nullable?: boolean;
+    isArray?: boolean;
+    readOnly?: boolean;
+    maxLength?: number;
+    format?: string;
+    values?: string[];
+    relationField?: string;
+    relation?: string;
+    fields?: string[];
+    references?: string[];
+}
+
+export type ValidationSchema = Record<string, ValidationRule>;
+
+export interface ValidationError {
+    field: string | null;
+    error: string;
+    [detail: string]: unknown;
+}
+
+/**
+ * Collect the records created through nested writes of a payload
+ * ({relation: {create}}, {relation: {createMany: {data}}}, {relation: {connectOrCreate: {create}}}, {relation: {upsert: {create}}}),
+ * including the ones of nested updates ({relation: {update: {data: {other: {create}}}}})
+ * @returns [modelName, record] pairs, including deeper levels
+ */
+function getNestedCreates(modelName: string, data: Record<string, any>): Array<[string, Record<string, any>]> {
+    const toArray = (value: any): any[] => value == null ? [] : (Array.isArray(value) ? value : [value]);
+    // {where, data} of list relations, or the data itself for a to-one relation
+    const updateData = (item: any) => item?.data && Object.keys(item).every(key => key === 'where' || key === 'data') ? item.data : item;
+    const nested: Array<[string, Record<string, any>]> = [];
+
+    for (const [key, value] of Object.entries(data || {})) {
+        const relation = relationships[modelName]?.[key];
+        if (!relation || !value || typeof value !== 'object') continue;
+
+        const records = [
+            ...toArray(value.create),
+            ...toArray(value.createMany?.data),
+            ...toArray(value.connectOrCreate).map((item: any) => item?.create),
+            ...toArray(value.upsert).map((item: any) => item?.create)
+        ];
+        for (const record of records) {
+            nested.push([relation.object, record], ...getNestedCreates(relation.object, record));
+        }
+
+        const updates = [
+            ...toArray(value.update).map(updateData),
+            ...toArray(value.upsert).map((item: any) => item?.update)
+        ];
+        for (const update of updates) {
+            nested.push(...getNestedCreates(relation.object, update));
+        }
+    }
+
+    return nested;
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Coerce a primary key value (e.g. a route param) to the type of the @id field
+ * @returns The coerced value, or undefined when it is not valid for the field
+ */
+function coerceId(value: unknown, primaryKey: KeyField): KeyValue | undefined {
+    if (value == null || value === '') return undefined;
+
+    switch (primaryKey.type) {
+        case 'Int': {
+            const number = Number(value);
+            return Number.isSafeInteger(number) ? number : undefined;
+        }
+        case 'BigInt':
+            try {
+                return BigInt(value as string | number | bigint);
+            } catch (error) {
+                return undefined;
+            }
+        case 'Float':
+        case 'Decimal': {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : undefined;
+        }
+        default: {
+            const string = String(value);
+            if (primaryKey.format === 'uuid' && !UUID_PATTERN.test(string)) return undefined;
+            return string;
+        }
+    }
+}
+
+const NUMERIC_UPDATES = ['set', 'increment', 'decrement', 'multiply', 'divide'];
+
+/**
+ * Check a single value against a validation rule
+ * @returns {error, ...details}, or null when the value is valid
+ */
+function validateValue(rule: ValidationRule, value: unknown): Record<string, unknown> | null {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return {error: 'invalid_type', expected: 'string'};
+            if (rule.format === 'uuid' && !UUID_PATTERN.test(value)) return {error: 'invalid_format', expected: 'uuid'};
+            if (rule.maxLength && value.length > rule.maxLength) return {error: 'too_long', maxLength: rule.maxLength};
+            return null;
+        case 'integer':
+            return Number.isSafeInteger(value) ? null : {error: 'invalid_type', expected: 'integer'};
+        case 'bigint':
+            return Number.isSafeInteger(value) || typeof value === 'bigint' || (typeof value === 'string' && /^-?\\d+$/.test(value))
+                ? null : {error: 'invalid_type', expected: 'integer'};
+        case 'number':
+            return Number.isFinite(value) ? null : {error: 'invalid_type', expected: 'number'};
+        case 'decimal':
+            return Number.isFinite(value) || (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)))
+                ? null : {error: 'invalid_type', expected: 'decimal'};
+        case 'boolean':
+            return typeof value === 'boolean' ? null : {error: 'invalid_type', expected: 'boolean'};
+        case 'datetime':
+            return (value instanceof Date || typeof value === 'string') && !isNaN(new Date(value).getTime())
+                ? null : {error: 'invalid_type', expected: 'datetime'};
+        case 'enum':
+            return rule.values?.includes(value as string) ? null : {error: 'invalid_value', values: rule.values};
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check a create or update payload against the validationSchema of a model
+ * Relation fields are not checked (nested writes)
+ * @param partial - Update payload: missing required fields are allowed, and so are
+ *                  Prisma's update operations ({set}, {increment}, ...)
+ * @returns {field, error, ...details} for every offending field
+ */
+function validatePayload(schema: ValidationSchema, data: unknown, partial = false): ValidationError[] {
+    if (data == null || typeof data !== 'object' || Array.isArray(data)) {
+        return [{field: null, error: 'invalid_payload'}];
+    }
+
+    const payload = data as Record<string, unknown>;
+    const errors: ValidationError[] = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        if (rule.relation) continue;
+
+        let value = payload[field];
+        if (value === undefined) {
+            // A foreign key can be replaced by connecting its relation
+            if (rule.required && !partial && !(rule.relationField && payload[rule.relationField] !== undefined)) {
+                errors.push({field, error: 'required'});
+            }
+            continue;
+        }
+        if (rule.readOnly) {
+            errors.push({field, error: 'read_only'});
+            continue;
+        }
+
+        if (partial && value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && rule.type !== 'json') {
+            const [operation, ...others] = Object.keys(value);
+            const numeric = ['integer', 'bigint', 'number', 'decimal'].includes(rule.type as string) && !rule.isArray;
+            if (others.length > 0 || !(operation === 'set' || (numeric && NUMERIC_UPDATES.includes(operation)))) {
+                errors.push({field, error: 'invalid_type', expected: rule.isArray ? \`\${rule.type}[]\` : rule.type});
+                continue;
+            }
+            value = (value as Record<string, unknown>)[operation];
+        }
+
+        if (value === null) {
+            if (!rule.nullable) errors.push({field, error: 'not_nullable'});
+            continue;
+        }
+        if (rule.isArray && !Array.isArray(value)) {
+            errors.push({field, error: 'invalid_type', expected: \`\${rule.type}[]\`});
+            continue;
+        }
+
+        const error = (rule.isArray ? value as unknown[] : [value]).map(item => validateValue(rule, item)).find(Boolean);
+        if (error) {
+            errors.push({field, ...error} as ValidationError);
+        }
+    }
+
+    for (const field of Object.keys(payload)) {
+        if (!schema[field]) {
+            errors.push({field, error: 'unknown_field'});
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Apply a Prisma update operation ({set}, {increment}, ...) to the current value of a field
+ * @returns The new value, or undefined for an unknown operation
+ */
+function applyUpdateOperation(value: any, operation: string, operand: any): any {
+    if (operation === 'set') return operand;
+    if (!NUMERIC_UPDATES.includes(operation)) return undefined;
+    // Arithmetic on NULL stays NULL
+    if (value == null) return value;
+
+    if (typeof value === 'bigint') {
+        const change = BigInt(operand);
+        switch (operation) {
+            case 'increment': return value + change;
+            case 'decrement': return value - change;
+            case 'multiply': return value * change;
+            default: return value / change;
+        }
+    }
+    const current = Number(value);
+    const change = Number(operand);
+    switch (operation) {
+        case 'increment': return current + change;
+        case 'decrement': return current - change;
+        case 'multiply': return current * change;
+        default: return current / change;
+    }
+}
+
+/**
+ * Record an update results in, to check it against the update policies (WITH CHECK)
+ * Relations that own a foreign key are resolved to their key columns ({connect: {id}}, {disconnect: true}),
+ * update operations are applied to the current values
+ * @returns The updated record, or null when the payload changes a foreign key in a way
+ *          that isn't known before the update (nested create, connect by another unique field, ...)
+ */
+function getUpdatedRecord(modelName: string, schema: ValidationSchema | undefined, current: Record<string, any>, data: Record<string, any>): Record<string, any> | null {
+    const record: Record<string, any> = {...current};
+
+    for (const [field, value] of Object.entries(data || {})) {
+        const rule = schema?.[field];
+        if (rule?.relation || (!rule && relationships[modelName]?.[field])) {
+            // The related model owns the key: the record itself doesn't change
+            if (rule && !rule.fields) continue;
+            if (!rule?.fields || !rule.references || !value || typeof value !== 'object') return null;
+            const { fields, references } = rule;
+
+            for (const [operation, argument] of Object.entries(value as Record<string, any>)) {
+                if (operation === 'connect' && references.every(key => argument?.[key] !== undefined)) {
+                    fields.forEach((key, index) => record[key] = argument[references[index]]);
+                }
+                else if (operation === 'disconnect' && argument === true) {
+                    fields.forEach(key => record[key] = null);
+                }
+                // Nested updates change the related record, not the key
+                else if (operation !== 'update') {
+                    return null;
+                }
+            }
+            continue;
+        }
+
+        if (rule && rule.type !== 'json' && value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+            const [operation, ...others] = Object.keys(value);
+            const updated = applyUpdateOperation(current[field], operation, value[operation]);
+            if (others.length > 0 || updated === undefined) return null;
+            record[field] = updated;
+            continue;
+        }
+
+        record[field] = value;
+    }
+
+    return record;
+}
+
+class Model<T = Record<string, any>, WhereInput = Record<string, any>, CreateInput = Record<string, any>, UpdateInput = Record<string, any>> {
+    static primaryKey?: PrimaryKey;
+    static validationSchema?: ValidationSchema;
+    static relatedObjects: string[] = [];
+    static Error = ErrorResponse;
+
+    declare name: string;
+    declare prisma: any;
+    declare fields: Record<string, unknown>;
+    primaryKey: PrimaryKey;
+    keyFields: KeyField[];
+    queryBuilder: QueryBuilder;
+    acl: Partial<AclModel<User, WhereInput>>;
+    options: ModelOptions;
+    user: User;
+    user_id: unknown;
+
+    constructor(name: string, options?: ModelOptions){
+        this.modelName = name;
+        this.primaryKey = (this.constructor as typeof Model).primaryKey || {'name': 'id', 'type': 'Int'};
+        this.keyFields = this.primaryKey.fields || [this.primaryKey as KeyField];
+        this.queryBuilder = new QueryBuilder(name);
+        this.acl = acl.model[name] || {};
+        this.options = options || {};
+        this.user = (this.options.user as User) || {'id': 1, 'role': 'application'};
+        this.user_id = this.user ? this.user.id : null;
+    }
+
+    _select = (fields?: unknown) => this.queryBuilder.select(fields);
+    _filter = (q: Query): WhereInput => this.queryBuilder.filter(q);
+    _include = (include: Include) => this.queryBuilder.include(include, this.user);
+    _parseId = (id: Id): KeyValue | Record<string, KeyValue> => {
+        if (!this.primaryKey.fields) {
+            const value = coerceId(id, this.primaryKey as KeyField);
+            if (value === undefined) {
+                throw new ErrorResponse(400, "invalid_id", {[this.primaryKey.name]: id, modelName: this.constructor.name});
+            }
+            return value;
+        }
+
+        // Compound key: {course_id, student_id} or [course_id, student_id]
+        const values = Array.isArray(id) ? id : this.keyFields.map(field => (id as Record<string, KeyValue>)?.[field.name]);
+        return Object.fromEntries(this.keyFields.map((field, index) => {
+            const value = coerceId(values[index], field);
+            if (value === undefined) {
+                throw new ErrorResponse(400, "invalid_id", {[field.name]: values[index], modelName: this.constructor.name});
+            }
+            return [field.name, value];
+        }));
+    };
+    // Unique selector, e.g. {id: 1} or {course_id_student_id: {course_id: 1, student_id: 2}}
+    _whereId = (id: KeyValue | Record<string, KeyValue>) => ({[this.primaryKey.name]: id});
+    _selectId = () => Object.fromEntries(this.keyFields.map(field => [field.name, true]));
+    // ACL METHODS
+    _canCreate = (data: Record<string, any>): boolean => this.acl.canCreate!(this.user, data);
+    _getAccessFilter = (): WhereInput | boolean | undefined => this.acl.getAccessFilter?.(this.user);
+    _getUpdateFilter = (): WhereInput | boolean => this.acl.getUpdateFilter!(this.user);
+    _canUpdateTo = (data: Record<string, any>): boolean => this.acl.canUpdateTo!(this.user, data);
+    _getDeleteFilter = (): WhereInput | boolean => this.acl.getDeleteFilter!(this.user);
+    _getOmitFields = (): string[] => this.acl.getOmitFields?.(this.user) || [];
+    _omit = (): Record<string, boolean> => ({
+        ...this.queryBuilder.omit(this.user),
+        ...Object.fromEntries(this.getOmitFields().map(field => [field, true]))
+    });
+
+    _getMany = async (q: Query = {}, include: Include = "", limit = 25, offset = 0, sortBy = this.keyFields[0].name, sortOrder: 'asc' | 'desc' = "asc", options: Record<string, unknown> = {}): Promise<ListResult<T>> =>{
+        const take = this.take(Number(limit));
+        const skip = this.skip(Number(offset));
+
+        sortBy = sortBy.trim();
+        sortOrder = sortOrder.trim() as 'asc' | 'desc';
+        if (!sortBy.includes('.') && this.fields[sortBy] == undefined) {
+            throw new ErrorResponse(400, "invalid_sort_field", {sortBy, modelName: this.constructor.name});
+        }
+
+        // No policy grants access: nothing to list
+        if (this.getAccessFilter() === false) {
+            return {data: [], meta: {take, skip, total: 0}};
+        }
+
+        // Query the database using Prisma with filters, pagination, and limits
+        const [data, total] = await prismaTransaction([
+            (tx: any) => tx[this.name].findMany({
+                'where': this.filter(q),
+                'include': this.include(include),
+                'take': take,
+                'skip': skip,
+                'orderBy': this.sort(sortBy, sortOrder),
+                'omit': this._omit(),
+                ...options
+            }),
+            (tx: any) => tx[this.name].count({
+                'where': this.filter(q)
+            })
+        ]);
+        return {data, meta: {take, skip, total}};
+    }
+
+    /**
+     * @param id - Value of the @id field, or {field: value} for a compound key
+     */
+    _get = async (id: Id, include?: Include, options: Record<string, any> = {}): Promise<T> =>{
+        const {omit, ..._options} = options;
+        const key = this._parseId(id);
+        // To determine if the record is inaccessible, either due to non-existence or insufficient permissions, two simultaneous queries are performed.
+        const _response = this.prisma.findUnique({
+            'where': this._whereId(key),
+            'include': this.include(include),
+            'omit': {...this._omit(), ...omit},
+            ..._options
+        });
+
+        const accessFilter = this.getAccessFilter();
+        const _checkPermission = accessFilter === false ? null : this.prisma.findUnique({
+            'where': {
+                ...this._whereId(key),
+                ...accessFilter
+            },
+            'select': this._selectId()
+        });
+
+        const [response, checkPermission] = await Promise.all([_response, _checkPermission]);
+        if(response){
+            if(checkPermission){
+                if(this.keyFields.some(field => response[field.name] != checkPermission?.[field.name])){   // IN CASE access_filter CONTAINS id FIELD
+                    throw new ErrorResponse(403, "no_permission");
+                }
+            }
+            else{
+                throw new ErrorResponse(403, "no_permission");
+            }
+        }
+        else{
+            throw new ErrorResponse(404, "record_not_found");
+        }
+        return response;
+    }
+
+    _create = async (data: CreateInput, options: Record<string, unknown> = {}): Promise<T> => {
+        // VALIDATE PASSED FIELDS AND RELATIONSHIPS
+        this.queryBuilder.create(data, this.user_id);
+
+        // CHECK CREATE PERMISSION (WITH CHECK) ON THE RECORD AND EVERY NESTED RECORD
+        if (!this.canCreate(data as Record<string, any>, await this.loadCheckRelations(data as Record<string, any>))) {
+            throw new ErrorResponse(403, "no_permission_to_create");
+        }
+
+        // CREATE
+        return await this.prisma.create({
+            'data': data,
+            'include': this.include('ALL'),
+            'omit': this._omit(),
+            ...options
+        });
+    }
+
+    /**
+     * @param id - Value of the @id field, or {field: value} for a compound key
+     */
+    _update = async (id: Id, data: UpdateInput, options: Record<string, unknown> = {}): Promise<T> => {
+        const key = this._parseId(id);
+
+        // CHECK UPDATE PERMISSION
+        const updateFilter = this.getUpdateFilter();
+        if (updateFilter === false) {
+            throw new ErrorResponse(403, "no_permission_to_update");
+        }
+
+        // CHECK CREATE PERMISSION (WITH CHECK) ON EVERY RECORD CREATED THROUGH NESTED WRITES
+        if (!this.canCreateNested(data as Record<string, any>)) {
+            throw new ErrorResponse(403, "no_permission_to_create");
+        }
+
+        // CHECK THE UPDATED RECORD AGAINST THE UPDATE POLICIES (WITH CHECK)
+        if (this.acl.canUpdateTo && this.user.role != "application") {
+            const current = await this.prisma.findUnique({
+                'where': {
+                    ...this._whereId(key),
+                    ...updateFilter
+                }
+            });
+            const updated = current && getUpdatedRecord(this.name, (this.constructor as typeof Model).validationSchema, current, data as Record<string, any>);
+            if (!updated || !this.canUpdateTo(await this.loadCheckRelations(updated, this._whereId(key)))) {
+                throw new ErrorResponse(403, "no_permission_to_update");
+            }
+        }
+
+        // VALIDATE PASSED FIELDS AND RELATIONSHIPS
+        this.queryBuilder.update(key, data, this.user_id);
+        const response = await this.prisma.update({
+            'where': {
+                ...this._whereId(key),
+                ...updateFilter
+            },
+            'data': data,
+            'include': this.include('ALL'),
+            'omit': this._omit(),
+            ...options
+        });
+        if(response){
+            return response;
+        }
+        throw new ErrorResponse(403, "no_permission");
+    }
+
+    _count = async (q: Query = {}): Promise<number> => {
+        if (this.getAccessFilter() === false) {
+            return 0;
+        }
+        return await this.prisma.count({
+            'where': this.filter(q)
+        });
+    }
+
+    /**
+     * @param id - Value of the @id field, or {field: value} for a compound key
+     */
+    _delete = async (id: Id, options: Record<string, unknown> = {}): Promise<T> => {
+        const key = this._parseId(id);
+
+        // CHECK DELETE PERMISSION
+        const deleteFilter = this.getDeleteFilter();
+        if (deleteFilter === false) {
+            throw new ErrorResponse(403, "no_permission_to_delete");
+        }
+
+        const response = await this.prisma.delete({
+            'where': {
+                ...this._whereId(key),
+                ...deleteFilter
+            },
+            'select': this.select(),
+            ...options
+        });
+        if(response){
+            return response;
+        }
+        throw new ErrorResponse(403, "no_permission");
+    }
+
+    async getMany(q: Query = {}, include: Include = "", limit: number | string = 25, offset: number | string = 0, sortBy = this.keyFields[0].name, sortOrder: 'asc' | 'desc' = "asc"): Promise<ListResult<T>>{
+        return await this._getMany(q, include, Number(limit), Number(offset), sortBy, sortOrder);
+    }
+
+    async get(id: Id, include?: Include, options: Record<string, unknown> = {}): Promise<T>{
+        return await this._get(id, include, options);
+    }
+
+    async update(id: Id, data: UpdateInput, options: Record<string, unknown> = {}): Promise<T>{
+        return await this._update(id, data, options);
+    }
+
+    async count(q: Query = {}): Promise<number> {
+        return await this._count(q);
+    }
+
+    async delete(id: Id, options: Record<string, unknown> = {}): Promise<T>{
+        return await this._delete(id, options);
+    }
+
+    select(fields?: unknown){
+        return this._select(fields);
+    }
+    /**
+     * Query filter restricted to the records the user can access
+     * @throws ErrorResponse 403 no_permission when no policy grants access
+     */
+    filter(include: Query): WhereInput{
+        const accessFilter = this.getAccessFilter();
+        if (accessFilter === false) {
+            throw new ErrorResponse(403, "no_permission");
+        }
+        return {...this._filter(include), ...accessFilter};
+    }
+    include(include?: Include){
+        return this._include(include ?? "");
+    }
+    sort(sortBy: string, sortOrder: 'asc' | 'desc') {
+        return this.queryBuilder.sort(sortBy, sortOrder);
+    }
+    take(limit: number){
+        return this.queryBuilder.take(Number(limit));
+    }
+    skip(offset: number | string){
+        const parsed = parseInt(String(offset));
+        if(isNaN(parsed) || parsed < 0){
+            return 0;
+        }
+        return parsed;
+    }
+
+    /**
+     * Check a payload against the validationSchema of the model (generated from the Prisma schema)
+     * @param partial - true for update payloads
+     * @throws ErrorResponse 400 invalid_payload with every offending field
+     */
+    validate(data: unknown, partial = false): void {
+        const schema = (this.constructor as typeof Model).validationSchema;
+        if (!schema) return;
+
+        const errors = validatePayload(schema, data, partial);
+        if (errors.length > 0) {
+            throw new ErrorResponse(400, "invalid_payload", {errors, modelName: this.constructor.name});
+        }
+    }
+
+    /**
+     * Get access filter for ACL, false when no policy grants access
+     */
+    getAccessFilter(): WhereInput | {} | false {
+        const filter = this._getAccessFilter();
+        if(this.user.role == "application" || filter === true || filter === undefined){
+            return {};
+        }
+        return filter;
+    }
+
+    /**
+     * Check if user can create a record, including records created through nested writes
+     * @param record - The payload with the related records the policies read (loadCheckRelations)
+     */
+    canCreate(data: Record<string, any> = {}, record: Record<string, any> = data): boolean {
+        if(this.user.role == "application") return true;
+        return this._canCreate(record) && this.canCreateNested(data);
+    }
+
+    /**
+     * Add the related records canCreate and canUpdateTo read through relation subqueries (acl checkInclude) to a record.
+     * Relations this record holds the foreign key of are looked up by the key, the others are read with the stored record
+     * (a record that is being created has none yet)
+     * @param record - Create payload, or the record an update results in
+     * @param where - Unique selector of the stored record, null for creates
+     */
+    async loadCheckRelations(record: Record<string, any>, where: Record<string, unknown> | null = null): Promise<Record<string, any>> {
+        const include = this.acl.checkInclude;
+        if (!include || this.user.role == "application") return record;
+
+        const schema = (this.constructor as typeof Model).validationSchema || {};
+        const checked: Record<string, any> = {...record};
+        const stored: Record<string, unknown> = {};
+        for (const [relationName, options] of Object.entries(include)) {
+            const rule = schema[relationName];
+            delete checked[relationName];
+            if (!rule?.relation || !rule.fields || !rule.references) {
+                if (where) stored[relationName] = options;
+                continue;
+            }
+
+            // {relation: {connect: {...}}} sets the key like the key field itself
+            const references = rule.references;
+            const connect = record[relationName]?.connect;
+            const keys = rule.fields.map((field, index) => connect ? connect[references[index]] : record[field]);
+            if (keys.some(key => key === undefined)) continue;
+            checked[relationName] = keys.includes(null) ? null : await (prisma as any)[rule.relation].findFirst({
+                'where': Object.fromEntries(references.map((key, index) => [key, keys[index]])),
+                ...(options === true ? {} : options as Record<string, unknown>)
+            });
+        }
+
+        if (Object.keys(stored).length > 0) {
+            Object.assign(checked, await this.prisma.findUnique({'where': where, 'select': stored}));
+        }
+        return checked;
+    }
+
+    /**
+     * Check if user can create the records of the nested writes of a create or update payload
+     */
+    canCreateNested(data: Record<string, any> = {}): boolean {
+        if(this.user.role == "application") return true;
+        return getNestedCreates(this.name, data).every(([modelName, record]) => {
+            const canCreate = acl.model[modelName]?.canCreate;
+            return !canCreate || canCreate(this.user, record);
+        });
+    }
+
+    getUpdateFilter(): WhereInput | {} | false {
+        const filter = this._getUpdateFilter();
+        if(this.user.role == "application" || filter === true){
+            return {};
+        }
+        return filter;
+    }
+
+    /**
+     * Check if the record resulting from an update is still allowed
+     * @param data - Current record merged with the update payload
+     */
+    canUpdateTo(data: Record<string, any>): boolean {
+        if(this.user.role == "application") return true;
+        return this._canUpdateTo(data);
+    }
+
+    /**
+     * Fields hidden from the user (column privileges and @rapidd.omit annotations)
+     */
+    getOmitFields(): string[] {
+        if(this.user.role == "application") return [];
+        return this._getOmitFields();
+    }
+
+    getDeleteFilter(): WhereInput | {} | false {
+        const filter = this._getDeleteFilter();
+        if(this.user.role == "application" || filter === true){
+            return {};
+        }
+        return filter;
+    }
+
+    set modelName (name: string){
+        this.name = name;
+        this.prisma = (prisma as any)[name];
+        this.fields = this.prisma.fields;
+    }
+}
+
+export {Model, QueryBuilder, prisma};
+`;
+}
+
+/**
+ * Generate rapidd/rapidd.js file
+ * @param {string} rapiddJsPath - Path to rapidd.js (rapidd.ts)
+ * @param {boolean} isPostgreSQL - Whether the database is PostgreSQL
+ * @param {string} lang - Output language: 'js' or 'ts'
+ * @param {string} moduleSystem - Module system: 'cjs' or 'esm'
+ * @param {Object} layout - Optional: output directories from rapidd.config.js (createLayout)
+ */
+function generateRapiddFile(rapiddJsPath, isPostgreSQL = true, lang = 'js', moduleSystem = 'cjs', layout = null) {
+  const esm = moduleSystem === 'esm';
+  const exportKeyword = esm ? 'export' : 'module.exports =';
+  let content;
+
+  if (lang === 'ts') {
+    content = generateTypeScriptRapiddFile(isPostgreSQL);
+    if (esm) {
+      content = addImportExtensions(content);
+    }
+  } else if (isPostgreSQL) {
+    // PostgreSQL version with RLS support
+    content = `${esm ? `import { PrismaClient } from '../prisma/client/index.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import acl from './acl.js';
+import { loadUserContext } from './userContext.js';` : `const { PrismaClient } = require('../prisma/client');
+const { AsyncLocalStorage } = require('async_hooks');
+const acl = require('./acl');
+const { loadUserContext } = require('./userContext');`}
+
+// Request Context Storage
+const requestContext = new AsyncLocalStorage();
+
+// RLS Configuration aus Environment Variables
+const RLS_CONFIG = {
+    namespace: process.env.RLS_NAMESPACE || 'app',
+    userId: process.env.RLS_USER_ID || 'current_user_id',
+    userRole: process.env.RLS_USER_ROLE || 'current_user_role',
+};
+
+// Basis Prisma Client
+const basePrisma = new PrismaClient({
+    log: process.env.NODE_ENV === 'development' ? ['query', 'error', 'warn'] : ['error'],
+});
+
+/**
+ * FIXED: Setze RLS Session Variables in PostgreSQL
+ * Execute each SET command separately to avoid prepared statement error
+ */
+async function setRLSVariables(tx, userId, userRole) {
+    const namespace = RLS_CONFIG.namespace;
+    const userIdVar = RLS_CONFIG.userId;
+    const userRoleVar = RLS_CONFIG.userRole;
+
+    // Execute SET commands separately (PostgreSQL doesn't allow multiple commands in prepared statements)
+    await tx.$executeRawUnsafe(\`SET LOCAL "\${namespace}"."\${userIdVar}" = '\${userId}'\`);
+    await tx.$executeRawUnsafe(\`SET LOCAL "\${namespace}"."\${userRoleVar}" = '\${userRole}'\`);
+}
+
+// FIXED: Erweiterter Prisma mit automatischer RLS
+const prisma = basePrisma.$extends({
+    query: {
+        async $allOperations({ operation, args, query, model }) {
+            const context = requestContext.getStore();
+
+            // Kein Context = keine RLS (z.B. System-Operationen)
+            if (!context?.userId || !context?.userRole) {
+                return query(args);
+            }
+
+            const { userId, userRole } = context;
+
+            // IMPORTANT: The entire operation must happen in ONE transaction
+            // We need to wrap the ENTIRE query execution in a single transaction
+
+            // For operations that are already transactions, just set the variables
+            if (operation === '$transaction') {
+                return basePrisma.$transaction(async (tx) => {
+                    await setRLSVariables(tx, userId, userRole);
+                    return query(args);
+                });
+            }
+
+            // For regular operations, wrap in transaction with RLS
+            return basePrisma.$transaction(async (tx) => {
+                // Set session variables
+                await setRLSVariables(tx, userId, userRole);
+
+                // Execute the original query using the transaction client
+                // This is the key: we need to use the transaction client for the query
+                if (model) {
+                    // Model query (e.g., user.findMany())
+                    return tx[model][operation](args);
+                } else {
+                    // Raw query or special operation
+                    return tx[operation](args);
+                }
+            });
+        },
+    },
+});
+
+// Helper for batch operations in single transaction
+async function prismaTransaction(operations) {
+    const context = requestContext.getStore();
+    
+    if (!context?.userId || !context?.userRole) {
+        return Promise.all(operations);
+    }
+    
+    return basePrisma.$transaction(async (tx) => {
+        await setRLSVariables(tx, context.userId, context.userRole);
+        return Promise.all(operations.map(op => op(tx)));
+    });
+}
+
+// Alternative approach: Manual transaction wrapper
+class PrismaWithRLS {
+    constructor() {
+        this.client = basePrisma;
+    }
+
+    /**
+     * Execute any Prisma operation with RLS context
+     */
+    async withRLS(userId, userRole, callback) {
+        return this.client.$transaction(async (tx) => {
+            // Execute SET commands separately to avoid prepared statement error
+            await tx.$executeRawUnsafe(\`SET LOCAL app.current_user_id = '\${userId}'\`);
+            await tx.$executeRawUnsafe(\`SET LOCAL app.current_user_role = '\${userRole}'\`);
+
+            // Execute callback with transaction client
+            return callback(tx);
+        });
+    }
+
+    /**
+     * Get a proxy client for a specific user
+     * This wraps ALL operations in RLS context
+     */
+    forUser(userId, userRole) {
+        const withRLS = this.withRLS.bind(this);
+        const client = this.client;
+
+        return new Proxy({}, {
+            get(target, model) {
+                // Return a proxy for the model
+                return new Proxy({}, {
+                    get(modelTarget, operation) {
+                        // Return a function that wraps the operation
+                        return async (args) => {
+                            return withRLS(userId, userRole, async (tx) => {
+                                return tx[model][operation](args);
+                            });
+                        };
+                    }
+                });
+            }
+        });
+    }
+}
+
+const prismaWithRLS = new PrismaWithRLS();
+
+/**
+ * Express Middleware: Set RLS context from authenticated user
+ * Loads the fields and related records the ACL reads into req.user first (see userContext.js)
+ */
+function setRLSContext(req, res, next) {
+    if (req.user) {
+        loadUserContext(basePrisma, req.user).then(() => {
+            // Set context for async operations
+            requestContext.run(
+                {
+                    userId: req.user.id,
+                    userRole: req.user.role
+                },
+                () => next()
+            );
+        }, next);
+    } else {
+        next();
+    }
+}
+
+/**
+ * Helper: System-Operationen ohne RLS (für Cron-Jobs, etc.)
+ */
+async function withSystemAccess(callback) {
+    // For system access, we might not want RLS at all
+    // So we use the base client directly
+    return callback(basePrisma);
+}
+
+/**
+ * Helper: Als bestimmter User ausführen (für Tests)
+ */
+async function withUser(userId, userRole, callback) {
+    return requestContext.run({ userId, userRole }, () => callback());
+}
+
+/**
+ * Helper: Direct transaction with RLS for complex operations
+ */
+async function transactionWithRLS(userId, userRole, callback) {
+    return basePrisma.$transaction(async (tx) => {
+        // Set RLS context for this transaction - execute separately
+        await tx.$executeRawUnsafe(\`SET LOCAL app.current_user_id = '\${userId}'\`);
+        await tx.$executeRawUnsafe(\`SET LOCAL app.current_user_role = '\${userRole}'\`);
+
+        // Execute callback with transaction client
+        return callback(tx);
+    });
+}
+
+/**
+ * Helper: Hole RLS Config (für SQL Generation)
+ */
+function getRLSConfig() {
+    return RLS_CONFIG;
+}
+
+// Example usage in route
+/*
+app.get('/api/users', authenticateUser, setRLSContext, async (req, res) => {
+    // Option 1: Using extended prisma (automatic RLS)
+    const users = await prisma.user.findMany();
+
+    // Option 2: Using manual transaction
+    const users = await transactionWithRLS(req.user.id, req.user.role, async (tx) => {
+        return tx.user.findMany();
+    });
+
+    // Option 3: Using forUser helper
+    const userPrisma = prismaWithRLS.forUser(req.user.id, req.user.role);
+    const users = await userPrisma.user.findMany();
+
+    res.json(users);
+});
+*/
+
+${exportKeyword} {
+    prisma,
+    prismaTransaction,
+    basePrisma, // Export base for auth operations that don't need RLS
+    PrismaClient,
+    requestContext,
+    setRLSContext,
+    withSystemAccess,
+    withUser,
+    transactionWithRLS,
+    prismaWithRLS,
+    getRLSConfig,
+    setRLSVariables,
+    loadUserContext,
+    acl
+};
+`;
+  } else {
+    // Non-PostgreSQL version (MySQL, SQLite, etc.) - simplified without RLS
+    content = `${esm ? `import { PrismaClient } from '../prisma/client/index.js';
+import acl from './acl.js';` : `const { PrismaClient } = require('../prisma/client');
+const acl = require('./acl');`}
+
+// Standard Prisma Client
+const prisma = new PrismaClient({
+    log: process.env.NODE_ENV === 'development' ? ['query', 'error', 'warn'] : ['error'],
+});
 
-module.exports = {Model, QueryBuilder, prisma};
-`;
+const prismaTransaction = async (operations) => prisma.$transaction(async (tx) => {
+    return Promise.all(operations.map(op => op(tx)));
+});
 
-  // Ensure src directory exists
-  const srcDir = path.dirname(modelJsPath);
-  if (!fs.existsSync(srcDir)) {
-    fs.mkdirSync(srcDir, { recursive: true });
+${exportKeyword} {
+    prisma,
+    prismaTransaction,
+    PrismaClient,
+    acl
+};
+`;
   }
 
-  fs.writeFileSync(modelJsPath, content);
-  console.log('✓ Generated src/Model.js');
+  if (layout) {
+    content = layout.relocate(content, 'rapidd');
+  }
+  writeOutputFile(rapiddJsPath, content);
+  console.log(`✓ Generated rapidd/${path.basename(rapiddJsPath)}`);
 }
 
 /**
- * Generate rapidd/rapidd.js file
- * @param {string} rapiddJsPath - Path to rapidd.js
+ * Source of rapidd/rapidd.ts
  * @param {boolean} isPostgreSQL - Whether the database is PostgreSQL
+ * @returns {string}
  */
-function generateRapiddFile(rapiddJsPath, isPostgreSQL = true) {
-  let content;
-
+function generateTypeScriptRapiddFile(isPostgreSQL) {
   if (isPostgreSQL) {
     // PostgreSQL version with RLS support
-    content = `const { PrismaClient } = require('../prisma/client');
-const { AsyncLocalStorage } = require('async_hooks');
-const acl = require('./acl');
+    return `import { PrismaClient } from '../prisma/client';
+import { AsyncLocalStorage } from 'async_hooks';
+import type { Request, Response, NextFunction } from 'express';
+import acl from './acl';
+import { loadUserContext } from './userContext';
+
+// Properties the authentication middleware and the Api response helpers add to Express
+declare global {
+    namespace Express {
+        interface Request {
+            user?: Record<string, any>;
+        }
+        interface Response {
+            sendList(data: unknown[], meta: object): this;
+            sendResponse(status_code: number, message: string, data?: unknown): this;
+            sendError(status_code: number, message: string, data?: unknown): this;
+        }
+    }
+}
+
+interface RLSContext {
+    userId: unknown;
+    userRole: unknown;
+}
 
 // Request Context Storage
-const requestContext = new AsyncLocalStorage();
+const requestContext = new AsyncLocalStorage<RLSContext>();
 
 // RLS Configuration aus Environment Variables
 const RLS_CONFIG = {
@@ -378,11 +1842,13 @@ const basePrisma = new PrismaClient({
     log: process.env.NODE_ENV === 'development' ? ['query', 'error', 'warn'] : ['error'],
 });
 
+type TransactionClient = Parameters<Parameters<typeof basePrisma.$transaction>[0]>[0];
+
 /**
  * FIXED: Setze RLS Session Variables in PostgreSQL
  * Execute each SET command separately to avoid prepared statement error
  */
-async function setRLSVariables(tx, userId, userRole) {
+async function setRLSVariables(tx: TransactionClient, userId: unknown, userRole: unknown): Promise<void> {
     const namespace = RLS_CONFIG.namespace;
     const userIdVar = RLS_CONFIG.userId;
     const userRoleVar = RLS_CONFIG.userRole;
@@ -409,7 +1875,7 @@ const prisma = basePrisma.$extends({
             // We need to wrap the ENTIRE query execution in a single transaction
 
             // For operations that are already transactions, just set the variables
-            if (operation === '$transaction') {
+            if ((operation as string) === '$transaction') {
                 return basePrisma.$transaction(async (tx) => {
                     await setRLSVariables(tx, userId, userRole);
                     return query(args);
@@ -425,10 +1891,10 @@ const prisma = basePrisma.$extends({
                 // This is the key: we need to use the transaction client for the query
                 if (model) {
                     // Model query (e.g., user.findMany())
-                    return tx[model][operation](args);
+                    return (tx as any)[model][operation](args);
                 } else {
                     // Raw query or special operation
-                    return tx[operation](args);
+                    return (tx as any)[operation](args);
                 }
             });
         },
@@ -436,13 +1902,13 @@ const prisma = basePrisma.$extends({
 });
 
 // Helper for batch operations in single transaction
-async function prismaTransaction(operations) {
+async function prismaTransaction(operations: Array<(tx: TransactionClient) => Promise<any>>): Promise<any[]> {
     const context = requestContext.getStore();
-    
+
     if (!context?.userId || !context?.userRole) {
-        return Promise.all(operations);
+        return Promise.all(operations.map(op => op(basePrisma)));
     }
-    
+
     return basePrisma.$transaction(async (tx) => {
         await setRLSVariables(tx, context.userId, context.userRole);
         return Promise.all(operations.map(op => op(tx)));
@@ -451,6 +1917,8 @@ async function prismaTransaction(operations) {
 
 // Alternative approach: Manual transaction wrapper
 class PrismaWithRLS {
+    client: PrismaClient;
+
     constructor() {
         this.client = basePrisma;
     }
@@ -458,7 +1926,7 @@ class PrismaWithRLS {
     /**
      * Execute any Prisma operation with RLS context
      */
-    async withRLS(userId, userRole, callback) {
+    async withRLS<R>(userId: unknown, userRole: unknown, callback: (tx: TransactionClient) => Promise<R>): Promise<R> {
         return this.client.$transaction(async (tx) => {
             // Execute SET commands separately to avoid prepared statement error
             await tx.$executeRawUnsafe(\`SET LOCAL app.current_user_id = '\${userId}'\`);
@@ -473,19 +1941,18 @@ class PrismaWithRLS {
      * Get a proxy client for a specific user
      * This wraps ALL operations in RLS context
      */
-    forUser(userId, userRole) {
+    forUser(userId: unknown, userRole: unknown): any {
         const withRLS = this.withRLS.bind(this);
-        const client = this.client;
 
         return new Proxy({}, {
-            get(target, model) {
+            get(target, model: string) {
                 // Return a proxy for the model
                 return new Proxy({}, {
-                    get(modelTarget, operation) {
+                    get(modelTarget, operation: string) {
                         // Return a function that wraps the operation
-                        return async (args) => {
+                        return async (args: unknown) => {
                             return withRLS(userId, userRole, async (tx) => {
-                                return tx[model][operation](args);
+                                return (tx as any)[model][operation](args);
                             });
                         };
                     }
@@ -499,17 +1966,21 @@ const prismaWithRLS = new PrismaWithRLS();
 
 /**
  * Express Middleware: Set RLS context from authenticated user
+ * Loads the fields and related records the ACL reads into req.user first (see userContext.ts)
  */
-function setRLSContext(req, res, next) {
-    if (req.user) {
-        // Set context for async operations
-        requestContext.run(
-            {
-                userId: req.user.id,
-                userRole: req.user.role
-            },
-            () => next()
-        );
+function setRLSContext(req: Request, res: Response, next: NextFunction): void {
+    const user = req.user;
+    if (user) {
+        loadUserContext(basePrisma, user).then(() => {
+            // Set context for async operations
+            requestContext.run(
+                {
+                    userId: user.id,
+                    userRole: user.role
+                },
+                () => next()
+            );
+        }, next);
     } else {
         next();
     }
@@ -518,7 +1989,7 @@ function setRLSContext(req, res, next) {
 /**
  * Helper: System-Operationen ohne RLS (für Cron-Jobs, etc.)
  */
-async function withSystemAccess(callback) {
+async function withSystemAccess<R>(callback: (client: PrismaClient) => Promise<R>): Promise<R> {
     // For system access, we might not want RLS at all
     // So we use the base client directly
     return callback(basePrisma);
@@ -527,14 +1998,14 @@ async function withSystemAccess(callback) {
 /**
  * Helper: Als bestimmter User ausführen (für Tests)
  */
-async function withUser(userId, userRole, callback) {
+async function withUser<R>(userId: unknown, userRole: unknown, callback: () => Promise<R>): Promise<R> {
     return requestContext.run({ userId, userRole }, () => callback());
 }
 
 /**
  * Helper: Direct transaction with RLS for complex operations
  */
-async function transactionWithRLS(userId, userRole, callback) {
+async function transactionWithRLS<R>(userId: unknown, userRole: unknown, callback: (tx: TransactionClient) => Promise<R>): Promise<R> {
     return basePrisma.$transaction(async (tx) => {
         // Set RLS context for this transaction - execute separately
         await tx.$executeRawUnsafe(\`SET LOCAL app.current_user_id = '\${userId}'\`);
@@ -548,30 +2019,11 @@ async function transactionWithRLS(userId, userRole, callback) {
 /**
  * Helper: Hole RLS Config (für SQL Generation)
  */
-function getRLSConfig() {
+function getRLSConfig(): typeof RLS_CONFIG {
     return RLS_CONFIG;
 }
 
-// Example usage in route
-/*
-app.get('/api/users', authenticateUser, setRLSContext, async (req, res) => {
-    // Option 1: Using extended prisma (automatic RLS)
-    const users = await prisma.user.findMany();
-
-    // Option 2: Using manual transaction
-    const users = await transactionWithRLS(req.user.id, req.user.role, async (tx) => {
-        return tx.user.findMany();
-    });
-
-    // Option 3: Using forUser helper
-    const userPrisma = prismaWithRLS.forUser(req.user.id, req.user.role);
-    const users = await userPrisma.user.findMany();
-
-    res.json(users);
-});
-*/
-
-module.exports = {
+export {
     prisma,
     prismaTransaction,
     basePrisma, // Export base for auth operations that don't need RLS
@@ -584,40 +2036,76 @@ module.exports = {
     prismaWithRLS,
     getRLSConfig,
     setRLSVariables,
+    loadUserContext,
     acl
 };
 `;
-  } else {
-    // Non-PostgreSQL version (MySQL, SQLite, etc.) - simplified without RLS
-    content = `const { PrismaClient } = require('../prisma/client');
-const acl = require('./acl');
+  }
+
+  // Non-PostgreSQL version (MySQL, SQLite, etc.) - simplified without RLS
+  return `import { PrismaClient } from '../prisma/client';
+import acl from './acl';
+
+// Properties the authentication middleware and the Api response helpers add to Express
+declare global {
+    namespace Express {
+        interface Request {
+            user?: Record<string, any>;
+        }
+        interface Response {
+            sendList(data: unknown[], meta: object): this;
+            sendResponse(status_code: number, message: string, data?: unknown): this;
+            sendError(status_code: number, message: string, data?: unknown): this;
+        }
+    }
+}
 
 // Standard Prisma Client
 const prisma = new PrismaClient({
     log: process.env.NODE_ENV === 'development' ? ['query', 'error', 'warn'] : ['error'],
 });
 
-const prismaTransaction = async (operations) => prisma.$transaction(async (tx) => {
+type TransactionClient = Parameters<Parameters<typeof prisma.$transaction>[0]>[0];
+
+const prismaTransaction = async (operations: Array<(tx: TransactionClient) => Promise<any>>): Promise<any[]> => prisma.$transaction(async (tx) => {
     return Promise.all(operations.map(op => op(tx)));
 });
 
-module.exports = {
+export {
     prisma,
     prismaTransaction,
     PrismaClient,
     acl
 };
 `;
+}
+
+/**
+ * Parse --role-map entries into a database role -> user.role values mapping
+ * @param {Array|Object} entries - Entries like 'admin_role=admin' or 'staff=editor,moderator',
+ *   or the roleMap object of rapidd.config.js: { staff: ['editor', 'moderator'] }
+ * @returns {Object} - e.g. { admin_role: ['admin'], staff: ['editor', 'moderator'] }
+ */
+function parseRoleMap(entries = []) {
+  const roleMap = {};
+
+  if (!Array.isArray(entries)) {
+    for (const [dbRole, roles] of Object.entries(entries)) {
+      roleMap[dbRole.trim().toLowerCase()] = [].concat(roles).map(role => role.trim()).filter(Boolean);
+    }
+    return roleMap;
   }
 
-  // Ensure rapidd directory exists
-  const rapiddDir = path.dirname(rapiddJsPath);
-  if (!fs.existsSync(rapiddDir)) {
-    fs.mkdirSync(rapiddDir, { recursive: true });
+  for (const entry of entries) {
+    const match = entry.match(/^([^=]+)=(.*)$/);
+    if (!match) {
+      throw new Error(`Invalid --role-map entry "${entry}". Expected <database role>=<user role>[,<user role>...]`);
+    }
+    const dbRole = match[1].trim().toLowerCase();
+    roleMap[dbRole] = match[2].split(',').map(role => role.trim()).filter(Boolean);
   }
 
-  fs.writeFileSync(rapiddJsPath, content);
-  console.log('✓ Generated rapidd/rapidd.js');
+  return roleMap;
 }
 
 /**
@@ -627,11 +2115,11 @@ async function updateRelationshipsForModel(filteredModels, relationshipsPath, pr
   let existingRelationships = {};
 
   // Load existing relationships if file exists
-  if (fs.existsSync(relationshipsPath)) {
+  if (outputFileExists(relationshipsPath)) {
     try {
-      existingRelationships = JSON.parse(fs.readFileSync(relationshipsPath, 'utf8'));
+      existingRelationships = readRelationshipsFile(relationshipsPath);
     } catch (error) {
-      console.warn('Could not parse existing relationships.json, will create new');
+      console.warn(`Could not parse existing ${path.basename(relationshipsPath)}, will create new`);
     }
   }
 
@@ -642,8 +2130,8 @@ async function updateRelationshipsForModel(filteredModels, relationshipsPath, pr
     const { generateRelationshipsFromDMMF } = require('../generators/relationshipsGenerator');
     const tempPath = relationshipsPath + '.tmp';
     await generateRelationshipsFromDMMF(prismaClientPath, tempPath);
-    const allRelationships = JSON.parse(fs.readFileSync(tempPath, 'utf8'));
-    fs.unlinkSync(tempPath);
+    const allRelationships = JSON.parse(readOutputFile(tempPath));
+    removeOutputFile(tempPath);
 
     // Extract only the filtered model's relationships
     for (const modelName of Object.keys(filteredModels)) {
@@ -656,8 +2144,8 @@ async function updateRelationshipsForModel(filteredModels, relationshipsPath, pr
     const { generateRelationshipsFromSchema } = require('../generators/relationshipsGenerator');
     const tempPath = relationshipsPath + '.tmp';
     generateRelationshipsFromSchema(schemaPath, tempPath);
-    const allRelationships = JSON.parse(fs.readFileSync(tempPath, 'utf8'));
-    fs.unlinkSync(tempPath);
+    const allRelationships = JSON.parse(readOutputFile(tempPath));
+    removeOutputFile(tempPath);
 
     // Extract only the filtered model's relationships
     for (const modelName of Object.keys(filteredModels)) {
@@ -671,51 +2159,32 @@ async function updateRelationshipsForModel(filteredModels, relationshipsPath, pr
   const updatedRelationships = { ...existingRelationships, ...newRelationships };
 
   // Write back to file
-  fs.writeFileSync(relationshipsPath, JSON.stringify(updatedRelationships, null, 2));
+  writeRelationshipsFile(relationshipsPath, updatedRelationships);
 }
 
 /**
- * Update acl.js for a specific model
+ * Extract the ACL entry of a model (`modelName: {...}`) from generated acl.js content
+ * @param {string} content - Content of acl.js
+ * @param {string} modelName - Name of the model
+ * @returns {string|null} - The entry, or null when the model has none
  */
-async function updateACLForModel(filteredModels, allModels, aclPath, datasource, userTable, relationships, debug = false) {
-  const { generateACL } = require('../generators/aclGenerator');
-
-  // Generate ACL for the filtered model (but pass all models for user table detection)
-  const tempPath = aclPath + '.tmp';
-  await generateACL(
-    filteredModels,
-    tempPath,
-    datasource.url,
-    datasource.isPostgreSQL,
-    userTable,
-    relationships,
-    debug,
-    allModels
-  );
-
-  // Read the generated ACL for the specific model
-  const tempContent = fs.readFileSync(tempPath, 'utf8');
-  fs.unlinkSync(tempPath);
-
-  // Extract the model's ACL configuration
-  const modelName = Object.keys(filteredModels)[0];
-
+function extractModelACL(content, modelName) {
   // Find the start of the model definition
-  const modelStart = tempContent.indexOf(`${modelName}:`);
-  if (modelStart === -1) {
-    throw new Error(`Could not find model ${modelName} in generated RLS`);
+  const match = new RegExp(`\\n    ${modelName}:`).exec(content);
+  if (!match) {
+    return null;
   }
+  const modelStart = match.index + match[0].indexOf(modelName);
 
   // Find the matching closing brace by counting braces
   let braceCount = 0;
   let inString = false;
   let stringChar = null;
-  let i = tempContent.indexOf('{', modelStart);
-  const contentStart = i;
+  let i = content.indexOf('{', modelStart);
 
-  for (; i < tempContent.length; i++) {
-    const char = tempContent[i];
-    const prevChar = i > 0 ? tempContent[i - 1] : '';
+  for (; i < content.length; i++) {
+    const char = content[i];
+    const prevChar = i > 0 ? content[i - 1] : '';
 
     // Handle string literals
     if ((char === '"' || char === "'" || char === '`') && prevChar !== '\\') {
@@ -743,11 +2212,57 @@ async function updateACLForModel(filteredModels, allModels, aclPath, datasource,
     throw new Error(`Could not extract ACL for model ${modelName} - unmatched braces`);
   }
 
-  const modelAcl = tempContent.substring(modelStart, i + 1);
+  return content.substring(modelStart, i + 1);
+}
+
+/**
+ * Update acl.js for specific models
+ */
+async function updateACLForModel(filteredModels, allModels, aclPath, datasource, userTable, relationships, debug = false, rlsOptions = {}) {
+  const { generateACL } = require('../generators/aclGenerator');
+
+  // If acl.js doesn't exist, create it with just these models
+  if (!outputFileExists(aclPath)) {
+    await generateACL(
+      filteredModels,
+      aclPath,
+      datasource.url,
+      datasource.isPostgreSQL,
+      userTable,
+      relationships,
+      debug,
+      allModels,
+      rlsOptions
+    );
+    return;
+  }
+
+  // Generate ACL for the filtered models (but pass all models for user table detection)
+  const tempPath = aclPath + '.tmp';
+  await generateACL(
+    filteredModels,
+    tempPath,
+    datasource.url,
+    datasource.isPostgreSQL,
+    userTable,
+    relationships,
+    debug,
+    allModels,
+    rlsOptions
+  );
+
+  // Read the generated ACL for the specific models
+  const tempContent = readOutputFile(tempPath);
+  removeOutputFile(tempPath);
 
-  // Read existing acl.js
-  if (fs.existsSync(aclPath)) {
-    let existingContent = fs.readFileSync(aclPath, 'utf8');
+  let existingContent = readOutputFile(aclPath);
+
+  for (const modelName of Object.keys(filteredModels)) {
+    // Extract the model's ACL configuration
+    const modelAcl = extractModelACL(tempContent, modelName);
+    if (!modelAcl) {
+      throw new Error(`Could not find model ${modelName} in generated RLS`);
+    }
 
     // Check if model already exists in ACL
     const existingModelPattern = new RegExp(`${modelName}:\\s*\\{[\\s\\S]*?\\n    \\}(?=,|\\n)`);
@@ -763,21 +2278,143 @@ async function updateACLForModel(filteredModels, allModels, aclPath, datasource,
         `$1,\n    ${modelAcl}\n$2`
       );
     }
-
-    fs.writeFileSync(aclPath, existingContent);
     console.log(`✓ Updated RLS for model: ${modelName}`);
-  } else {
-    // If acl.js doesn't exist, create it with just this model
-    await generateACL(
-      filteredModels,
-      aclPath,
-      datasource.url,
-      datasource.isPostgreSQL,
-      userTable,
-      relationships,
-      debug,
-      allModels
-    );
+  }
+
+  writeOutputFile(aclPath, existingContent);
+}
+
+/**
+ * Remove the ACL entry of a model from acl.js content
+ * @param {string} content - Content of acl.js
+ * @param {string} modelName - Name of the model
+ * @returns {string}
+ */
+function removeModelACL(content, modelName) {
+  const entry = `\\n    ${modelName}:\\s*\\{[\\s\\S]*?\\n    \\}`;
+  const withLeadingComma = new RegExp(`,${entry}(?=,|\\n)`);
+  // The first entry has no leading comma, drop the one after it instead
+  return withLeadingComma.test(content)
+    ? content.replace(withLeadingComma, '')
+    : content.replace(new RegExp(`${entry},`), '');
+}
+
+/**
+ * Compare the models of two builds
+ * A model changed when its fields, keys or schema changed, or the values of an enum it uses
+ * @param {Object} previous - { models, enums } of the previous build
+ * @param {Object} current - { models, enums } of this build
+ * @returns {Object} - { added, changed, removed } model names
+ */
+function diffModels(previous, current) {
+  const fingerprint = ({ models, enums }, modelName) => {
+    const modelInfo = models[modelName];
+    const usedEnums = Object.values(modelInfo.fields)
+      .map(field => [field.type, getEnumValues(enums, field.type)])
+      .filter(([, values]) => values);
+    return JSON.stringify([modelInfo, usedEnums]);
+  };
+
+  const changes = { added: [], changed: [], removed: [] };
+  for (const modelName of Object.keys(current.models)) {
+    if (!previous.models[modelName]) {
+      changes.added.push(modelName);
+    } else if (fingerprint(previous, modelName) !== fingerprint(current, modelName)) {
+      changes.changed.push(modelName);
+    }
+  }
+  changes.removed = Object.keys(previous.models).filter(modelName => !current.models[modelName]);
+
+  return changes;
+}
+
+/**
+ * Delete the generated files and entries of models that were removed from the schema
+ * @param {Array} modelNames - Removed models
+ * @param {Object} paths - { modelDir, routesDir, schemasDir, relationshipsPath, aclPath }
+ * @param {string} lang - Output language: 'js' or 'ts'
+ * @param {Object} shouldGenerate - Components to update
+ */
+function removeModelOutputs(modelNames, paths, lang, shouldGenerate) {
+  const removeFile = (filePath) => {
+    if (outputFileExists(filePath)) {
+      if (hasCustomCode(readOutputFile(filePath))) {
+        console.warn(`⚠ ${path.relative(process.cwd(), filePath)} contains custom code and is not removed`);
+        return;
+      }
+      removeOutputFile(filePath);
+      console.log(`Removed ${path.relative(process.cwd(), filePath)}`);
+    }
+  };
+
+  for (const modelName of modelNames) {
+    const className = modelName.charAt(0).toUpperCase() + modelName.slice(1);
+    if (shouldGenerate.model) removeFile(path.join(paths.modelDir, `${className}.${lang}`));
+    if (shouldGenerate.route) removeFile(path.join(paths.routesDir, `${modelName.toLowerCase()}.${lang}`));
+    if (shouldGenerate.zod) removeFile(path.join(paths.schemasDir, `${className}.${lang}`));
+  }
+
+  if (shouldGenerate.relationship && outputFileExists(paths.relationshipsPath)) {
+    const relationships = readRelationshipsFile(paths.relationshipsPath);
+    for (const modelName of modelNames) {
+      delete relationships[modelName];
+    }
+    writeRelationshipsFile(paths.relationshipsPath, relationships);
+  }
+
+  if (shouldGenerate.acl && outputFileExists(paths.aclPath)) {
+    let content = readOutputFile(paths.aclPath);
+    for (const modelName of modelNames) {
+      content = removeModelACL(content, modelName);
+    }
+    writeOutputFile(paths.aclPath, content);
+  }
+}
+
+/**
+ * Models selected by the models.include / models.exclude lists of rapidd.config.js
+ * @param {Object} models - All models
+ * @param {Object} selection - { include, exclude }, names are matched case-insensitively
+ * @returns {Function} - (modelName) => whether the model is generated
+ */
+function createModelSelector(models, selection = {}) {
+  const names = Object.keys(models);
+  const toSet = (key) => {
+    if (!selection[key]) {
+      return null;
+    }
+    for (const name of selection[key]) {
+      if (!names.some(modelName => modelName.toLowerCase() === name.toLowerCase())) {
+        throw new Error(`Model "${name}" in models.${key} not found in schema. Available models: ${names.join(', ')}`);
+      }
+    }
+    return new Set(selection[key].map(name => name.toLowerCase()));
+  };
+  const include = toSet('include');
+  const exclude = toSet('exclude');
+
+  return (modelName) => (!include || include.has(modelName.toLowerCase())) && !(exclude && exclude.has(modelName.toLowerCase()));
+}
+
+/**
+ * Print the files a dry run would change: a unified diff of each (--dry-run), or their paths (--check)
+ * @param {Array} outputChanges - Pending changes from the output writer
+ * @param {boolean} check - Only list the files
+ */
+function printPendingChanges(outputChanges, check = false) {
+  if (outputChanges.length === 0) {
+    console.log('\n✓ Generated files are up to date');
+    return;
+  }
+
+  console.log(`\n${outputChanges.length} generated file(s) ${check ? 'are out of date' : 'would change'}:`);
+  for (const { filePath, before, after } of outputChanges) {
+    const fileName = path.relative(process.cwd(), filePath).split(path.sep).join('/');
+    if (check) {
+      console.log(`  ${before === null ? 'new' : after === null ? 'removed' : 'changed'}: ${fileName}`);
+    } else {
+      process.stdout.write(`\n${createUnifiedDiff(before, after, fileName)}`);
+    }
   }
 }
 
@@ -788,31 +2425,70 @@ async function updateACLForModel(filteredModels, allModels, aclPath, datasource,
  * @param {string} options.output - Output directory for generated models
  * @param {string} options.model - Optional: specific model to generate
  * @param {string} options.only - Optional: specific component to generate
+ * @param {boolean} options.offline - Optional: read RLS from Prisma migrations instead of the database
+ * @param {Array} options.sql - Optional: SQL files/directories to read RLS from instead of the database
+ * @param {Array} options.roleMap - Optional: database role mappings, e.g. ['admin_role=admin', 'staff=editor,moderator']
+ * @param {string} options.lang - Optional: output language, 'js' (default) or 'ts'
+ * @param {string} options.module - Optional: module system, 'cjs' (default) or 'esm'
+ * @param {boolean} options.dryRun - Optional: don't write anything, print a unified diff of the changes instead
+ * @param {boolean} options.check - Optional: don't write anything, list the files that would change
+ * @param {boolean} options.force - Optional: overwrite model and route files without a checksum or edited outside their custom regions
+ * @param {boolean} options.skipGenerate - Optional: don't run npx prisma generate (schema unchanged since the last run)
+ * @param {Object} previous - Optional: result of the previous build (watch mode), only changed models are regenerated
+ * @param {boolean} rlsChanged - Optional: the RLS sources (migration SQL) changed since the previous build
+ * @returns {Object} - { models, enums, changes, shouldGenerate, outputChanges }, changes lists the models a rebuild touched (null for a full build),
+ *                     outputChanges the files a dry run would change
  */
-async function buildModels(options) {
+async function buildModels(options, previous = null, rlsChanged = false) {
   const schemaPath = path.resolve(process.cwd(), options.schema);
   const outputBase = path.resolve(process.cwd(), options.output);
 
   // If output is "/", use process.cwd() as the base
   const baseDir = options.output === '/' ? process.cwd() : outputBase;
 
-  // Construct paths
-  const srcDir = path.join(baseDir, 'src');
-  const modelDir = path.join(srcDir, 'Model');
-  const modelJsPath = path.join(srcDir, 'Model.js');
-  const rapiddDir = path.join(baseDir, 'rapidd');
-  const relationshipsPath = path.join(rapiddDir, 'relationships.json');
-  const aclPath = path.join(rapiddDir, 'acl.js');
-  const rapiddJsPath = path.join(rapiddDir, 'rapidd.js');
-  const routesDir = path.join(baseDir, 'routes', 'api', 'v1');
+  // Validate --lang option
+  const lang = options.lang || 'js';
+  if (!['js', 'ts'].includes(lang)) {
+    throw new Error(`Invalid --lang value "${options.lang}". Must be one of: js, ts`);
+  }
+
+  // Validate --module option
+  const moduleSystem = options.module || 'cjs';
+  if (!['cjs', 'esm'].includes(moduleSystem)) {
+    throw new Error(`Invalid --module value "${options.module}". Must be one of: cjs, esm`);
+  }
+
+  // Construct paths (paths and api of rapidd.config.js are relative to the output directory)
+  const paths = options.paths || {};
+  const api = options.api || {};
+  const apiPrefix = (api.prefix === undefined ? 'api' : api.prefix).replace(/^\/+|\/+$/g, '');
+  const apiVersion = (api.version === undefined ? 'v1' : api.version).replace(/^\/+|\/+$/g, '');
+  const modelDir = path.resolve(baseDir, paths.models || path.join('src', 'Model'));
+  const schemasDir = path.resolve(baseDir, paths.schemas || path.join('src', 'schemas'));
+  // The base Model class lives next to the model directory
+  const modelJsPath = path.join(path.dirname(modelDir), `Model.${lang}`);
+  const rapiddDir = path.resolve(baseDir, paths.rapidd || 'rapidd');
+  const relationshipsPath = path.join(rapiddDir, lang === 'ts' ? 'relationships.ts' : 'relationships.json');
+  const aclPath = path.join(rapiddDir, `acl.${lang}`);
+  const rapiddJsPath = path.join(rapiddDir, `rapidd.${lang}`);
+  const userContextPath = path.join(rapiddDir, `userContext.${lang}`);
+  const routesDir = path.resolve(baseDir, paths.routes || path.join('routes', ...[apiPrefix, apiVersion].filter(Boolean)));
+  const openapiPath = path.resolve(baseDir, paths.openapi || 'openapi.json');
   const logsDir = path.join(baseDir, 'logs');
+  const serverUrl = '/' + [apiPrefix, apiVersion].filter(Boolean).join('/');
+  const layout = createLayout(baseDir, { models: modelDir, routes: routesDir, rapidd: rapiddDir });
 
   console.log('Building Rapidd models...');
   console.log(`Schema: ${schemaPath}`);
   console.log(`Output: ${baseDir}`);
 
+  // --dry-run and --check compute the output in memory
+  const dryRun = Boolean(options.dryRun || options.check);
+  setDryRun(dryRun);
+  setForce(options.force);
+
   // Create logs directory
-  if (!fs.existsSync(logsDir)) {
+  if (!dryRun && !fs.existsSync(logsDir)) {
     fs.mkdirSync(logsDir, { recursive: true });
   }
 
@@ -821,18 +2497,22 @@ async function buildModels(options) {
     throw new Error(`Prisma schema file not found at: ${schemaPath}`);
   }
 
-  // Run npx prisma generate first
-  console.log('\nRunning npx prisma generate...');
-  const { execSync } = require('child_process');
-  try {
-    execSync(`npx prisma generate --schema=${schemaPath}`, {
-      stdio: 'inherit',
-      cwd: process.cwd()
-    });
-    console.log('✓ Prisma client generated successfully\n');
-  } catch (error) {
-    console.warn('⚠ Warning: Failed to generate Prisma client');
-    console.warn('Continuing with schema parsing fallback...\n');
+  // Run npx prisma generate first (it writes prisma/client, so not in a dry run)
+  if (dryRun && !options.skipGenerate) {
+    console.log('\nDry run: skipping npx prisma generate, the existing Prisma client is read');
+  } else if (!options.skipGenerate) {
+    console.log('\nRunning npx prisma generate...');
+    const { execSync } = require('child_process');
+    try {
+      execSync(`npx prisma generate --schema=${schemaPath}`, {
+        stdio: 'inherit',
+        cwd: process.cwd()
+      });
+      console.log('✓ Prisma client generated successfully\n');
+    } catch (error) {
+      console.warn('⚠ Warning: Failed to generate Prisma client');
+      console.warn('Continuing with schema parsing fallback...\n');
+    }
   }
 
   // Try to use Prisma DMMF first (if prisma generate has been run)
@@ -858,8 +2538,25 @@ async function buildModels(options) {
 
   const { models, enums } = parsedData;
 
+  // Parse datasource to determine database type
+  let datasource = { isPostgreSQL: true, defaultSchema: 'public', schemas: ['public'] };  // Default to PostgreSQL
+  try {
+    datasource = parseDatasource(schemaPath);
+  } catch (error) {
+    console.warn('Could not parse datasource, assuming PostgreSQL:', error.message);
+  }
+
+  // Models without @@schema live in the default schema of the datasource
+  for (const model of Object.values(models)) {
+    model.schema = model.schema || datasource.defaultSchema;
+  }
+
+  // Models selected by models.include / models.exclude of rapidd.config.js
+  const isSelected = createModelSelector(models, options.models);
+  const selectedModels = Object.fromEntries(Object.entries(models).filter(([modelName]) => isSelected(modelName)));
+
   // Filter models if --model option is provided
-  let filteredModels = models;
+  let filteredModels = selectedModels;
   if (options.model) {
     const modelName = options.model.toLowerCase();
     const matchedModel = Object.keys(models).find(m => m.toLowerCase() === modelName);
@@ -867,58 +2564,97 @@ async function buildModels(options) {
     if (!matchedModel) {
       throw new Error(`Model "${options.model}" not found in schema. Available models: ${Object.keys(models).join(', ')}`);
     }
+    if (!selectedModels[matchedModel]) {
+      throw new Error(`Model "${matchedModel}" is excluded by the models option of the config file`);
+    }
 
     filteredModels = { [matchedModel]: models[matchedModel] };
     console.log(`Filtering to model: ${matchedModel}`);
   }
 
-  console.log(`Found ${Object.keys(models).length} models${options.model ? ` (generating ${Object.keys(filteredModels).length})` : ''}`);
+  const generatedCount = Object.keys(filteredModels).length;
+  console.log(`Found ${Object.keys(models).length} models${generatedCount !== Object.keys(models).length ? ` (generating ${generatedCount})` : ''}`);
 
-  // Determine which components to generate
+  // Determine which components to generate: --only, else the components of rapidd.config.js
+  const components = options.components || {};
   const shouldGenerate = {
-    model: !options.only || options.only === 'model',
-    route: !options.only || options.only === 'route',
-    acl: !options.only || options.only === 'acl',
-    relationship: !options.only || options.only === 'relationship'
+    model: options.only ? options.only === 'model' : components.model !== false,
+    route: options.only ? options.only === 'route' : components.route !== false,
+    acl: options.only ? options.only === 'acl' : components.acl !== false,
+    relationship: options.only ? options.only === 'relationship' : components.relationship !== false,
+    openapi: options.only ? options.only === 'openapi' : components.openapi !== false,
+    // Opt-in: the generated schemas require zod in the project
+    zod: options.only ? options.only === 'zod' : components.zod === true
   };
 
   // Validate --only option
-  if (options.only && !['model', 'route', 'acl', 'relationship'].includes(options.only)) {
-    throw new Error(`Invalid --only value "${options.only}". Must be one of: model, route, acl, relationship`);
+  if (options.only && !['model', 'route', 'acl', 'relationship', 'openapi', 'zod'].includes(options.only)) {
+    throw new Error(`Invalid --only value "${options.only}". Must be one of: model, route, acl, relationship, openapi, zod`);
+  }
+
+  // Rebuild (watch mode): only the models that changed since the previous build
+  let changes = null;
+  const scopedModels = filteredModels;
+  if (previous) {
+    const diff = diffModels(previous, { models, enums });
+    const inScope = (modelName) => isSelected(modelName) && (!options.model || modelName.toLowerCase() === options.model.toLowerCase());
+    changes = {
+      added: diff.added.filter(inScope),
+      changed: diff.changed.filter(inScope),
+      removed: diff.removed.filter(inScope),
+      acl: []
+    };
+    filteredModels = Object.fromEntries(
+      [...changes.added, ...changes.changed].map(modelName => [modelName, models[modelName]])
+    );
+
+    if (changes.removed.length > 0) {
+      removeModelOutputs(changes.removed, { modelDir, routesDir, schemasDir, relationshipsPath, aclPath }, lang, shouldGenerate);
+    }
+
+    const schemaChanged = Object.keys(filteredModels).length > 0 || changes.removed.length > 0;
+    if (!schemaChanged && !(rlsChanged && shouldGenerate.acl)) {
+      return { models, enums, changes, shouldGenerate };
+    }
+    // Without model changes, only the ACL (and the 403 responses of the OpenAPI spec) can be out of date
+    if (!schemaChanged) {
+      for (const component of Object.keys(shouldGenerate)) {
+        shouldGenerate[component] = shouldGenerate[component] && ['acl', 'openapi'].includes(component);
+      }
+    }
   }
+  // Update filtered models in place instead of rewriting the relationships and ACL of every model
+  const partial = Boolean(options.model || previous);
 
   // Generate model files
   if (shouldGenerate.model) {
-    generateAllModels(filteredModels, modelDir, modelJsPath);
+    generateAllModels(filteredModels, modelDir, modelJsPath, lang, moduleSystem, enums, models, layout);
   }
 
-  // Generate src/Model.js (base Model class) if it doesn't exist
-  if (!fs.existsSync(modelJsPath)) {
-    console.log('\nGenerating src/Model.js...');
-    generateBaseModelFile(modelJsPath);
+  // Generate src/schemas (Zod)
+  if (shouldGenerate.zod) {
+    generateZodSchemas(filteredModels, schemasDir, lang, moduleSystem, enums, models, aclPath);
   }
 
-  // Parse datasource to determine database type
-  let datasource = { isPostgreSQL: true };  // Default to PostgreSQL
-  try {
-    datasource = parseDatasource(schemaPath);
-  } catch (error) {
-    console.warn('Could not parse datasource, assuming PostgreSQL:', error.message);
+  // Generate src/Model.js (base Model class) if it doesn't exist
+  if (!outputFileExists(modelJsPath)) {
+    console.log(`\nGenerating ${path.relative(baseDir, modelJsPath)}...`);
+    generateBaseModelFile(modelJsPath, lang, moduleSystem, layout);
   }
 
   // Generate rapidd/rapidd.js if it doesn't exist
-  if (!fs.existsSync(rapiddJsPath)) {
-    console.log('Generating rapidd/rapidd.js...');
-    generateRapiddFile(rapiddJsPath, datasource.isPostgreSQL);
+  if (!outputFileExists(rapiddJsPath)) {
+    console.log(`Generating ${path.relative(baseDir, rapiddJsPath)}...`);
+    generateRapiddFile(rapiddJsPath, datasource.isPostgreSQL, lang, moduleSystem, layout);
   }
 
   // Generate relationships.json
   if (shouldGenerate.relationship) {
-    console.log(`\nGenerating relationships.json...`);
+    console.log(`\nGenerating ${path.basename(relationshipsPath)}...`);
 
     try {
-      if (options.model) {
-        // Update only specific model in relationships.json
+      if (partial) {
+        // Update only specific models in relationships.json
         await updateRelationshipsForModel(filteredModels, relationshipsPath, prismaClientPath, schemaPath, usedDMMF);
       } else {
         // Generate all relationships
@@ -930,60 +2666,125 @@ async function buildModels(options) {
       }
       console.log(`✓ Relationships file generated at: ${relationshipsPath}`);
     } catch (error) {
-      console.error('Failed to generate relationships.json:', error.message);
-      console.log('Note: You may need to create relationships.json manually.');
+      console.error(`Failed to generate ${path.basename(relationshipsPath)}:`, error.message);
+      console.log(`Note: You may need to create ${path.basename(relationshipsPath)} manually.`);
     }
   }
 
+  // A changed RLS source can change the ACL of every model
+  const aclModels = previous && !rlsChanged ? filteredModels : scopedModels;
+
   // Generate ACL configuration
-  if (shouldGenerate.acl) {
+  if (shouldGenerate.acl && Object.keys(aclModels).length > 0) {
     console.log(`\nGenerating ACL configuration...`);
 
+    // SQL files for offline RLS extraction: explicit --sql, else Prisma migrations next to the schema
+    const sqlFiles = options.sql
+      ? resolveSQLFiles(options.sql.map(source => path.resolve(process.cwd(), source)))
+      : findMigrationFiles(path.join(path.dirname(schemaPath), 'migrations'));
+    const rlsOptions = {
+      sqlFiles,
+      offline: Boolean(options.offline || options.sql),
+      roleMap: parseRoleMap(options.roleMap),
+      functionMappings: options.functionMappings,
+      sessionVariables: options.sessionVariables,
+      schemas: datasource.schemas,
+      lang,
+      moduleSystem,
+      layout
+    };
+
+    if (rlsOptions.offline && sqlFiles.length === 0) {
+      throw new Error('No SQL files found for offline RLS extraction. Use --sql <paths...> to specify them.');
+    }
+
     // Load relationships for Prisma filter building
     let relationships = {};
     try {
-      if (fs.existsSync(relationshipsPath)) {
-        relationships = JSON.parse(fs.readFileSync(relationshipsPath, 'utf8'));
+      if (outputFileExists(relationshipsPath)) {
+        relationships = readRelationshipsFile(relationshipsPath);
       }
     } catch (error) {
-      console.warn('Could not load relationships.json:', error.message);
+      console.warn(`Could not load ${path.basename(relationshipsPath)}:`, error.message);
     }
 
+    // Entries before the rebuild, to report which models' ACL changed
+    const previousACL = previous && outputFileExists(aclPath) ? readOutputFile(aclPath) : null;
+
     try {
 
       // For non-PostgreSQL databases (MySQL, SQLite, etc.), generate permissive ACL
       if (!datasource.isPostgreSQL) {
         console.log(`${datasource.provider || 'Non-PostgreSQL'} database detected - generating permissive ACL...`);
-        await generateACL(models, aclPath, null, false, options.userTable, relationships, options.debug);
-      } else if (options.model) {
-        // Update only specific model in acl.js
-        await updateACLForModel(filteredModels, models, aclPath, datasource, options.userTable, relationships, options.debug);
+        await generateACL(selectedModels, aclPath, null, false, options.userTable, relationships, options.debug, models, { lang, moduleSystem, layout });
+      } else if (partial && aclModels !== selectedModels) {
+        // Update only specific models in acl.js
+        await updateACLForModel(aclModels, models, aclPath, datasource, options.userTable, relationships, options.debug, rlsOptions);
       } else {
         // Generate ACL for all models
         await generateACL(
-          models,
+          selectedModels,
           aclPath,
           datasource.url,
           datasource.isPostgreSQL,
           options.userTable,
           relationships,
-          options.debug
+          options.debug,
+          models,
+          rlsOptions
         );
       }
     } catch (error) {
       console.error('Failed to generate ACL:', error.message);
       console.log('Generating permissive ACL fallback...');
       // Pass null for URL and false for isPostgreSQL to skip database connection
-      await generateACL(models, aclPath, null, false, options.userTable, relationships, options.debug);
+      await generateACL(selectedModels, aclPath, null, false, options.userTable, relationships, options.debug, models, { lang, moduleSystem, layout });
+    }
+
+    if (changes && outputFileExists(aclPath)) {
+      const currentACL = readOutputFile(aclPath);
+      changes.acl = Object.keys(aclModels).filter(modelName => {
+        return !previousACL || extractModelACL(previousACL, modelName) !== extractModelACL(currentACL, modelName);
+      });
+    }
+
+    // Loader of the user fields the ACL reads, setRLSContext of rapidd.js runs it
+    if (datasource.isPostgreSQL && outputFileExists(aclPath)) {
+      try {
+        const userTable = detectUserTable(models, options.userTable);
+        const userModelName = Object.keys(models).find(modelName => modelName.toLowerCase() === userTable.toLowerCase());
+        if (!userModelName) {
+          throw new Error(`User model "${userTable}" not found in schema`);
+        }
+        generateUserContext(readOutputFile(aclPath), models, userModelName, userContextPath, lang, moduleSystem, layout);
+      } catch (error) {
+        console.warn(`⚠ Could not generate ${path.basename(userContextPath)}: ${error.message}`);
+      }
     }
   }
 
+  // rapidd.js (PostgreSQL) imports the loader even when there is no ACL or user model to load for
+  if (datasource.isPostgreSQL && !outputFileExists(userContextPath)) {
+    generateUserContext('', models, null, userContextPath, lang, moduleSystem, layout);
+  }
+
   // Generate routes
   if (shouldGenerate.route) {
-    generateAllRoutes(filteredModels, routesDir);
+    generateAllRoutes(filteredModels, routesDir, lang, moduleSystem, layout);
+  }
+
+  // Generate openapi.json (always for all selected models, it describes the whole API)
+  if (shouldGenerate.openapi) {
+    console.log(`\nGenerating ${path.basename(openapiPath)}...`);
+    generateOpenAPI(selectedModels, enums, openapiPath, aclPath, models, serverUrl);
+  }
+
+  const outputChanges = dryRun ? getPendingChanges() : [];
+  if (dryRun) {
+    printPendingChanges(outputChanges, options.check);
   }
 
-  return { models, enums };
+  return { models, enums, changes, shouldGenerate, outputChanges };
 }
 
 module.exports = {
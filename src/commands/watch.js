@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { buildModels } = require('./build');
+const { findMigrationFiles, resolveSQLFiles } = require('../parsers/sqlMigrationParser');
+
+// Editors emit several events per save, wait for them to settle
+const DEBOUNCE_MS = 200;
+
+/**
+ * Hash the content of a list of files (missing files are skipped)
+ * @param {Array} files - File paths
+ * @returns {string}
+ */
+function hashFiles(files) {
+  const hash = crypto.createHash('sha1');
+  for (const file of files) {
+    if (fs.existsSync(file)) {
+      hash.update(file);
+      hash.update(fs.readFileSync(file));
+    }
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * SQL files the ACL is generated from: --sql sources, else the Prisma migrations
+ * @param {Object} options - Build options
+ * @param {string} schemaPath - Resolved path of schema.prisma
+ * @returns {Array} - SQL file paths
+ */
+function getSQLFiles(options, schemaPath) {
+  if (!options.sql) {
+    return findMigrationFiles(path.join(path.dirname(schemaPath), 'migrations'));
+  }
+  try {
+    return resolveSQLFiles(options.sql.map(source => path.resolve(process.cwd(), source)));
+  } catch (error) {
+    // A source that was removed counts as empty until it's back
+    return [];
+  }
+}
+
+/**
+ * Directories to watch: the one of schema.prisma and every directory of the SQL sources
+ * fs.watch is not recursive on Linux before Node 20, subdirectories are listed explicitly
+ * @param {Object} options - Build options
+ * @param {string} schemaPath - Resolved path of schema.prisma
+ * @returns {Array} - Directory paths
+ */
+function getWatchedDirectories(options, schemaPath) {
+  const directories = new Set([path.dirname(schemaPath)]);
+
+  const addTree = (directory) => {
+    if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+      return;
+    }
+    directories.add(directory);
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        addTree(path.join(directory, entry.name));
+      }
+    }
+  };
+
+  const sources = options.sql
+    ? options.sql.map(source => path.resolve(process.cwd(), source))
+    : [path.join(path.dirname(schemaPath), 'migrations')];
+  for (const source of sources) {
+    if (fs.existsSync(source) && fs.statSync(source).isFile()) {
+      directories.add(path.dirname(source));
+    } else {
+      addTree(source);
+    }
+  }
+
+  return [...directories];
+}
+
+/**
+ * Print what a rebuild regenerated
+ * @param {Object} result - Result of buildModels with a previous build
+ * @param {number} duration - Duration of the rebuild in ms
+ */
+function printSummary(result, duration) {
+  const { changes, shouldGenerate } = result;
+  const updated = [...changes.added, ...changes.changed];
+  const touched = {
+    model: shouldGenerate.model ? updated : [],
+    route: shouldGenerate.route ? updated : [],
+    relationship: shouldGenerate.relationship ? updated : [],
+    acl: shouldGenerate.acl ? changes.acl : [],
+    zod: shouldGenerate.zod ? updated : []
+  };
+  const anyTouched = changes.removed.length > 0 || Object.values(touched).some(modelNames => modelNames.length > 0);
+
+  console.log(`\n✓ Rebuilt in ${(duration / 1000).toFixed(1)}s`);
+  if (!anyTouched) {
+    console.log('  No changes to generate');
+    return;
+  }
+
+  if (changes.added.length > 0) console.log(`  + added: ${changes.added.join(', ')}`);
+  if (changes.changed.length > 0) console.log(`  ~ changed: ${changes.changed.join(', ')}`);
+  if (changes.removed.length > 0) console.log(`  - removed: ${changes.removed.join(', ')}`);
+  for (const [component, modelNames] of Object.entries(touched)) {
+    if (modelNames.length > 0) {
+      console.log(`  ${component.padEnd(13)}${modelNames.join(', ')}`);
+    }
+  }
+  if (shouldGenerate.openapi) {
+    console.log(`  ${'openapi'.padEnd(13)}openapi.json`);
+  }
+}
+
+/**
+ * Build once, then rebuild whenever schema.prisma or the migration SQL changes
+ * Rebuilds only regenerate the models whose definition changed (see buildModels)
+ * and skip npx prisma generate when only the SQL changed
+ * @param {Object} options - Build options (see buildModels)
+ * @returns {Function} - Stops watching
+ */
+async function watchModels(options) {
+  const schemaPath = path.resolve(process.cwd(), options.schema);
+  const prismaClientPath = path.join(process.cwd(), 'prisma', 'client');
+
+  let previous = null;
+  try {
+    previous = await buildModels(options);
+    console.log('\n✓ Build completed successfully');
+  } catch (error) {
+    console.error('Error building models:', error.message);
+  }
+
+  let schemaHash = hashFiles([schemaPath]);
+  let sqlHash = hashFiles(getSQLFiles(options, schemaPath));
+  let running = false;
+  let pending = false;
+  let timer = null;
+
+  const rebuild = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+
+    const currentSchemaHash = hashFiles([schemaPath]);
+    const currentSqlHash = hashFiles(getSQLFiles(options, schemaPath));
+    const schemaChanged = currentSchemaHash !== schemaHash;
+    const rlsChanged = currentSqlHash !== sqlHash;
+    if (!schemaChanged && !rlsChanged) {
+      // A new migration directory may still be empty: watch it for the migration.sql written later
+      syncWatchers();
+      return;
+    }
+    schemaHash = currentSchemaHash;
+    sqlHash = currentSqlHash;
+
+    running = true;
+    const changed = [schemaChanged && path.basename(schemaPath), rlsChanged && 'SQL'].filter(Boolean);
+    console.log(`\n[${new Date().toLocaleTimeString()}] ${changed.join(' and ')} changed, rebuilding...`);
+
+    if (schemaChanged) {
+      // parsePrismaDMMF requires the client, drop the cached one so the regenerated client is loaded
+      for (const modulePath of Object.keys(require.cache)) {
+        if (modulePath.startsWith(prismaClientPath + path.sep)) {
+          delete require.cache[modulePath];
+        }
+      }
+    }
+
+    const start = Date.now();
+    try {
+      const result = await buildModels({ ...options, skipGenerate: !schemaChanged }, previous, rlsChanged);
+      if (previous) {
+        printSummary(result, Date.now() - start);
+      } else {
+        console.log('\n✓ Build completed successfully');
+      }
+      previous = result;
+    } catch (error) {
+      console.error('Error rebuilding models:', error.message);
+    }
+    running = false;
+
+    syncWatchers();
+    if (pending) {
+      pending = false;
+      await rebuild();
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, DEBOUNCE_MS);
+  };
+
+  // New migration directories are picked up after every rebuild
+  const watchers = new Map();
+  const syncWatchers = () => {
+    const directories = getWatchedDirectories(options, schemaPath);
+    for (const [directory, watcher] of watchers) {
+      if (!directories.includes(directory)) {
+        watcher.close();
+        watchers.delete(directory);
+      }
+    }
+    for (const directory of directories) {
+      if (!watchers.has(directory)) {
+        watchers.set(directory, fs.watch(directory, (eventType, filename) => {
+          // Directories are checked for new migrations after the rebuild
+          if (!filename || filename.endsWith('.prisma') || filename.endsWith('.sql') || !path.extname(filename)) {
+            schedule();
+          }
+        }));
+      }
+    }
+  };
+  syncWatchers();
+
+  console.log(`\nWatching ${path.relative(process.cwd(), schemaPath) || schemaPath} and the migration SQL for changes... (Ctrl+C to stop)`);
+
+  return () => {
+    clearTimeout(timer);
+    for (const watcher of watchers.values()) {
+      watcher.close();
+    }
+    watchers.clear();
+  };
+}
+
+module.exports = {
+  watchModels
+};
@@ -1,8 +1,10 @@
-const fs = require('fs');
 const path = require('path');
 const { Client } = require('pg');
 const { createEnhancedConverter } = require('../parsers/enhancedRLSConverter');
-const { analyzeFunctions, generateMappingConfig } = require('../parsers/functionAnalyzer');
+const { analyzeFunctions, analyzeFunctionsFromSQL, resolveUserRelationPaths, generateMappingConfig } = require('../parsers/functionAnalyzer');
+const { parseSQLFiles } = require('../parsers/sqlMigrationParser');
+const { addImportExtensions } = require('./moduleSyntax');
+const { outputFileExists, readOutputFile, writeOutputFile } = require('../utils/outputWriter');
 
 /**
  * Auto-detect user table name (case-insensitive search for user/users)
@@ -30,57 +32,79 @@ function detectUserTable(models, userTableOption) {
 
 /**
  * Extract ACL policies from PostgreSQL RLS
+ * @param {Array} schemas - Database schemas to read policies from
  */
-async function extractPostgreSQLPolicies(databaseUrl, models) {
+async function extractPostgreSQLPolicies(databaseUrl, models, schemas) {
   const client = new Client({ connectionString: databaseUrl });
 
   try {
     await client.connect();
 
-    const policies = {};
-
-    // Create mapping from database table name to model name
-    const tableToModelMap = {};
-    for (const [modelName, modelData] of Object.entries(models)) {
-      const dbName = modelData.dbName || modelName.toLowerCase();
-      tableToModelMap[dbName] = modelName;
-      policies[modelName] = [];
-    }
-
     // Query all policies from PostgreSQL RLS (pg_policies)
     const result = await client.query(`
       SELECT
+        schemaname,
         tablename,
         policyname,
         permissive,
-        roles,
+        roles::text[] AS roles,
         cmd,
         qual,
         with_check
       FROM pg_policies
-      WHERE schemaname = 'public'
-      ORDER BY tablename, policyname
-    `);
+      WHERE schemaname = ANY($1)
+      ORDER BY schemaname, tablename, policyname
+    `, [schemas]);
+
+    await client.end();
+    return groupPoliciesByModel(result.rows, models);
+
+  } catch (error) {
+    try {
+      await client.end();
+    } catch (e) {}
+    throw error;
+  }
+}
+
+/**
+ * Extract SELECT column privileges from PostgreSQL (information_schema.column_privileges)
+ * Privileges of the table owner are skipped
+ * @param {Array} schemas - Database schemas to read privileges from
+ * @returns {Array} - [{schema, table, role, columns}]
+ */
+async function extractColumnPrivileges(databaseUrl, schemas) {
+  const client = new Client({ connectionString: databaseUrl });
+
+  try {
+    await client.connect();
+
+    const result = await client.query(`
+      SELECT
+        cp.grantee,
+        cp.table_schema,
+        cp.table_name,
+        cp.column_name
+      FROM information_schema.column_privileges cp
+      JOIN pg_tables t ON t.schemaname = cp.table_schema AND t.tablename = cp.table_name
+      WHERE cp.privilege_type = 'SELECT'
+        AND cp.table_schema = ANY($1)
+        AND cp.grantee <> t.tableowner
+      ORDER BY cp.table_schema, cp.table_name, cp.grantee, cp.column_name
+    `, [schemas]);
+
+    await client.end();
 
-    // Group policies by model (using table to model mapping)
+    const grants = new Map();
     for (const row of result.rows) {
-      const tableName = row.tablename;
-      const modelName = tableToModelMap[tableName];
-
-      if (modelName && policies[modelName] !== undefined) {
-        policies[modelName].push({
-          name: row.policyname,
-          permissive: row.permissive === 'PERMISSIVE',
-          roles: row.roles,
-          command: row.cmd,
-          using: row.qual,
-          withCheck: row.with_check
-        });
+      const role = row.grantee.toLowerCase();
+      const key = `${row.table_schema}.${row.table_name}|${role}`;
+      if (!grants.has(key)) {
+        grants.set(key, { schema: row.table_schema, table: row.table_name, role, columns: [] });
       }
+      grants.get(key).columns.push(row.column_name);
     }
-
-    await client.end();
-    return policies;
+    return Array.from(grants.values());
 
   } catch (error) {
     try {
@@ -90,20 +114,377 @@ async function extractPostgreSQLPolicies(databaseUrl, models) {
   }
 }
 
+/**
+ * Extract ACL policies from SQL files (CREATE POLICY statements in migrations)
+ * @param {Object} parsedSQL - Result of parseSQLFiles
+ * @param {Object} models - Models object from parser
+ * @param {Array} schemas - Database schemas to read policies from
+ * @returns {Object} - Policies grouped by model name
+ */
+function extractSQLPolicies(parsedSQL, models, schemas) {
+  const rows = parsedSQL.policies
+    .filter(policy => schemas.includes(policy.schema))
+    .map(policy => ({
+      schemaname: policy.schema,
+      tablename: policy.table,
+      policyname: policy.name,
+      permissive: policy.permissive ? 'PERMISSIVE' : 'RESTRICTIVE',
+      roles: policy.roles,
+      cmd: policy.command,
+      qual: policy.using,
+      with_check: policy.withCheck
+    }));
+
+  // Policies on tables without RLS are not enforced by PostgreSQL
+  const tablesWithoutRLS = new Set(
+    rows.map(row => `${row.schemaname}.${row.tablename}`).filter(table => !parsedSQL.rlsTables.includes(table))
+  );
+  for (const table of tablesWithoutRLS) {
+    console.warn(`⚠ Table '${table}' has policies but row level security is not enabled in the SQL files`);
+  }
+
+  return groupPoliciesByModel(rows, models);
+}
+
+/**
+ * Group pg_policies rows by model (using table to model mapping)
+ * Tables are matched by schema and name, so identically named tables of different schemas don't collide
+ * @param {Array} rows - Rows shaped like pg_policies
+ * @param {Object} models - Models object from parser
+ * @returns {Object} - Policies grouped by model name
+ */
+function groupPoliciesByModel(rows, models) {
+  const policies = {};
+
+  // Create mapping from schema-qualified database table name to model name
+  const tableToModelMap = {};
+  for (const [modelName, modelData] of Object.entries(models)) {
+    const dbName = modelData.dbName || modelName.toLowerCase();
+    tableToModelMap[`${modelData.schema || 'public'}.${dbName}`] = modelName;
+    policies[modelName] = [];
+  }
+
+  for (const row of rows) {
+    const modelName = tableToModelMap[`${row.schemaname}.${row.tablename}`];
+
+    if (modelName && policies[modelName] !== undefined) {
+      policies[modelName].push({
+        name: row.policyname,
+        permissive: row.permissive === 'PERMISSIVE',
+        roles: row.roles,
+        command: row.cmd,
+        using: row.qual,
+        withCheck: row.with_check
+      });
+    }
+  }
+
+  return policies;
+}
+
+/**
+ * Load functions and policies from a live PostgreSQL database
+ * @param {string} databaseUrl - PostgreSQL connection URL
+ * @param {Object} models - Models object from parser
+ * @param {Array} schemas - Database schemas to read
+ * @returns {Object} - {functionAnalysis, policies, selectGrants}
+ */
+async function loadRLSFromDatabase(databaseUrl, models, schemas) {
+  console.log('PostgreSQL detected - analyzing database...');
+
+  // Step 1: Analyze functions
+  let functionAnalysis = null;
+  try {
+    functionAnalysis = await analyzeFunctions(databaseUrl, schemas);
+    console.log(`✓ Analyzed ${Object.keys(functionAnalysis.functionMappings).length} PostgreSQL functions`);
+  } catch (error) {
+    console.warn(`⚠ Could not analyze functions: ${error.message}`);
+  }
+
+  // Step 2: Extract policies
+  const policies = await extractPostgreSQLPolicies(databaseUrl, models, schemas);
+  const totalPolicies = Object.values(policies).reduce((sum, p) => sum + p.length, 0);
+  console.log(`✓ Extracted ${totalPolicies} policies from PostgreSQL RLS`);
+
+  // Step 3: Column privileges (for omitted fields)
+  let selectGrants = [];
+  try {
+    selectGrants = await extractColumnPrivileges(databaseUrl, schemas);
+  } catch (error) {
+    console.warn(`⚠ Could not read column privileges: ${error.message}`);
+  }
+
+  return { functionAnalysis, policies, selectGrants };
+}
+
+/**
+ * Load functions and policies from SQL files (no database connection)
+ * @param {Array} sqlFiles - SQL file paths in application order
+ * @param {Object} models - Models object from parser
+ * @param {Array} schemas - Database schemas to read
+ * @returns {Object} - {functionAnalysis, policies, selectGrants}
+ */
+function loadRLSFromSQL(sqlFiles, models, schemas) {
+  console.log(`Reading RLS policies from ${sqlFiles.length} SQL file(s)...`);
+  const parsedSQL = parseSQLFiles(sqlFiles);
+
+  const functionAnalysis = analyzeFunctionsFromSQL(parsedSQL, schemas);
+  console.log(`✓ Analyzed ${Object.keys(functionAnalysis.functionMappings).length} PostgreSQL functions`);
+
+  const policies = extractSQLPolicies(parsedSQL, models, schemas);
+  const totalPolicies = Object.values(policies).reduce((sum, p) => sum + p.length, 0);
+  console.log(`✓ Extracted ${totalPolicies} policies from SQL files`);
+
+  return { functionAnalysis, policies, selectGrants: parsedSQL.selectGrants.filter(grant => schemas.includes(grant.schema)) };
+}
+
+/**
+ * User field of a project mapping: 'tenant_id', 'user.tenant_id', 'user?.tenant_id',
+ * or an acl-mappings.json entry ({javascript: 'user?.tenant_id'})
+ * @param {string|Object} value - Mapping value
+ * @returns {string|null} - User field, null when the value isn't a user field
+ */
+function toUserField(value) {
+  if (value && typeof value === 'object') {
+    value = value.javascript;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const field = value.trim().replace(/^user\??\./, '');
+  return /^[A-Za-z_]\w*(\??\.[A-Za-z_]\w*)*$/.test(field) ? field.replace(/\?\./g, '.') : null;
+}
+
+/**
+ * Function and session variable mappings of the project, which override the built-in ones of the converter:
+ * the entries of acl-mappings.json marked "type": "manual", then functionMappings / sessionVariables of rapidd.config.js
+ * @param {string} mappingsPath - Path of acl-mappings.json
+ * @param {Object} options - Options of generateACL
+ * @returns {Object} - {functionMappings, sessionVariables}, name -> user field
+ */
+function loadProjectMappings(mappingsPath, options = {}) {
+  const sources = [];
+
+  if (outputFileExists(mappingsPath)) {
+    try {
+      const edited = JSON.parse(readOutputFile(mappingsPath));
+      const manual = (entries = {}) => Object.fromEntries(
+        Object.entries(entries).filter(([, entry]) => entry && entry.type === 'manual')
+      );
+      sources.push([path.basename(mappingsPath), manual(edited.functions), manual(edited.sessionVariables)]);
+    } catch (error) {
+      console.warn(`⚠ Could not read ${path.basename(mappingsPath)}: ${error.message}`);
+    }
+  }
+  sources.push(['rapidd.config.js', options.functionMappings || {}, options.sessionVariables || {}]);
+
+  const mappings = { functionMappings: {}, sessionVariables: {} };
+  for (const [source, functionMappings, sessionVariables] of sources) {
+    for (const [key, entries] of [['functionMappings', functionMappings], ['sessionVariables', sessionVariables]]) {
+      for (const [name, value] of Object.entries(entries)) {
+        const userField = toUserField(value);
+        if (!userField) {
+          console.warn(`⚠ Ignoring the mapping of ${name} in ${source}: expected a user field like "user.tenant_id", got ${JSON.stringify(value)}`);
+          continue;
+        }
+        mappings[key][name] = userField;
+      }
+    }
+  }
+  return mappings;
+}
+
+/**
+ * Map the database roles of a policy to application roles (user.role values)
+ * @param {Array} roles - Database roles of the policy (pg_policies.roles)
+ * @param {Object} roleMap - Database role -> array of user.role values
+ * @returns {Array|null} - Application roles, or null when the policy applies to everyone
+ */
+function resolvePolicyRoles(roles, roleMap) {
+  if (!roles || roles.length === 0 || roles.includes('public')) {
+    return null;
+  }
+
+  return roles.flatMap(role => {
+    if (roleMap[role]) return roleMap[role];
+    if (!warnedRoles.has(role)) {
+      warnedRoles.add(role);
+      console.warn(`⚠ No mapping for database role '${role}', matching user.role === '${role}' (use --role-map ${role}=<role>)`);
+    }
+    return [role];
+  });
+}
+
+// Unmapped database roles already reported
+const warnedRoles = new Set();
+
+/**
+ * Restrict a policy result to the roles it applies to
+ * A permissive policy grants nothing to other roles, a restrictive one does not restrict them.
+ */
+function guardPolicyRoles(policy, result, roleMap, converter, combine) {
+  const roles = resolvePolicyRoles(policy.roles, roleMap);
+  if (!roles) return result;
+
+  const guard = converter.roleCondition(roles);
+  return policy.permissive === false
+    ? combine('OR', [converter.negateCondition(guard), result])
+    : combine('AND', [guard, result]);
+}
+
+/**
+ * Parse the @rapidd.omit annotation from a field's documentation
+ * @returns {string|null} - Condition expression ('true' when the field is always omitted), or null
+ */
+function parseOmitAnnotation(documentation) {
+  const match = (documentation || '').match(/@rapidd\.omit\b(?:\s*\((.*)\))?/);
+  if (!match) return null;
+  return match[1] && match[1].trim() ? match[1].trim() : 'true';
+}
+
+/**
+ * Generate getOmitFields for a model from column privileges and @rapidd.omit annotations
+ * A column is omitted for a user when no role of the user may SELECT it, or when its annotation condition holds.
+ * Columns every grantee may read are never omitted.
+ * @param {Object} models - All models (relation fields are not columns)
+ * @param {Array} selectGrants - [{schema, table, role, columns}] for the model's schema
+ * @param {string} signature - Parameter list of the function (see getAclSignatures)
+ * @returns {string} - getOmitFields function source
+ */
+function generateOmitFields(modelName, models, selectGrants, converter, roleMap = {}, signature = '(user)') {
+  const modelInfo = models[modelName];
+  const dbName = modelInfo.dbName || modelName.toLowerCase();
+  const schema = modelInfo.schema || 'public';
+  const columns = Object.entries(modelInfo.fields)
+    .filter(([, field]) => !models[field.type])
+    .map(([name]) => name);
+  const conditions = new Map();
+  const addCondition = (column, condition) => {
+    conditions.set(column, [...(conditions.get(column) || []), condition]);
+  };
+
+  // Column privileges: readable columns per database role
+  const readable = new Map();
+  for (const grant of selectGrants.filter(grant => grant.schema === schema && (grant.table === dbName || grant.table === '*'))) {
+    const granted = grant.columns || columns;
+    readable.set(grant.role, new Set([...(readable.get(grant.role) || []), ...granted]));
+  }
+
+  if (readable.size > 0) {
+    const publicColumns = readable.get('public') || new Set();
+    const roles = [...readable.keys()].filter(role => role !== 'public');
+
+    for (const column of columns) {
+      if (publicColumns.has(column)) continue;
+      const allowed = roles.filter(role => readable.get(role).has(column));
+      if (allowed.length === roles.length) continue;
+
+      const appRoles = allowed.flatMap(role => resolvePolicyRoles([role], roleMap) || []);
+      addCondition(column, converter.negateCondition(converter.roleCondition(appRoles)));
+    }
+  }
+
+  // Schema annotations: /// @rapidd.omit(role != 'admin')
+  for (const column of columns) {
+    const expression = parseOmitAnnotation(modelInfo.fields[column].documentation);
+    if (!expression) continue;
+
+    try {
+      addCondition(column, converter.convertUserCondition(expression));
+    } catch (e) {
+      console.warn(`⚠ Invalid @rapidd.omit condition on ${modelName}.${column}: ${e.message} - omitting for everyone`);
+      addCondition(column, converter.combineConditions('AND', []));
+    }
+  }
+
+  const always = [];
+  const statements = [];
+  for (const [column, columnConditions] of conditions) {
+    const condition = converter.combineConditions('OR', columnConditions);
+    if (condition.kind === 'const') {
+      if (condition.value) always.push(column);
+    } else {
+      statements.push(`if (${condition.js}) { omit.push('${column}'); }`);
+    }
+  }
+
+  if (statements.length === 0) {
+    return `${signature} => [${always.map(column => `'${column}'`).join(', ')}]`;
+  }
+
+  return `${signature} => {
+            const omit = [${always.map(column => `'${column}'`).join(', ')}];
+            ${statements.join('\n            ')}
+            return omit;
+        }`;
+}
+
+/**
+ * Parameter lists of the generated ACL functions
+ * TypeScript output types them with the AclModel interface of acl.ts
+ * @param {string} modelName - Model name (Prisma.<Model>WhereInput)
+ * @param {string} lang - Output language: 'js' or 'ts'
+ * @returns {Object} - {check, filter, omit}
+ */
+function getAclSignatures(modelName, lang = 'js') {
+  if (lang !== 'ts') {
+    return { check: '(user, data)', filter: '(user)', omit: '(user)' };
+  }
+
+  return {
+    check: '(user: User, data: Record<string, any>): boolean',
+    filter: `(user: User): Prisma.${modelName}WhereInput | boolean`,
+    omit: '(user: User): string[]'
+  };
+}
+
+/**
+ * Header of acl.ts: Prisma types, the User type and the AclModel interface
+ * @param {string} userModel - Name of the user model (null when not found)
+ * @returns {string}
+ */
+function generateTypeScriptHeader(userModel) {
+  const userImport = userModel ? `, ${userModel} as UserRecord` : '';
+  const userType = userModel ? 'Partial<UserRecord> & Record<string, any>' : 'Record<string, any>';
+
+  return `import type {Prisma${userImport}} from '../prisma/client';
+
+/**
+ * Authenticated user (the user record plus the fields read by the policies)
+ */
+export type User = ${userType};
+
+export interface AclModel<User, WhereInput = Record<string, unknown>> {
+    canCreate: (user: User, data: Record<string, any>) => boolean;
+    getAccessFilter: (user: User) => WhereInput | boolean;
+    getUpdateFilter: (user: User) => WhereInput | boolean;
+    canUpdateTo: (user: User, data: Record<string, any>) => boolean;
+    getDeleteFilter: (user: User) => WhereInput | boolean;
+    getOmitFields: (user: User) => string[];
+    checkInclude?: Record<string, unknown>;
+}
+
+`;
+}
+
 /**
  * Generate ACL functions for a single model from PostgreSQL policies
+ * @param {Object} roleMap - Database role -> array of user.role values
+ * @param {string} omitFieldsCode - getOmitFields function source (see generateOmitFields)
+ * @param {Object} signatures - Parameter lists of the functions (see getAclSignatures)
  */
-function generateModelACL(modelName, policies, converter) {
+function generateModelACL(modelName, policies, converter, roleMap = {}, omitFieldsCode = '(user) => []', signatures = getAclSignatures(modelName)) {
   const hasPolicies = policies && policies.length > 0;
 
   if (!hasPolicies) {
     // No policies - generate permissive access
     return `    ${modelName}: {
-        canCreate: (user) => true,
-        getAccessFilter: (user) => ({}),
-        getUpdateFilter: (user) => ({}),
-        getDeleteFilter: (user) => ({}),
-        getOmitFields: (user) => []
+        canCreate: ${signatures.check} => true,
+        getAccessFilter: ${signatures.filter} => ({}),
+        getUpdateFilter: ${signatures.filter} => ({}),
+        canUpdateTo: ${signatures.check} => true,
+        getDeleteFilter: ${signatures.filter} => ({}),
+        getOmitFields: ${omitFieldsCode}
     }`;
   }
 
@@ -114,222 +495,251 @@ function generateModelACL(modelName, policies, converter) {
   const deletePolicies = policies.filter(p => p.command === 'DELETE' || p.command === 'ALL');
 
   // Generate each function
-  const canCreateCode = generateFunction(insertPolicies, 'withCheck', converter, modelName);
-  const accessFilterCode = generateFilter(selectPolicies, 'using', converter, modelName);
-  let updateFilterCode = generateFilter(updatePolicies, 'using', converter, modelName);
-  let deleteFilterCode = generateFilter(deletePolicies, 'using', converter, modelName);
-
-  // If update/delete filters are empty/false but access filter is not, copy access filter
-  if ((updateFilterCode === 'return false;' || updateFilterCode === 'return {};') &&
-      accessFilterCode !== 'return false;' && accessFilterCode !== 'return {};') {
+  const relationPaths = [];
+  const canCreateCode = generateFunction(insertPolicies, 'withCheck', converter, modelName, roleMap, relationPaths);
+  const accessFilterCode = generateFilter(selectPolicies, 'using', converter, modelName, roleMap);
+  let updateFilterCode = generateFilter(updatePolicies, 'using', converter, modelName, roleMap);
+  // Updated rows must satisfy WITH CHECK (or USING when there is none), like in PostgreSQL
+  const canUpdateToCode = generateFunction(updatePolicies, 'withCheck', converter, modelName, roleMap, relationPaths);
+  const checkInclude = generateCheckInclude(relationPaths);
+  let deleteFilterCode = generateFilter(deletePolicies, 'using', converter, modelName, roleMap);
+
+  // Without any UPDATE/DELETE policy, fall back to the access filter. When policies cover the command,
+  // their result stands: restrictive-only or denying policies must not be reopened by the access filter
+  const hasAccessFilter = accessFilterCode !== 'return false;' && accessFilterCode !== 'return {};';
+  if (updatePolicies.length === 0 && hasAccessFilter) {
     updateFilterCode = accessFilterCode;
   }
-  if ((deleteFilterCode === 'return false;' || deleteFilterCode === 'return {};') &&
-      accessFilterCode !== 'return false;' && accessFilterCode !== 'return {};') {
+  if (deletePolicies.length === 0 && hasAccessFilter) {
     deleteFilterCode = accessFilterCode;
   }
 
   return `    ${modelName}: {
-        canCreate: (user) => {
+        canCreate: ${signatures.check} => {
             ${canCreateCode}
         },
-        getAccessFilter: (user) => {
+        getAccessFilter: ${signatures.filter} => {
             ${accessFilterCode}
         },
-        getUpdateFilter: (user) => {
+        getUpdateFilter: ${signatures.filter} => {
             ${updateFilterCode}
         },
-        getDeleteFilter: (user) => {
+        canUpdateTo: ${signatures.check} => {
+            ${canUpdateToCode}
+        },
+        getDeleteFilter: ${signatures.filter} => {
             ${deleteFilterCode}
         },
-        getOmitFields: (user) => []
+        getOmitFields: ${omitFieldsCode}${checkInclude ? `,
+        checkInclude: ${checkInclude}` : ''}
     }`;
 }
 
+/**
+ * Prisma include of the related records canCreate and canUpdateTo read (relation subqueries of WITH CHECK)
+ * A payload doesn't carry them, the base Model loads them before the check
+ * @param {Array} relationPaths - Relation paths of the conditions, [[{relationName, isArray}, ...], ...]
+ * @returns {string|null} - Include object source, null when no check reads a relation
+ */
+function generateCheckInclude(relationPaths) {
+  const tree = {};
+  for (const relationPath of relationPaths) {
+    let level = tree;
+    for (const { relationName } of relationPath) {
+      level = level[relationName] = level[relationName] || {};
+    }
+  }
+
+  const render = level => `{ ${Object.entries(level)
+    .map(([relationName, nested]) => `${relationName}: ${Object.keys(nested).length === 0 ? 'true' : `{ include: ${render(nested)} }`}`)
+    .join(', ')} }`;
+  return Object.keys(tree).length === 0 ? null : render(tree);
+}
+
+/**
+ * Combine per-policy results the way PostgreSQL does:
+ * (OR of permissive policies) AND (AND of restrictive policies)
+ * Without any permissive policy, access is denied.
+ * @param {Array} results - [{policy, result}]
+ * @param {Function} combine - combineFilters / combineConditions of the converter
+ */
+function combinePolicies(results, combine) {
+  const permissive = results.filter(item => item.policy.permissive !== false).map(item => item.result);
+  const restrictive = results.filter(item => item.policy.permissive === false).map(item => item.result);
+
+  return combine('AND', [combine('OR', permissive), ...restrictive]);
+}
+
 /**
  * Generate JavaScript function from policies
+ * @param {Array} relationPaths - Collects the relation paths the conditions read (see generateCheckInclude)
  */
-function generateFunction(policies, expressionField, converter, modelName) {
+function generateFunction(policies, expressionField, converter, modelName, roleMap = {}, relationPaths = []) {
   if (policies.length === 0) {
     return 'return true;';
   }
 
-  const conditions = [];
+  const results = [];
 
   for (const policy of policies) {
     const expr = expressionField === 'withCheck'
       ? (policy.withCheck || policy.using)
       : policy[expressionField];
 
-    if (expr) {
-      try {
-        const jsExpr = converter.convertToJavaScript(expr, 'data', 'user', modelName);
-        console.log(`✓ Policy '${policy.name}': ${expr.substring(0, 50)}... -> ${jsExpr.substring(0, 80)}`);
-        conditions.push(jsExpr);
-      } catch (e) {
-        console.warn(`⚠ Failed to convert policy '${policy.name}' for ${modelName}: ${e.message}`);
-        console.warn(`  SQL: ${expr}`);
-        conditions.push(`true /* TODO: Manual conversion needed for policy '${policy.name}' */`);
-      }
+    if (!expr) {
+      // Policy without a check expression allows everything
+      results.push({ policy, result: converter.combineConditions('AND', []) });
+      continue;
     }
-  }
-
-  if (conditions.length === 0) {
-    return 'return true;';
-  }
 
-  // If any condition is 'true', the entire expression is true
-  if (conditions.some(c => c === 'true' || c.startsWith('true /*'))) {
-    return 'return true;';
+    try {
+      const condition = converter.compileCondition(expr, 'data', 'user', modelName);
+      console.log(`✓ Policy '${policy.name}': ${expr.substring(0, 50)}... -> ${condition.js.substring(0, 80)}`);
+      relationPaths.push(...(condition.relations || []));
+      results.push({ policy, result: condition });
+    } catch (e) {
+      console.warn(`⚠ Failed to convert policy '${policy.name}' for ${modelName}: ${e.message}`);
+      console.warn(`  SQL: ${expr}`);
+      // On error, fail safe: a permissive policy grants nothing, a restrictive one denies everything
+      if (policy.permissive === false) {
+        results.push({ policy, result: converter.combineConditions('OR', []) });
+      }
+    }
   }
 
-  // Policies are OR'd together (any policy allows)
-  return `return ${conditions.join(' || ')};`;
+  const combine = (operator, conditions) => converter.combineConditions(operator, conditions);
+  const guarded = results.map(item => ({ ...item, result: guardPolicyRoles(item.policy, item.result, roleMap, converter, combine) }));
+  return `return ${combinePolicies(guarded, combine).js};`;
 }
 
 /**
  * Generate Prisma filter function
  */
-function generateFilter(policies, expressionField, converter, modelName) {
+function generateFilter(policies, expressionField, converter, modelName, roleMap = {}) {
   if (policies.length === 0) {
     return 'return false;';
   }
 
-  const filtersWithRoles = [];
+  const results = [];
 
   for (const policy of policies) {
     const expr = policy[expressionField];
-    if (expr) {
-      try {
-        const prismaFilter = converter.convertToPrismaFilter(expr, 'user', modelName);
-        const analysis = converter.analyzer ? converter.analyzer.analyzeSQLForFilters(expr) : null;
-
-        // Track role conditions and data filters separately
-        const roleConditions = analysis?.conditions?.filter(c =>
-          c.type === 'role_any' || c.type === 'role_equal'
-        ) || [];
-
-        filtersWithRoles.push({
-          filter: prismaFilter,
-          roleConditions,
-          hasDataFilter: prismaFilter !== '{}'
-        });
-      } catch (e) {
-        console.warn(`⚠ Failed to convert filter policy '${policy.name}' for ${modelName}: ${e.message}`);
-        console.warn(`  SQL: ${expr}`);
-        // On error, skip filter (fail-safe - no access)
-      }
-    }
-  }
-
-  if (filtersWithRoles.length === 0) {
-    return 'return false;';
-  }
-
-  // Build conditional filter logic
-  return buildConditionalFilter(filtersWithRoles);
-}
+    if (!expr) continue;
 
-/**
- * Build conditional filter with role checks
- */
-function buildConditionalFilter(filtersWithRoles) {
-  const roleOnlyFilters = [];
-  const dataFilters = [];
-
-  for (const item of filtersWithRoles) {
-    if (item.roleConditions.length > 0 && !item.hasDataFilter) {
-      // Pure role check - return {} if role matches
-      roleOnlyFilters.push(...item.roleConditions);
-    } else if (item.roleConditions.length > 0 && item.hasDataFilter) {
-      // Has both role and data filter - already handled with if statement
-      if (item.filter.includes('if (')) {
-        return item.filter;
+    try {
+      results.push({ policy, result: converter.compileFilter(expr, 'user', modelName) });
+    } catch (e) {
+      console.warn(`⚠ Failed to convert filter policy '${policy.name}' for ${modelName}: ${e.message}`);
+      console.warn(`  SQL: ${expr}`);
+      // On error, fail safe: a permissive policy grants nothing, a restrictive one denies everything
+      if (policy.permissive === false) {
+        results.push({ policy, result: converter.combineFilters('OR', []) });
       }
-      dataFilters.push(item.filter);
-    } else if (item.hasDataFilter) {
-      // Data filter only
-      dataFilters.push(item.filter);
-    }
-  }
-
-  // Generate conditional code
-  const conditions = [];
-
-  // Collect all roles that grant full access
-  const rolesWithFullAccess = new Set();
-  for (const roleCond of roleOnlyFilters) {
-    if (roleCond.type === 'role_any') {
-      roleCond.roles.forEach(r => rolesWithFullAccess.add(r));
-    } else if (roleCond.type === 'role_equal') {
-      rolesWithFullAccess.add(roleCond.role);
     }
   }
 
-  // Add single consolidated role check if needed
-  if (rolesWithFullAccess.size > 0) {
-    const roleArray = Array.from(rolesWithFullAccess);
-    if (roleArray.length === 1) {
-      conditions.push(`if (user?.role === '${roleArray[0]}') { return {}; }`);
-    } else {
-      conditions.push(`if ([${roleArray.map(r => `'${r}'`).join(', ')}].includes(user?.role)) { return {}; }`);
-    }
-  }
-
-  // Deduplicate data filters
-  const uniqueDataFilters = [...new Set(dataFilters)];
-
-  // Add final return with data filters
-  if (uniqueDataFilters.length === 0) {
-    conditions.push('return false;');
-  } else if (uniqueDataFilters.length === 1) {
-    conditions.push(`return ${uniqueDataFilters[0]};`);
-  } else {
-    conditions.push(`return { OR: [${uniqueDataFilters.join(', ')}] };`);
-  }
-
-  return conditions.join(' ');
+  const combine = (operator, filters) => converter.combineFilters(operator, filters);
+  const guarded = results.map(item => ({ ...item, result: guardPolicyRoles(item.policy, item.result, roleMap, converter, combine) }));
+  return converter.renderFilter(combinePolicies(guarded, combine));
 }
 
 /**
  * Generate complete acl.js file
+ * @param {Object} options - Additional options
+ * @param {Array} options.sqlFiles - SQL files to read policies and functions from
+ * @param {boolean} options.offline - Skip the database and only use options.sqlFiles
+ * @param {Object} options.roleMap - Database role -> array of user.role values (policy TO clauses)
+ * @param {Array} options.schemas - Database schemas of the datasource (the schemas of the models are always read)
+ * @param {string} options.lang - Output language: 'js' (acl.js) or 'ts' (acl.ts)
+ * @param {string} options.moduleSystem - 'cjs' (module.exports) or 'esm' (export default)
+ * @param {Object} options.functionMappings - Function name -> user field, override the built-in mappings (rapidd.config.js)
+ * @param {Object} options.sessionVariables - Session variable -> user field (rapidd.config.js)
+ * @param {Object} options.layout - Output directories from rapidd.config.js (createLayout)
  */
-async function generateACL(models, outputPath, databaseUrl, isPostgreSQL, userTableOption, relationships = {}, debug = false, allModels = null) {
+async function generateACL(models, outputPath, databaseUrl, isPostgreSQL, userTableOption, relationships = {}, debug = false, allModels = null, options = {}) {
   // Use allModels for user table detection if provided (when filtering by model)
   const modelsForUserDetection = allModels || models;
   const userTable = detectUserTable(modelsForUserDetection, userTableOption);
+  const userModel = Object.keys(modelsForUserDetection).find(name => name.toLowerCase() === userTable.toLowerCase());
   const modelNames = Object.keys(models);
+  const sqlFiles = options.sqlFiles || [];
+  const schemas = [...new Set([
+    ...(options.schemas || ['public']),
+    ...Object.values(modelsForUserDetection).map(model => model.schema || 'public')
+  ])];
 
   let policies = {};
+  let selectGrants = [];
   const timestamp = new Date().toISOString();
 
+  const lang = options.lang || 'js';
+  const moduleSystem = options.moduleSystem || 'cjs';
+
   let aclCode = `const acl = {\n    model: {},\n    lastUpdateDate: '${timestamp}'\n};\n\n`;
+  if (lang === 'ts') {
+    aclCode = generateTypeScriptHeader(userModel) +
+      `const acl: {model: Record<string, AclModel<User, any>>, lastUpdateDate: string} = {\n    model: {},\n    lastUpdateDate: '${timestamp}'\n};\n\n`;
+  }
 
-  // Create enhanced converter with analyzed functions, models, and relationships
-  let converter = createEnhancedConverter({}, {}, models, relationships);
+  // Mappings of the project: rapidd.config.js and the manual entries of acl-mappings.json
+  const mappingsPath = path.join(path.dirname(outputPath), 'acl-mappings.json');
+  const projectMappings = loadProjectMappings(mappingsPath, options);
 
-  if (isPostgreSQL && databaseUrl) {
-    console.log('PostgreSQL detected - analyzing database...');
+  // Create enhanced converter with the project mappings, models, and relationships
+  let converter = createEnhancedConverter(
+    projectMappings.functionMappings,
+    projectMappings.sessionVariables,
+    allModels || models,
+    relationships
+  );
 
-    // Step 1: Analyze functions
+  let rls = null;
+  if (isPostgreSQL && databaseUrl && !options.offline) {
     try {
-      const functionAnalysis = await analyzeFunctions(databaseUrl);
-      console.log(`✓ Analyzed ${Object.keys(functionAnalysis.functionMappings).length} PostgreSQL functions`);
+      rls = await loadRLSFromDatabase(databaseUrl, models, schemas);
+    } catch (error) {
+      console.warn(`⚠ Failed to extract PostgreSQL policies: ${error.message}`);
+    }
+  }
+
+  // Without a reachable database, fall back to the SQL files (e.g. Prisma migrations)
+  if (isPostgreSQL && !rls && sqlFiles.length > 0) {
+    try {
+      rls = loadRLSFromSQL(sqlFiles, models, schemas);
+    } catch (error) {
+      console.warn(`⚠ Failed to read policies from SQL files: ${error.message}`);
+    }
+  }
+
+  if (rls) {
+    const { functionAnalysis } = rls;
+    policies = rls.policies;
+    selectGrants = rls.selectGrants || [];
 
-      // Create enhanced converter with analyzed mappings, models, and relationships
+    if (functionAnalysis) {
+      // Lookups through relations of the user model read the related record (user.teacher.id)
+      resolveUserRelationPaths(functionAnalysis, modelsForUserDetection, userModel);
+
+      // Translate the functions whose bodies were analyzed as well
       converter = createEnhancedConverter(
-        functionAnalysis.functionMappings,
-        functionAnalysis.sessionVariables,
-        models,
-        relationships
+        projectMappings.functionMappings,
+        projectMappings.sessionVariables,
+        allModels || models,
+        relationships,
+        functionAnalysis.functionMappings
       );
 
-      // Save function analysis for debugging (only if --debug flag is set)
+      // Save function analysis for debugging (only if --debug flag is set), keeping the manual entries
       if (debug) {
-        const configPath = path.join(path.dirname(outputPath), 'acl-mappings.json');
-        const mappingConfig = generateMappingConfig(functionAnalysis);
-        fs.writeFileSync(configPath, JSON.stringify(mappingConfig, null, 2));
-        console.log(`✓ Function mappings saved to ${configPath}`);
+        let previousConfig = null;
+        try {
+          previousConfig = outputFileExists(mappingsPath) ? JSON.parse(readOutputFile(mappingsPath)) : null;
+        } catch (error) {
+          // Unreadable file, loadProjectMappings already warned
+        }
+        const mappingConfig = generateMappingConfig(functionAnalysis, previousConfig);
+        writeOutputFile(mappingsPath, JSON.stringify(mappingConfig, null, 2));
+        console.log(`✓ Function mappings saved to ${mappingsPath}`);
       }
 
       // Also add user context requirements as a comment in acl.js
@@ -344,21 +754,6 @@ ${Object.entries(functionAnalysis.userContextRequirements)
 
 ` + aclCode;
       }
-    } catch (error) {
-      console.warn(`⚠ Could not analyze functions: ${error.message}`);
-    }
-
-    // Step 2: Extract policies
-    try {
-      policies = await extractPostgreSQLPolicies(databaseUrl, models);
-      const totalPolicies = Object.values(policies).reduce((sum, p) => sum + p.length, 0);
-      console.log(`✓ Extracted ${totalPolicies} policies from PostgreSQL RLS`);
-    } catch (error) {
-      console.warn(`⚠ Failed to extract PostgreSQL policies: ${error.message}`);
-      console.log('Generating permissive ACL for all models...');
-      for (const modelName of modelNames) {
-        policies[modelName] = [];
-      }
     }
   } else {
     if (!isPostgreSQL) {
@@ -373,22 +768,34 @@ ${Object.entries(functionAnalysis.userContextRequirements)
   // Generate ACL for each model
   aclCode += 'acl.model = {\n';
   const modelACLCode = modelNames.map(modelName => {
-    return generateModelACL(modelName, policies[modelName], converter);
+    const signatures = getAclSignatures(modelName, lang);
+    const omitFieldsCode = generateOmitFields(modelName, allModels || models, selectGrants, converter, options.roleMap, signatures.omit);
+    return generateModelACL(modelName, policies[modelName], converter, options.roleMap, omitFieldsCode, signatures);
   });
   aclCode += modelACLCode.join(',\n');
   aclCode += '\n};\n\n';
-  aclCode += 'module.exports = acl;\n';
+  aclCode += lang === 'ts' || moduleSystem === 'esm' ? 'export default acl;\n' : 'module.exports = acl;\n';
+  if (options.layout) {
+    aclCode = options.layout.relocate(aclCode, 'rapidd');
+  }
+  if (lang === 'ts' && moduleSystem === 'esm') {
+    aclCode = addImportExtensions(aclCode);
+  }
 
-  // Ensure output directory exists
-  const outputDir = path.dirname(outputPath);
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+  // Keep lastUpdateDate when the ACL itself didn't change, so a rebuild doesn't show up as a change
+  const lastUpdatePattern = /lastUpdateDate: '[^']*'/;
+  if (outputFileExists(outputPath)) {
+    const existingCode = readOutputFile(outputPath);
+    if (existingCode.replace(lastUpdatePattern, '') === aclCode.replace(lastUpdatePattern, '')) {
+      aclCode = existingCode;
+    }
   }
 
-  fs.writeFileSync(outputPath, aclCode);
-  console.log('✓ Generated acl.js with dynamic function mappings');
+  writeOutputFile(outputPath, aclCode);
+  console.log(`✓ Generated acl.${lang} with dynamic function mappings`);
 }
 
 module.exports = {
-  generateACL
+  generateACL,
+  detectUserTable
 };
\ No newline at end of file
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const path = require('path');
+const { outputFileExists, readOutputFile, writeOutputFile } = require('../utils/outputWriter');
+
+// First line of every model and route file, the checksum covers everything outside the custom regions
+const CHECKSUM_PATTERN = /^\/\/ rapidd:checksum ([0-9a-f]+)[^\n]*\n/;
+const REGION_PATTERN = /(\/\/ rapidd:custom-start (\w+)\n)([\s\S]*?)(^[ \t]*\/\/ rapidd:custom-end \2$)/gm;
+
+// --force: files without a checksum or edited outside their custom regions are overwritten too
+let force = false;
+
+/**
+ * Enable or disable overwriting files that may contain hand-written code (--force)
+ * @param {boolean} enabled
+ */
+function setForce(enabled) {
+  force = Boolean(enabled);
+}
+
+/**
+ * Markers of an empty custom region, for the templates
+ * Code between the markers is kept when the file is regenerated
+ * @param {string} name - Name of the region, unique in the file
+ * @param {string} indent - Indentation of the markers
+ * @returns {string}
+ */
+function customRegion(name, indent = '') {
+  return `${indent}// rapidd:custom-start ${name}\n${indent}// rapidd:custom-end ${name}`;
+}
+
+/**
+ * Code of the custom regions of a file
+ * @param {string} content - File content
+ * @returns {Object} - {name: code}
+ */
+function extractCustomRegions(content) {
+  const regions = {};
+  for (const match of content.matchAll(REGION_PATTERN)) {
+    regions[match[2]] = match[3];
+  }
+  return regions;
+}
+
+/**
+ * Checksum of the generated part of a file (without the checksum line and the code of the custom regions)
+ * @param {string} content - File content
+ * @returns {string}
+ */
+function computeChecksum(content) {
+  const generated = content
+    .replace(/\r\n/g, '\n')
+    .replace(CHECKSUM_PATTERN, '')
+    .replace(REGION_PATTERN, (match, start, name, code, end) => `${start}${end}`);
+  return crypto.createHash('sha256').update(generated).digest('hex').slice(0, 16);
+}
+
+/**
+ * Whether a generated file contains hand-written code: in its custom regions, or edits outside of them
+ * Files without a checksum (generated by an earlier version, or written by hand) may have been edited
+ * @param {string} content - File content
+ * @returns {boolean}
+ */
+function hasCustomCode(content) {
+  const header = content.match(CHECKSUM_PATTERN);
+  if (!header) {
+    return true;
+  }
+  return header[1] !== computeChecksum(content)
+    || Object.values(extractCustomRegions(content)).some(code => code.trim() !== '');
+}
+
+/**
+ * Write a generated model or route file, keeping the code of its custom regions
+ * A file that was edited outside its custom regions, or has no checksum, is not overwritten (unless --force)
+ * @param {string} filePath - Path of the file
+ * @param {string} content - Generated content, with empty custom regions
+ * @returns {boolean} - Whether the file was written
+ */
+function writeGeneratedFile(filePath, content) {
+  if (outputFileExists(filePath)) {
+    const existing = readOutputFile(filePath).replace(/\r\n/g, '\n');
+    const header = existing.match(CHECKSUM_PATTERN);
+    const fileName = path.relative(process.cwd(), filePath);
+
+    if (!header && !force) {
+      console.warn(`⚠ ${fileName} has no rapidd:checksum header (generated by an earlier version, or written by hand) and is not regenerated. Delete it to regenerate it and move your changes into its custom regions, or run rapidd build --force to overwrite it`);
+      return false;
+    }
+    if (header) {
+      if (header[1] !== computeChecksum(existing) && !force) {
+        console.warn(`⚠ ${fileName} was edited outside its rapidd:custom regions and is not regenerated. Move the changes into a custom region, or delete the file (or run rapidd build --force) to regenerate it`);
+        return false;
+      }
+
+      const regions = extractCustomRegions(existing);
+      const newRegions = extractCustomRegions(content);
+      const orphaned = Object.keys(regions).filter(name => !(name in newRegions) && regions[name].trim() !== '');
+      if (orphaned.length > 0) {
+        console.warn(`⚠ ${fileName} is not regenerated: the custom region(s) ${orphaned.join(', ')} no longer exist`);
+        return false;
+      }
+
+      content = content.replace(REGION_PATTERN, (match, start, name, code, end) => `${start}${regions[name] || ''}${end}`);
+    }
+  }
+
+  writeOutputFile(filePath, `// rapidd:checksum ${computeChecksum(content)} - code outside the rapidd:custom regions is overwritten by rapidd build\n${content}`);
+  return true;
+}
+
+module.exports = {
+  setForce,
+  customRegion,
+  extractCustomRegions,
+  computeChecksum,
+  hasCustomCode,
+  writeGeneratedFile
+};
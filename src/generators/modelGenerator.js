@@ -1,23 +1,248 @@
 const fs = require('fs');
 const path = require('path');
+const { addImportExtensions } = require('./moduleSyntax');
+const { copyOutputFile } = require('../utils/outputWriter');
+const { customRegion, writeGeneratedFile } = require('./customRegions');
+
+/**
+ * Get the primary key (@id field or @@id fields) of a model
+ * Models without an @id fall back to an Int id
+ * @param {Object} modelInfo - Model information from parser
+ * @returns {Object} - {name, type, format?} for a single key field ('uuid' format for UUID strings),
+ *                     {name, fields: [{name, type, format?}]} for a composite key (name is Prisma's compound selector)
+ */
+function getPrimaryKey(modelInfo) {
+  const fields = modelInfo.fields || {};
+
+  if (modelInfo.compositeKey && modelInfo.compositeKey.length > 1) {
+    return {
+      name: modelInfo.compositeKeyName || modelInfo.compositeKey.join('_'),
+      fields: modelInfo.compositeKey.map(name => getKeyField(name, fields[name]))
+    };
+  }
+
+  const idField = Object.entries(fields).find(([, field]) => field.isId && !field.isRelation);
+  return idField ? getKeyField(...idField) : { name: 'id', type: 'Int' };
+}
+
+/**
+ * Describe a primary key field
+ * @param {string} name - Field name
+ * @param {Object} field - Field information from parser
+ * @returns {{name: string, type: string, format?: string}}
+ */
+function getKeyField(name, field = {}) {
+  const keyField = { name, type: field.type || 'Int' };
+  const isUuid = (field.default && field.default.name === 'uuid') || (field.nativeType && field.nativeType[0] === 'Uuid');
+  if (keyField.type === 'String' && isUuid) {
+    keyField.format = 'uuid';
+  }
+  return keyField;
+}
+
+/**
+ * Format a primary key description as a JavaScript object literal
+ * @param {Object} primaryKey - Result of getPrimaryKey
+ * @returns {string} - e.g. {'name': 'id', 'type': 'Int'}
+ */
+function formatPrimaryKey(primaryKey) {
+  const entries = Object.entries(primaryKey).map(([key, value]) => Array.isArray(value)
+    ? `'${key}': [${value.map(formatPrimaryKey).join(', ')}]`
+    : `'${key}': '${value}'`);
+  return `{${entries.join(', ')}}`;
+}
+
+/**
+ * Values of an enum, from either the schema parser ({Enum: [values]}) or the DMMF ([{name, values: [{name}]}])
+ * @param {Object|Array} enums - Enums from the parser
+ * @param {string} name - Enum name
+ * @returns {Array|null}
+ */
+function getEnumValues(enums, name) {
+  if (Array.isArray(enums)) {
+    const dmmfEnum = enums.find(item => item.name === name);
+    return dmmfEnum ? dmmfEnum.values.map(value => value.name) : null;
+  }
+  return enums?.[name] || null;
+}
+
+/**
+ * Whether Prisma or the database generates the value of a field
+ * (@updatedAt, or a function default such as autoincrement(), uuid() or now())
+ * Literal defaults (@default(false)) can still be set by the client
+ * @param {Object} field - Field information from parser
+ * @returns {boolean}
+ */
+function isReadOnlyField(field) {
+  return Boolean(field.isUpdatedAt || (field.default && typeof field.default === 'object' && field.default.name));
+}
+
+/**
+ * Maximum length of a string field from its native type (@db.VarChar(n), @db.Char(n))
+ * @param {Object} field - Field information from parser
+ * @returns {number|null}
+ */
+function getMaxLength(field) {
+  const [nativeType, args = []] = field.nativeType || [];
+  const length = parseInt(args[0], 10);
+  return ['VarChar', 'Char', 'NVarChar', 'NChar'].includes(nativeType) && length > 0 ? length : null;
+}
+
+/**
+ * Key columns of a relation field that owns its foreign key
+ * @param {Object} field - Relation field from parser
+ * @returns {Object} - {fields: ['author_id'], references: ['id']}, empty lists when the other side owns the key
+ */
+function getRelationKeys(field) {
+  const readList = (fromParser, argument) => (fromParser?.length
+    ? fromParser
+    : ((field.attributes || '').match(new RegExp(`@relation\\([^)]*\\b${argument}:\\s*\\[([^\\]]*)\\]`))?.[1] || '').split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return {
+    fields: readList(field.relationFromFields, 'fields'),
+    references: readList(field.relationToFields, 'references')
+  };
+}
+
+/**
+ * Foreign key fields of a model, mapped to the relation field that sets them
+ * A create payload may connect the relation instead of passing the key
+ * @param {Object} modelInfo - Model information from parser
+ * @returns {Object} - {author_id: 'author'}
+ */
+function getForeignKeyRelations(modelInfo) {
+  const foreignKeys = {};
+  for (const [fieldName, field] of Object.entries(modelInfo.fields || {})) {
+    for (const name of getRelationKeys(field).fields) {
+      foreignKeys[name] = fieldName;
+    }
+  }
+  return foreignKeys;
+}
+
+/**
+ * Build the payload validation rules of a model from its fields
+ * @param {Object} modelInfo - Model information from parser
+ * @param {Object} models - All models (to tell relations from enums and scalars)
+ * @param {Object|Array} enums - Enums from the parser
+ * @returns {Object} - {field: {type, required?, nullable?, isArray?, readOnly?, maxLength?, format?, values?, relationField?}},
+ *                     relation fields are {relation: '<Model>'}, plus {fields, references} when the model owns the foreign key
+ */
+function getValidationSchema(modelInfo, models = {}, enums = {}) {
+  const typeMap = {
+    'String': 'string',
+    'Int': 'integer',
+    'BigInt': 'bigint',
+    'Float': 'number',
+    'Decimal': 'decimal',
+    'Boolean': 'boolean',
+    'DateTime': 'datetime',
+    'Json': 'json',
+    'Bytes': 'bytes'
+  };
+  const foreignKeys = getForeignKeyRelations(modelInfo);
+  const schema = {};
+
+  for (const [fieldName, field] of Object.entries(modelInfo.fields || {})) {
+    if (models[field.type]) {
+      const { fields, references } = getRelationKeys(field);
+      schema[fieldName] = fields.length > 0 && fields.length === references.length
+        ? { relation: field.type, fields, references }
+        : { relation: field.type };
+      continue;
+    }
+
+    const values = getEnumValues(enums, field.type);
+    const rule = values ? { type: 'enum', values } : { type: typeMap[field.type] || 'json' };
+    const readOnly = isReadOnlyField(field);
+    if (!field.optional && !field.isArray && !readOnly && !field.hasDefaultValue && field.default === undefined) {
+      rule.required = true;
+      if (foreignKeys[fieldName]) {
+        rule.relationField = foreignKeys[fieldName];
+      }
+    }
+    if (field.optional) rule.nullable = true;
+    if (field.isArray) rule.isArray = true;
+    if (readOnly) rule.readOnly = true;
+    if (rule.type === 'string' && field.nativeType?.[0] === 'Uuid') rule.format = 'uuid';
+    const maxLength = getMaxLength(field);
+    if (rule.type === 'string' && maxLength) rule.maxLength = maxLength;
+
+    schema[fieldName] = rule;
+  }
+
+  return schema;
+}
+
+/**
+ * Format validation rules as a JavaScript object literal, one field per line
+ * @param {Object} schema - Result of getValidationSchema
+ * @returns {string}
+ */
+function formatValidationSchema(schema) {
+  const formatValue = (value) => Array.isArray(value)
+    ? `[${value.map(formatValue).join(', ')}]`
+    : (typeof value === 'string' ? `'${value}'` : String(value));
+  const lines = Object.entries(schema).map(([fieldName, rule]) =>
+    `        '${fieldName}': {${Object.entries(rule).map(([key, value]) => `'${key}': ${formatValue(value)}`).join(', ')}}`);
+
+  return lines.length > 0 ? `{\n${lines.join(',\n')}\n    }` : '{}';
+}
+
+/**
+ * Type of a model's id argument
+ * @param {Object} primaryKey - Result of getPrimaryKey
+ * @param {string} lang - 'js' (JSDoc) or 'ts' (route params are strings and are coerced by the model)
+ * @returns {string} - e.g. number or {course_id: number, student_id: number}
+ */
+function getIdType(primaryKey, lang = 'js') {
+  const fieldType = (field) => {
+    const type = mapPrismaTypeToJS(field.type);
+    return lang === 'ts' && type !== 'string' ? `${type} | string` : type;
+  };
+
+  if (primaryKey.fields) {
+    return `{${primaryKey.fields.map(field => `${field.name}: ${fieldType(field)}`).join(', ')}}`;
+  }
+  return fieldType(primaryKey);
+}
 
 /**
  * Generate a single model file
  * @param {string} modelName - Name of the model
  * @param {Object} modelInfo - Model information from parser
+ * @param {string} moduleSystem - 'cjs' (require/module.exports) or 'esm' (import/export)
+ * @param {Object} validationSchema - Result of getValidationSchema
  * @returns {string} - Generated model class code
  */
-function generateModelFile(modelName, modelInfo) {
+function generateModelFile(modelName, modelInfo, moduleSystem = 'cjs', validationSchema = getValidationSchema(modelInfo)) {
   // Capitalize first letter for class name
   const className = modelName.charAt(0).toUpperCase() + modelName.slice(1);
+  const primaryKey = getPrimaryKey(modelInfo);
+  const idType = getIdType(primaryKey);
+  const sortBy = (primaryKey.fields || [primaryKey])[0].name;
+  const importModel = moduleSystem === 'esm'
+    ? `import {Model, QueryBuilder, prisma} from '../Model.js';`
+    : `const {Model, QueryBuilder, prisma} = require('../Model');`;
+  const exportModel = moduleSystem === 'esm'
+    ? `export {${className}, QueryBuilder, prisma};`
+    : `module.exports = {${className}, QueryBuilder, prisma};`;
 
-  return `const {Model, QueryBuilder, prisma} = require('../Model');
+  return `${importModel}
+${customRegion('imports')}
 
 class ${className} extends Model {
     constructor(options){
         super('${className}', options);
     }
 
+    static primaryKey = ${formatPrimaryKey(primaryKey)};
+
+    // Checked by validate() before create/update
+    static validationSchema = ${formatValidationSchema(validationSchema)};
+
     /**
      * @param {string} q
      * @property {string|Object} include
@@ -27,17 +252,17 @@ class ${className} extends Model {
      * @param {'asc'|'desc'} sortOrder
      * @returns {Object[]}
      */
-    async getMany(q = {}, include = "", limit = 25, offset = 0, sortBy = "id", sortOrder = "asc"){
+    async getMany(q = {}, include = "", limit = 25, offset = 0, sortBy = "${sortBy}", sortOrder = "asc"){
         return await this._getMany(q, include, Number(limit), Number(offset), sortBy, sortOrder);
     }
 
     /**
-     * @param {number} id
+     * @param {${idType}} id - ${primaryKey.name}
      * @param {string | Object} include
      * @returns {{} | null}
      */
     async get(id, include){
-        return await this._get(Number(id), include);
+        return await this._get(id, include);
     }
 
     /**
@@ -49,20 +274,20 @@ class ${className} extends Model {
     }
 
     /**
-     * @param {number} id
+     * @param {${idType}} id - ${primaryKey.name}
      * @param {{}} data
      * @returns {Object}
      */
     async update(id, data){
-        return await this._update(Number(id), data);
+        return await this._update(id, data);
     }
 
     /**
-     * @param {number} id
+     * @param {${idType}} id - ${primaryKey.name}
      * @returns {Object}
      */
     async delete(id){
-        return await this._delete(Number(id));
+        return await this._delete(id);
     }
 
     /**
@@ -70,7 +295,7 @@ class ${className} extends Model {
      * @returns {Object}
      */
     filter(include){
-        return {...this._filter(include), ...this.getAccessFilter()};
+        return super.filter(include);
     }
 
     /**
@@ -80,9 +305,85 @@ class ${className} extends Model {
     include(include){
         return this._include(include);
     }
+
+${customRegion('methods', '    ')}
 }
 
-module.exports = {${className}, QueryBuilder, prisma};
+${exportModel}
+`;
+}
+
+/**
+ * Generate a single TypeScript model file
+ * Arguments and results are typed with the Prisma Client types of the model
+ * @param {string} modelName - Name of the model
+ * @param {Object} modelInfo - Model information from parser
+ * @param {Object} validationSchema - Result of getValidationSchema
+ * @returns {string} - Generated model class code
+ */
+function generateTypeScriptModelFile(modelName, modelInfo, validationSchema = getValidationSchema(modelInfo)) {
+  const className = modelName.charAt(0).toUpperCase() + modelName.slice(1);
+  const primaryKey = getPrimaryKey(modelInfo);
+  const idType = getIdType(primaryKey, 'ts');
+  const sortBy = (primaryKey.fields || [primaryKey])[0].name;
+  const recordType = `${className}Record`;
+
+  return `import {Model, QueryBuilder, prisma} from '../Model';
+import type {ModelOptions, ListResult, Query, Include, ValidationSchema} from '../Model';
+import type {Prisma, ${modelName} as ${recordType}} from '../../prisma/client';
+${customRegion('imports')}
+
+class ${className} extends Model<${recordType}, Prisma.${modelName}WhereInput, Prisma.${modelName}CreateInput, Prisma.${modelName}UpdateInput> {
+    constructor(options?: ModelOptions){
+        super('${className}', options);
+    }
+
+    static primaryKey = ${formatPrimaryKey(primaryKey)};
+
+    // Checked by validate() before create/update
+    static validationSchema: ValidationSchema = ${formatValidationSchema(validationSchema)};
+
+    async getMany(q: Query = {}, include: Include = "", limit: number | string = 25, offset: number | string = 0, sortBy = "${sortBy}", sortOrder: 'asc' | 'desc' = "asc"): Promise<ListResult<${recordType}>>{
+        return await this._getMany(q, include, Number(limit), Number(offset), sortBy, sortOrder);
+    }
+
+    /**
+     * @param id - ${primaryKey.name}
+     */
+    async get(id: ${idType}, include?: Include): Promise<${recordType}>{
+        return await this._get(id, include);
+    }
+
+    async create(data: Prisma.${modelName}CreateInput): Promise<${recordType}>{
+        return await this._create(data);
+    }
+
+    /**
+     * @param id - ${primaryKey.name}
+     */
+    async update(id: ${idType}, data: Prisma.${modelName}UpdateInput): Promise<${recordType}>{
+        return await this._update(id, data);
+    }
+
+    /**
+     * @param id - ${primaryKey.name}
+     */
+    async delete(id: ${idType}): Promise<${recordType}>{
+        return await this._delete(id);
+    }
+
+    filter(include: Query): Prisma.${modelName}WhereInput{
+        return super.filter(include);
+    }
+
+    include(include: Include): Record<string, unknown> | undefined{
+        return this._include(include);
+    }
+
+${customRegion('methods', '    ')}
+}
+
+export {${className}, QueryBuilder, prisma};
 `;
 }
 
@@ -95,6 +396,7 @@ function mapPrismaTypeToJS(prismaType) {
   const typeMap = {
     'String': 'string',
     'Int': 'number',
+    'BigInt': 'bigint',
     'Float': 'number',
     'Decimal': 'number',
     'Boolean': 'boolean',
@@ -110,48 +412,60 @@ function mapPrismaTypeToJS(prismaType) {
  * Generate all model files
  * @param {Object} models - Models object from parser
  * @param {string} modelDir - Directory to output model files
- * @param {string} modelJsPath - Path to output Model.js
+ * @param {string} modelJsPath - Path to output Model.js (Model.ts)
+ * @param {string} lang - Output language: 'js' or 'ts'
+ * @param {string} moduleSystem - Module system: 'cjs' or 'esm'
+ * @param {Object|Array} enums - Enums from the parser
+ * @param {Object} allModels - All models, when models is filtered by --model
+ * @param {Object} layout - Optional: output directories from rapidd.config.js (createLayout)
  */
-function generateAllModels(models, modelDir, modelJsPath) {
-  // Create model directory if it doesn't exist
-  if (!fs.existsSync(modelDir)) {
-    fs.mkdirSync(modelDir, { recursive: true });
-  }
-
+function generateAllModels(models, modelDir, modelJsPath, lang = 'js', moduleSystem = 'cjs', enums = {}, allModels = null, layout = null) {
   // Generate individual model files
   for (const [modelName, modelInfo] of Object.entries(models)) {
-    const modelCode = generateModelFile(modelName, modelInfo);
+    const validationSchema = getValidationSchema(modelInfo, allModels || models, enums);
+    let modelCode = lang === 'ts'
+      ? generateTypeScriptModelFile(modelName, modelInfo, validationSchema)
+      : generateModelFile(modelName, modelInfo, moduleSystem, validationSchema);
+    if (layout) {
+      modelCode = layout.relocate(modelCode, 'models');
+    }
+    if (lang === 'ts' && moduleSystem === 'esm') {
+      modelCode = addImportExtensions(modelCode);
+    }
     // Capitalize first letter for filename
     const className = modelName.charAt(0).toUpperCase() + modelName.slice(1);
-    const modelPath = path.join(modelDir, `${className}.js`);
-    fs.writeFileSync(modelPath, modelCode);
-    console.log(`Generated model: ${className}.js`);
+    const modelPath = path.join(modelDir, `${className}.${lang}`);
+    if (writeGeneratedFile(modelPath, modelCode)) {
+      console.log(`Generated model: ${className}.${lang}`);
+    }
   }
 
   // Copy Model.js to output if it exists in the project
-  const sourceModelJs = path.join(process.cwd(), 'Model.js');
+  const sourceModelJs = path.join(process.cwd(), `Model.${lang}`);
   if (fs.existsSync(sourceModelJs)) {
-    fs.copyFileSync(sourceModelJs, modelJsPath);
-    console.log('Copied Model.js to output');
+    copyOutputFile(sourceModelJs, modelJsPath);
+    console.log(`Copied Model.${lang} to output`);
   } else {
-    console.warn('Warning: Model.js not found in project root');
+    console.warn(`Warning: Model.${lang} not found in project root`);
   }
 
   // Copy rapidd.js to output if it exists
-  const sourceRapiddJs = path.join(process.cwd(), 'rapidd', 'rapidd.js');
-  const outputRapiddDir = modelDir.replace(/src[\/\\]Model$/, 'rapidd');
-  const outputRapiddJs = path.join(outputRapiddDir, 'rapidd.js');
+  const sourceRapiddJs = path.join(process.cwd(), 'rapidd', `rapidd.${lang}`);
+  const outputRapiddDir = layout ? layout.rapiddDir : modelDir.replace(/src[\/\\]Model$/, 'rapidd');
+  const outputRapiddJs = path.join(outputRapiddDir, `rapidd.${lang}`);
 
   if (fs.existsSync(sourceRapiddJs)) {
-    if (!fs.existsSync(outputRapiddDir)) {
-      fs.mkdirSync(outputRapiddDir, { recursive: true });
-    }
-    fs.copyFileSync(sourceRapiddJs, outputRapiddJs);
-    console.log('Copied rapidd.js to output');
+    copyOutputFile(sourceRapiddJs, outputRapiddJs);
+    console.log(`Copied rapidd.${lang} to output`);
   }
 }
 
 module.exports = {
   generateAllModels,
-  generateModelFile
+  generateModelFile,
+  generateTypeScriptModelFile,
+  getEnumValues,
+  getPrimaryKey,
+  getValidationSchema,
+  isReadOnlyField
 };
@@ -0,0 +1,91 @@
+const path = require('path');
+
+/**
+ * Add file extensions to the relative imports of generated TypeScript
+ * Node resolves ES modules by full path, so with --module esm
+ * '../Model' becomes '../Model.js' and the Prisma client directory '../prisma/client'
+ * becomes '../prisma/client/index.js' (the paths tsc emits for "module": "NodeNext")
+ * @param {string} source - Generated TypeScript source
+ * @returns {string} - Source with extensions on relative import paths
+ */
+function addImportExtensions(source) {
+  return source.replace(/(\bfrom\s+)(['"])(\.{1,2}\/[^'"]+)\2/g, (match, from, quote, specifier) => {
+    return `${from}${quote}${resolveImportPath(specifier)}${quote}`;
+  });
+}
+
+/**
+ * Resolve a relative import path the way an ES module has to spell it
+ * @param {string} specifier - Extensionless relative path, e.g. '../Model'
+ * @returns {string} - Path with extension, e.g. '../Model.js'
+ */
+function resolveImportPath(specifier) {
+  if (/\.(m?js|json)$/.test(specifier)) {
+    return specifier;
+  }
+  if (/(^|\/)prisma\/client$/.test(specifier)) {
+    return `${specifier}/index.js`;
+  }
+  return `${specifier}.js`;
+}
+
+/**
+ * Relative imports between the generated directories when rapidd.config.js moves them
+ * Templates are written for the default layout (src/Model, src, routes/api/v1, rapidd),
+ * relocate() rewrites their relative imports for the configured directories
+ * @param {string} baseDir - Output base directory
+ * @param {Object} directories - Configured { models, routes, rapidd } directories
+ * @returns {{rapiddDir: string, relocate: Function}}
+ */
+function createLayout(baseDir, directories) {
+  const defaults = {
+    models: path.join(baseDir, 'src', 'Model'),
+    src: path.join(baseDir, 'src'),
+    routes: path.join(baseDir, 'routes', 'api', 'v1'),
+    rapidd: path.join(baseDir, 'rapidd')
+  };
+  // The base Model class lives next to the model directory, as src/Model.js next to src/Model
+  const configured = {
+    models: directories.models,
+    src: path.dirname(directories.models),
+    routes: directories.routes,
+    rapidd: directories.rapidd
+  };
+  // Most specific first: src/Model before src
+  const relocations = Object.keys(defaults)
+    .filter(name => defaults[name] !== configured[name])
+    .sort((a, b) => defaults[b].length - defaults[a].length);
+
+  return {
+    rapiddDir: directories.rapidd,
+    /**
+     * @param {string} source - Generated source
+     * @param {string} directory - Where the file is written: 'models', 'src', 'routes' or 'rapidd'
+     * @returns {string} - Source with its relative imports pointing to the configured directories
+     */
+    relocate(source, directory) {
+      if (relocations.length === 0) {
+        return source;
+      }
+      return source.replace(/(\bfrom\s+|\brequire\(\s*|\bimport\(\s*)(['"])(\.{1,2}\/[^'"]+)\2/g, (match, prefix, quote, specifier) => {
+        let target = path.resolve(defaults[directory], specifier);
+        // '../Model' from src/Model is src/Model.js, not the directory: only paths inside a directory move with it
+        const name = relocations.find(candidate => target.startsWith(defaults[candidate] + path.sep));
+        if (name) {
+          target = configured[name] + target.slice(defaults[name].length);
+        }
+        let relocated = path.relative(configured[directory], target).split(path.sep).join('/');
+        if (!relocated.startsWith('.')) {
+          relocated = `./${relocated}`;
+        }
+        return `${prefix}${quote}${relocated}${quote}`;
+      });
+    }
+  };
+}
+
+module.exports = {
+  addImportExtensions,
+  resolveImportPath,
+  createLayout
+};
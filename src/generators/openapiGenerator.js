@@ -0,0 +1,500 @@
+const fs = require('fs');
+const path = require('path');
+const { getPrimaryKey, getEnumValues, getValidationSchema, isReadOnlyField } = require('./modelGenerator');
+const { outputFileExists, readOutputFile, writeOutputFile } = require('../utils/outputWriter');
+
+const ACL_FUNCTIONS = ['canCreate', 'getAccessFilter', 'getUpdateFilter', 'canUpdateTo', 'getDeleteFilter'];
+
+/**
+ * Classify the ACL functions of every model in a generated acl.js/acl.ts
+ * 'allow' - always grants access (true or {}), 'deny' - never does (false),
+ * 'conditional' - depends on the user or the record
+ * @param {string} aclPath - Path to the generated acl file
+ * @returns {Object|null} - {model: {canCreate, ..., omitFields: []}}, null when the file doesn't exist
+ */
+function readACLPermissions(aclPath) {
+  if (!outputFileExists(aclPath)) {
+    return null;
+  }
+
+  const content = readOutputFile(aclPath);
+  const permissions = {};
+
+  // Model entries are indented by 4 spaces, their functions by 8 (see generateModelACL)
+  const modelPattern = /\n {4}(\w+): \{\n([\s\S]*?)\n {4}\}(?=,?\n)/g;
+  let modelMatch;
+  while ((modelMatch = modelPattern.exec(content)) !== null) {
+    const [, modelName, body] = modelMatch;
+    const functions = {};
+    const functionPattern = /^ {8}(\w+): [^\n]*?=>([\s\S]*?)(?=,\n {8}\w+: |$(?![\s\S]))/gm;
+    let functionMatch;
+    while ((functionMatch = functionPattern.exec(body)) !== null) {
+      functions[functionMatch[1]] = functionMatch[2];
+    }
+
+    permissions[modelName] = { omitFields: [] };
+    for (const name of ACL_FUNCTIONS) {
+      permissions[modelName][name] = classifyACLFunction(functions[name]);
+    }
+    if (functions.getOmitFields) {
+      permissions[modelName].omitFields = [...functions.getOmitFields.matchAll(/'(\w+)'/g)].map(match => match[1]);
+    }
+  }
+
+  return permissions;
+}
+
+/**
+ * Classify the body of a generated ACL function
+ * @param {string} body - Function body after the arrow (undefined when the function is missing)
+ * @returns {string} - 'allow', 'deny' or 'conditional'
+ */
+function classifyACLFunction(body) {
+  if (body === undefined) {
+    // Missing functions are not checked by the Model
+    return 'allow';
+  }
+
+  const code = body.replace(/\s+/g, '');
+  if (['true', '({})', '{returntrue;}', '{return{};}'].includes(code)) {
+    return 'allow';
+  }
+  if (['false', '{returnfalse;}'].includes(code)) {
+    return 'deny';
+  }
+  return 'conditional';
+}
+
+/**
+ * JSON Schema of a scalar Prisma type, as serialized by res.json()
+ * @param {Object} field - Field information from parser
+ * @returns {Object}
+ */
+function getScalarSchema(field) {
+  const isUuid = field.nativeType?.[0] === 'Uuid' || ['uuid', 'cuid'].includes(field.default?.name);
+
+  switch (field.type) {
+    case 'String':
+      return isUuid && field.default?.name !== 'cuid' ? { type: 'string', format: 'uuid' } : { type: 'string' };
+    case 'Int':
+      return { type: 'integer', format: 'int32' };
+    case 'BigInt':
+      return { type: 'integer', format: 'int64' };
+    case 'Float':
+      return { type: 'number', format: 'double' };
+    case 'Decimal':
+      // Prisma.Decimal is serialized as a string to keep its precision
+      return { type: 'string', format: 'decimal' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'DateTime':
+      return { type: 'string', format: 'date-time' };
+    case 'Bytes':
+      return { type: 'string', format: 'byte' };
+    case 'Json':
+    default:
+      return {};
+  }
+}
+
+/**
+ * JSON Schema of a model field (scalar, enum or relation)
+ * @param {Object} field - Field information from parser
+ * @param {Object|Array} enums - Enums from the parser
+ * @returns {Object}
+ */
+function getFieldSchema(field, enums) {
+  const schema = field.isRelation || getEnumValues(enums, field.type)
+    ? { $ref: `#/components/schemas/${field.type}` }
+    : getScalarSchema(field);
+
+  if (field.isArray) {
+    return { type: 'array', items: schema };
+  }
+  if (field.optional) {
+    if (schema.$ref) {
+      return { oneOf: [schema, { type: 'null' }] };
+    }
+    return schema.type ? { ...schema, type: [schema.type, 'null'] } : schema;
+  }
+  return schema;
+}
+
+/**
+ * Fields of a model with isRelation set by the type they refer to
+ * (the schema parser guesses relations from the capitalization of the type)
+ * @param {Object} modelInfo - Model information from parser
+ * @param {Object} models - All models
+ * @returns {Array} - [fieldName, field] entries
+ */
+function getFieldEntries(modelInfo, models) {
+  return Object.entries(modelInfo.fields).map(([fieldName, field]) => [
+    fieldName,
+    { ...field, isRelation: Boolean(models[field.type]) }
+  ]);
+}
+
+/**
+ * Foreign key fields of a model (the fields of its @relation attributes)
+ * They are optional in create payloads, since the relation can be connected instead
+ * @param {Object} modelInfo - Model information from parser
+ * @returns {Set<string>}
+ */
+function getForeignKeyFields(modelInfo) {
+  const foreignKeys = new Set();
+  for (const field of Object.values(modelInfo.fields)) {
+    const fromFields = field.relationFromFields?.length
+      ? field.relationFromFields
+      : ((field.attributes || '').match(/@relation\([^)]*\bfields:\s*\[([^\]]*)\]/)?.[1] || '').split(',');
+    fromFields.map(name => name.trim()).filter(Boolean).forEach(name => foreignKeys.add(name));
+  }
+  return foreignKeys;
+}
+
+/**
+ * Schema of a writable field with the length limit checked by Model.validate
+ * @param {Object} schema - Result of getFieldSchema
+ * @param {Object} rule - Validation rule of the field (getValidationSchema)
+ * @returns {Object}
+ */
+function writeSchema(schema, rule) {
+  if (!rule.maxLength) {
+    return schema;
+  }
+  return schema.items
+    ? { ...schema, items: { ...schema.items, maxLength: rule.maxLength } }
+    : { ...schema, maxLength: rule.maxLength };
+}
+
+/**
+ * Component schemas of a model: the record, the create payload and the update payload
+ * @param {string} modelName - Name of the model
+ * @param {Object} modelInfo - Model information from parser
+ * @param {Object} models - All models
+ * @param {Object|Array} enums - Enums from the parser
+ * @param {Array} omitFields - Fields that getOmitFields may remove from responses
+ * @returns {Object} - {[Model]: {...}, [ModelCreate]: {...}, [ModelUpdate]: {...}}
+ */
+function generateModelSchemas(modelName, modelInfo, models, enums, omitFields = []) {
+  const foreignKeys = getForeignKeyFields(modelInfo);
+  const rules = getValidationSchema(modelInfo, models, enums);
+  const record = { type: 'object', properties: {}, required: [] };
+  const create = { type: 'object', properties: {}, required: [] };
+  const update = { type: 'object', properties: {} };
+
+  for (const [fieldName, field] of getFieldEntries(modelInfo, models)) {
+    const schema = getFieldSchema(field, enums);
+
+    if (field.isRelation) {
+      // Relations are only returned when requested with ?include
+      record.properties[fieldName] = schema;
+      const nestedWrite = {
+        type: 'object',
+        description: `Nested write on ${field.type} (create, connect, connectOrCreate, ...)`,
+        additionalProperties: true
+      };
+      create.properties[fieldName] = nestedWrite;
+      update.properties[fieldName] = nestedWrite;
+      continue;
+    }
+
+    record.properties[fieldName] = schema;
+    if (!omitFields.includes(fieldName)) {
+      record.required.push(fieldName);
+    }
+
+    // Generated values (@updatedAt, @default(now()), ...) are rejected by Model.validate
+    if (isReadOnlyField(field)) {
+      continue;
+    }
+    create.properties[fieldName] = writeSchema(schema, rules[fieldName]);
+    update.properties[fieldName] = writeSchema(schema, rules[fieldName]);
+    if (rules[fieldName].required && !foreignKeys.has(fieldName)) {
+      create.required.push(fieldName);
+    }
+  }
+
+  for (const schema of [record, create]) {
+    if (schema.required.length === 0) {
+      delete schema.required;
+    }
+  }
+
+  return {
+    [modelName]: record,
+    [`${modelName}Create`]: create,
+    [`${modelName}Update`]: update
+  };
+}
+
+/**
+ * Error responses of a route
+ * @param {Array} statusCodes - HTTP status codes
+ * @returns {Object}
+ */
+function errorResponses(statusCodes) {
+  const descriptions = {
+    400: 'Invalid request',
+    401: 'No valid session',
+    403: 'Denied by the access control list',
+    404: 'Record not found'
+  };
+
+  return Object.fromEntries(statusCodes.map(code => [code, {
+    description: descriptions[code],
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+  }]));
+}
+
+/**
+ * Whether every model that can be created through a create on this model allows it
+ * Nested creates are checked against the canCreate of their own model
+ * @param {string} modelName - Name of the model
+ * @param {Object} models - All models
+ * @param {Object} permissions - Result of readACLPermissions
+ * @returns {boolean}
+ */
+function canAlwaysCreate(modelName, models, permissions) {
+  const visited = new Set();
+  const queue = [modelName];
+
+  while (queue.length > 0) {
+    const name = queue.shift();
+    if (visited.has(name)) continue;
+    visited.add(name);
+
+    if (permissions[name]?.canCreate !== 'allow') {
+      return false;
+    }
+    for (const field of Object.values(models[name]?.fields || {})) {
+      if (models[field.type]) {
+        queue.push(field.type);
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Path items of a model's routes (routes/api/v1/<model>.js)
+ * @param {string} modelName - Name of the model
+ * @param {Object} modelInfo - Model information from parser
+ * @param {Object} models - All models
+ * @param {Object} permissions - Result of readACLPermissions
+ * @returns {Object} - {'/<model>': {...}, '/<model>/{id}': {...}}
+ */
+function generateModelPaths(modelName, modelInfo, models, permissions) {
+  const className = modelName.charAt(0).toUpperCase() + modelName.slice(1);
+  const basePath = `/${modelName.toLowerCase()}`;
+  const primaryKey = getPrimaryKey(modelInfo);
+  const keyFields = primaryKey.fields || [primaryKey];
+  const acl = permissions[modelName] || {};
+  const restricted = (...functions) => functions.some(name => acl[name] !== 'allow');
+  // Updates may create related records too
+  const canAlwaysCreateNested = Object.values(modelInfo.fields || {})
+    .every(field => !models[field.type] || canAlwaysCreate(field.type, models, permissions));
+  const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+  const json = (schema) => ({ 'application/json': { schema } });
+  const tags = [className];
+
+  const scalarFields = getFieldEntries(modelInfo, models)
+    .filter(([, field]) => !field.isRelation)
+    .map(([fieldName]) => fieldName);
+  const includeParameter = { $ref: '#/components/parameters/include' };
+  const idParameters = keyFields.map(field => ({
+    name: field.name,
+    in: 'path',
+    required: true,
+    schema: getScalarSchema(field)
+  }));
+
+  return {
+    [basePath]: {
+      get: {
+        operationId: `list${className}`,
+        summary: `List ${modelName} records`,
+        tags,
+        parameters: [
+          {
+            name: 'q',
+            in: 'query',
+            description: 'Filter by field values',
+            style: 'deepObject',
+            explode: true,
+            schema: { type: 'object', additionalProperties: true }
+          },
+          includeParameter,
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, default: 25 } },
+          { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+          {
+            name: 'sortBy',
+            in: 'query',
+            description: `A field of ${modelName} (${scalarFields.join(', ')}) or a relation path such as relation.field`,
+            schema: { type: 'string', default: keyFields[0].name }
+          },
+          { name: 'sortOrder', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'asc' } }
+        ],
+        responses: {
+          200: {
+            description: `${modelName} records the user can access`,
+            content: json({
+              type: 'object',
+              properties: {
+                data: { type: 'array', items: ref(modelName) },
+                meta: ref('ListMeta')
+              }
+            })
+          },
+          ...errorResponses([400, 401])
+        }
+      },
+      post: {
+        operationId: `create${className}`,
+        summary: `Create a ${modelName} record`,
+        tags,
+        requestBody: { required: true, content: json(ref(`${modelName}Create`)) },
+        responses: {
+          201: { description: 'Created record', content: json(ref(modelName)) },
+          ...errorResponses([400, 401, ...(canAlwaysCreate(modelName, models, permissions) ? [] : [403])])
+        }
+      }
+    },
+    [`${basePath}${keyFields.map(field => `/{${field.name}}`).join('')}`]: {
+      parameters: idParameters,
+      get: {
+        operationId: `get${className}`,
+        summary: `Get a ${modelName} record`,
+        tags,
+        parameters: [includeParameter],
+        responses: {
+          200: { description: `The ${modelName} record`, content: json(ref(modelName)) },
+          ...errorResponses([400, 401, ...(restricted('getAccessFilter') ? [403] : []), 404])
+        }
+      },
+      patch: {
+        operationId: `update${className}`,
+        summary: `Update a ${modelName} record`,
+        tags,
+        requestBody: { required: true, content: json(ref(`${modelName}Update`)) },
+        responses: {
+          200: { description: 'Updated record', content: json(ref(modelName)) },
+          ...errorResponses([400, 401, ...(restricted('getUpdateFilter', 'canUpdateTo') || !canAlwaysCreateNested ? [403] : []), 404])
+        }
+      },
+      delete: {
+        operationId: `delete${className}`,
+        summary: `Delete a ${modelName} record`,
+        tags,
+        responses: {
+          200: { description: 'Record deleted', content: json(ref('MessageResponse')) },
+          ...errorResponses([400, 401, ...(restricted('getDeleteFilter') ? [403] : []), 404])
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Read title and version of the project from its package.json
+ * @param {string} baseDir - Project directory
+ * @returns {Object} - OpenAPI info object
+ */
+function getInfo(baseDir) {
+  const packagePath = path.join(baseDir, 'package.json');
+  try {
+    if (fs.existsSync(packagePath)) {
+      const { name, version, description } = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+      return { title: name || 'Rapidd API', version: version || '1.0.0', ...(description ? { description } : {}) };
+    }
+  } catch (error) {
+    console.warn(`Could not read ${packagePath}: ${error.message}`);
+  }
+  return { title: 'Rapidd API', version: '1.0.0' };
+}
+
+/**
+ * Generate openapi.json (OpenAPI 3.1) for the generated routes
+ * 403 responses are listed where the generated ACL can deny access
+ * @param {Object} models - Models object from parser
+ * @param {Object|Array} enums - Enums from the parser
+ * @param {string} outputPath - Path to output openapi.json
+ * @param {string} aclPath - Path to the generated acl.js (acl.ts)
+ * @param {Object} allModels - All models, when models is filtered by rapidd.config.js (schemas of related models are kept)
+ * @param {string} serverUrl - Base URL of the routes (api.prefix and api.version of rapidd.config.js)
+ */
+function generateOpenAPI(models, enums, outputPath, aclPath, allModels = null, serverUrl = '/api/v1') {
+  let permissions = readACLPermissions(aclPath);
+  if (!permissions) {
+    console.warn(`⚠ ${path.basename(aclPath)} not found - documenting 403 responses on every route`);
+    permissions = {};
+  }
+
+  const schemas = {};
+  const paths = {};
+
+  for (const [name, values] of Object.entries(Array.isArray(enums)
+    ? Object.fromEntries(enums.map(item => [item.name, item.values.map(value => value.name)]))
+    : enums || {})) {
+    schemas[name] = { type: 'string', enum: values };
+  }
+
+  for (const [modelName, modelInfo] of Object.entries(allModels || models)) {
+    Object.assign(schemas, generateModelSchemas(modelName, modelInfo, allModels || models, enums, permissions[modelName]?.omitFields));
+    if (models[modelName]) {
+      Object.assign(paths, generateModelPaths(modelName, modelInfo, allModels || models, permissions));
+    }
+  }
+
+  schemas.ListMeta = {
+    type: 'object',
+    properties: {
+      take: { type: 'integer' },
+      skip: { type: 'integer' },
+      total: { type: 'integer' }
+    }
+  };
+  schemas.MessageResponse = {
+    type: 'object',
+    properties: {
+      status_code: { type: 'integer' },
+      message: { type: 'string' },
+      data: { type: 'object', additionalProperties: true }
+    }
+  };
+  schemas.ErrorResponse = {
+    type: 'object',
+    properties: {
+      status_code: { type: 'integer' },
+      message: { type: 'string' },
+      data: { type: 'object', additionalProperties: true }
+    },
+    required: ['status_code', 'message']
+  };
+
+  const document = {
+    openapi: '3.1.0',
+    info: getInfo(path.dirname(outputPath)),
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas,
+      parameters: {
+        include: {
+          name: 'include',
+          in: 'query',
+          description: 'Comma-separated relations to include, or ALL',
+          schema: { type: 'string' }
+        }
+      }
+    }
+  };
+
+  writeOutputFile(outputPath, JSON.stringify(document, null, 2));
+  console.log(`✓ Generated ${path.basename(outputPath)} with ${Object.keys(paths).length} paths`);
+}
+
+module.exports = {
+  generateOpenAPI,
+  readACLPermissions
+};
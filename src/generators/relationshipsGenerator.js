@@ -1,5 +1,5 @@
-const fs = require('fs');
 const path = require('path');
+const { readOutputFile, writeOutputFile } = require('../utils/outputWriter');
 
 /**
  * Generate relationships.json from Prisma DMMF
@@ -62,14 +62,54 @@ function generateRelationships(models, outputPath) {
     }
   }
 
-  // Ensure output directory exists
-  const outputDir = path.dirname(outputPath);
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+  writeRelationshipsFile(outputPath, relationships);
+  console.log(`Generated ${path.basename(outputPath)}`);
+}
+
+/**
+ * Write relationships as JSON, or as a typed constant when the path ends with .ts
+ * @param {string} outputPath - relationships.json or relationships.ts
+ * @param {Object} relationships - Relationships by model and relation name
+ */
+function writeRelationshipsFile(outputPath, relationships) {
+  const json = JSON.stringify(relationships, null, 4);
+
+  if (path.extname(outputPath) !== '.ts') {
+    writeOutputFile(outputPath, json);
+    return;
   }
 
-  fs.writeFileSync(outputPath, JSON.stringify(relationships, null, 4));
-  console.log('Generated relationships.json');
+  writeOutputFile(outputPath, `export interface Relationship {
+    object: string;
+    field: string;
+    fields?: string[];
+}
+
+export type Relationships = Record<string, Record<string, Relationship>>;
+
+export const relationships: Relationships = ${json};
+
+export default relationships;
+`);
+}
+
+/**
+ * Read relationships written by writeRelationshipsFile
+ * @param {string} filePath - relationships.json or relationships.ts
+ * @returns {Object} - Relationships by model and relation name
+ */
+function readRelationshipsFile(filePath) {
+  const content = readOutputFile(filePath);
+
+  if (path.extname(filePath) !== '.ts') {
+    return JSON.parse(content);
+  }
+
+  const match = content.match(/export const relationships: Relationships = ([\s\S]*?);\s*export default relationships;/);
+  if (!match) {
+    throw new Error(`No relationships constant found in ${filePath}`);
+  }
+  return JSON.parse(match[1]);
 }
 
 /**
@@ -195,6 +235,8 @@ async function generateRelationshipsFromDMMF(prismaClientPath, outputPath) {
 
 module.exports = {
   generateRelationships,
+  readRelationshipsFile,
+  writeRelationshipsFile,
   generateRelationshipsFromSchema,
   generateRelationshipsFromDMMF
 };
@@ -1,16 +1,35 @@
-const fs = require('fs');
 const path = require('path');
+const { getPrimaryKey } = require('./modelGenerator');
+const { addImportExtensions } = require('./moduleSyntax');
+const { customRegion, writeGeneratedFile } = require('./customRegions');
 
 /**
  * Generate Express route for a single model
+ * The :id param is named after the @id field and coerced to its type by the model,
+ * composite keys get one param per field (/:course_id/:student_id)
  * @param {string} modelName - Name of the model
+ * @param {Object} modelInfo - Model information from parser
+ * @param {string} moduleSystem - 'cjs' (require/module.exports) or 'esm' (import/export)
  * @returns {string} - Generated route code
  */
-function generateRouteFile(modelName) {
+function generateRouteFile(modelName, modelInfo = { fields: {} }, moduleSystem = 'cjs') {
   const className = modelName.charAt(0).toUpperCase() + modelName.slice(1);
+  const primaryKey = getPrimaryKey(modelInfo);
+  const keyFields = primaryKey.fields || [primaryKey];
+  const idPath = keyFields.map(field => `/:${field.name}`).join('');
+  const idArg = primaryKey.fields
+    ? `{${keyFields.map(field => `${field.name}: req.params.${field.name}`).join(', ')}}`
+    : `req.params.${primaryKey.name}`;
+  const imports = moduleSystem === 'esm'
+    ? `import express from 'express';
+import {${className}, QueryBuilder, prisma} from '../../../src/Model/${className}.js';
 
-  return `const router = require('express').Router();
-const {${className}, QueryBuilder, prisma} = require('../../../src/Model/${className}');
+const router = express.Router();`
+    : `const router = require('express').Router();
+const {${className}, QueryBuilder, prisma} = require('../../../src/Model/${className}');`;
+
+  return `${imports}
+${customRegion('imports')}
 
 router.all('*', async (req, res, next) => {
     if(req.user){
@@ -22,10 +41,13 @@ router.all('*', async (req, res, next) => {
     }
 });
 
+// Custom routes are registered before the generated ones, so '/:id' doesn't shadow them
+${customRegion('routes')}
+
 // GET ALL
 router.get('/', async function(req, res) {
     try {
-        const { q = {}, include = "", limit = 25, offset = 0, sortBy = "id", sortOrder = "asc" } = req.query;
+        const { q = {}, include = "", limit = 25, offset = 0, sortBy = "${keyFields[0].name}", sortOrder = "asc" } = req.query;
         const results = await req.${className}.getMany(q, include, limit, offset, sortBy, sortOrder);
         return res.sendList(results.data, results.meta);
     }
@@ -36,10 +58,10 @@ router.get('/', async function(req, res) {
 });
 
 // GET BY ID
-router.get('/:id', async function(req, res) {
+router.get('${idPath}', async function(req, res) {
     try{
         const { include = ""} = req.query;
-        const response = await req.${className}.get(req.params.id, include);
+        const response = await req.${className}.get(${idArg}, include);
         return res.json(response);
     }
     catch(error){
@@ -52,6 +74,8 @@ router.get('/:id', async function(req, res) {
 router.post('/', async function(req, res) {
     const payload = req.body;
     try{
+        // Rejects invalid payloads (400 invalid_payload) before touching the database
+        req.${className}.validate(payload);
         const response = await req.${className}.create(payload);
         return res.status(201).json(response);
     }
@@ -62,10 +86,11 @@ router.post('/', async function(req, res) {
 });
 
 // UPDATE
-router.patch('/:id', async function(req, res) {
+router.patch('${idPath}', async function(req, res) {
     const payload = req.body;
     try{
-        const response = await req.${className}.update(req.params.id, payload);
+        req.${className}.validate(payload, true);
+        const response = await req.${className}.update(${idArg}, payload);
         return res.json(response);
     }
     catch(error){
@@ -75,9 +100,9 @@ router.patch('/:id', async function(req, res) {
 });
 
 // DELETE
-router.delete('/:id', async (req, res)=>{
+router.delete('${idPath}', async (req, res)=>{
     try{
-        await req.${className}.delete(req.params.id);
+        await req.${className}.delete(${idArg});
         return res.sendResponse(200, "object_deleted_successfully", {modelName: "${className}"});
     }
     catch(error){
@@ -86,7 +111,122 @@ router.delete('/:id', async (req, res)=>{
     }
 });
 
-module.exports = router;
+${moduleSystem === 'esm' ? 'export default router;' : 'module.exports = router;'}
+`;
+}
+
+/**
+ * Generate a TypeScript Express route for a single model
+ * Same routes as generateRouteFile; req.<Model> is declared on Express.Request
+ * @param {string} modelName - Name of the model
+ * @param {Object} modelInfo - Model information from parser
+ * @returns {string} - Generated route code
+ */
+function generateTypeScriptRouteFile(modelName, modelInfo = { fields: {} }) {
+  const className = modelName.charAt(0).toUpperCase() + modelName.slice(1);
+  const primaryKey = getPrimaryKey(modelInfo);
+  const keyFields = primaryKey.fields || [primaryKey];
+  const idPath = keyFields.map(field => `/:${field.name}`).join('');
+  const idArg = primaryKey.fields
+    ? `{${keyFields.map(field => `${field.name}: req.params.${field.name}`).join(', ')}}`
+    : `req.params.${primaryKey.name}`;
+
+  return `import {Router} from 'express';
+import type {Request, Response, NextFunction} from 'express';
+import {${className}, QueryBuilder, prisma} from '../../../src/Model/${className}';
+${customRegion('imports')}
+
+declare global {
+    namespace Express {
+        interface Request {
+            ${className}: ${className};
+        }
+    }
+}
+
+const router = Router();
+
+router.all('*', async (req: Request, res: Response, next: NextFunction) => {
+    if(req.user){
+        req.${className} = new ${className}({'user': req.user});
+        next();
+    }
+    else{
+        return res.sendError(401, "no_valid_session");
+    }
+});
+
+// Custom routes are registered before the generated ones, so '/:id' doesn't shadow them
+${customRegion('routes')}
+
+// GET ALL
+router.get('/', async function(req: Request, res: Response) {
+    try {
+        const { q = {}, include = "", limit = 25, offset = 0, sortBy = "${keyFields[0].name}", sortOrder = "asc" } = req.query as Record<string, any>;
+        const results = await req.${className}.getMany(q, include, limit, offset, sortBy, sortOrder);
+        return res.sendList(results.data, results.meta);
+    }
+    catch(error){
+        const response = QueryBuilder.errorHandler(error);
+        return res.status(response.status_code).send(response);
+    }
+});
+
+// GET BY ID
+router.get('${idPath}', async function(req: Request, res: Response) {
+    try{
+        const { include = ""} = req.query as Record<string, any>;
+        const response = await req.${className}.get(${idArg}, include);
+        return res.json(response);
+    }
+    catch(error){
+        const response = QueryBuilder.errorHandler(error);
+        return res.status(response.status_code).send(response);
+    }
+});
+
+// CREATE
+router.post('/', async function(req: Request, res: Response) {
+    const payload = req.body;
+    try{
+        // Rejects invalid payloads (400 invalid_payload) before touching the database
+        req.${className}.validate(payload);
+        const response = await req.${className}.create(payload);
+        return res.status(201).json(response);
+    }
+    catch(error){
+        const response = QueryBuilder.errorHandler(error, payload);
+        return res.status(response.status_code).send(response);
+    }
+});
+
+// UPDATE
+router.patch('${idPath}', async function(req: Request, res: Response) {
+    const payload = req.body;
+    try{
+        req.${className}.validate(payload, true);
+        const response = await req.${className}.update(${idArg}, payload);
+        return res.json(response);
+    }
+    catch(error){
+        const response = QueryBuilder.errorHandler(error, payload);
+        return res.status(response.status_code).send(response);
+    }
+});
+
+// DELETE
+router.delete('${idPath}', async (req: Request, res: Response)=>{
+    try{
+        await req.${className}.delete(${idArg});
+        return res.sendResponse(200, "object_deleted_successfully", {modelName: "${className}"});
+    }
+    catch(error){
+        const response = QueryBuilder.errorHandler(error);
+        return res.status(response.status_code).send(response);
+    }
+});
+
+export default router;
 `;
 }
 
@@ -94,23 +234,31 @@ module.exports = router;
  * Generate all route files
  * @param {Object} models - Models object from parser
  * @param {string} routesDir - Directory to output route files
+ * @param {string} lang - Output language: 'js' or 'ts'
+ * @param {string} moduleSystem - Module system: 'cjs' or 'esm'
+ * @param {Object} layout - Optional: output directories from rapidd.config.js (createLayout)
  */
-function generateAllRoutes(models, routesDir) {
-  // Create routes directory if it doesn't exist
-  if (!fs.existsSync(routesDir)) {
-    fs.mkdirSync(routesDir, { recursive: true });
-  }
-
+function generateAllRoutes(models, routesDir, lang = 'js', moduleSystem = 'cjs', layout = null) {
   // Generate individual route files
-  for (const modelName of Object.keys(models)) {
-    const routeCode = generateRouteFile(modelName);
-    const routePath = path.join(routesDir, `${modelName.toLowerCase()}.js`);
-    fs.writeFileSync(routePath, routeCode);
-    console.log(`Generated route: ${modelName.toLowerCase()}.js`);
+  for (const [modelName, modelInfo] of Object.entries(models)) {
+    let routeCode = lang === 'ts'
+      ? generateTypeScriptRouteFile(modelName, modelInfo)
+      : generateRouteFile(modelName, modelInfo, moduleSystem);
+    if (layout) {
+      routeCode = layout.relocate(routeCode, 'routes');
+    }
+    if (lang === 'ts' && moduleSystem === 'esm') {
+      routeCode = addImportExtensions(routeCode);
+    }
+    const routePath = path.join(routesDir, `${modelName.toLowerCase()}.${lang}`);
+    if (writeGeneratedFile(routePath, routeCode)) {
+      console.log(`Generated route: ${modelName.toLowerCase()}.${lang}`);
+    }
   }
 }
 
 module.exports = {
   generateAllRoutes,
-  generateRouteFile
+  generateRouteFile,
+  generateTypeScriptRouteFile
 };
@@ -0,0 +1,176 @@
+const path = require('path');
+const { addImportExtensions } = require('./moduleSyntax');
+const { getPrimaryKey } = require('./modelGenerator');
+const { writeOutputFile } = require('../utils/outputWriter');
+
+// User fields as convertToUserFieldPath writes them: user?.tenant_id, user?.teacher?.id, user.student?.id
+const USER_PATH_PATTERN = /\buser\??\.([A-Za-z_]\w*(?:\??\.[A-Za-z_]\w*)*)/g;
+
+/**
+ * Prisma select of the user fields and related records an ACL reads
+ * Paths are read from the generated ACL rather than while converting the policies,
+ * so a partial rebuild (--model, watch mode) still sees the ACL of every model
+ * @param {string} aclCode - Content of acl.js / acl.ts
+ * @param {Object} models - All models from the parser
+ * @param {string} userModelName - Name of the user model
+ * @returns {Object} - {select, paths}: the select object and the dotted paths it loads
+ */
+function getUserContextSelect(aclCode, models, userModelName) {
+  const keyFields = (getPrimaryKey(models[userModelName]).fields || [getPrimaryKey(models[userModelName])]).map(field => field.name);
+  const select = {};
+  const paths = new Set();
+
+  for (const match of aclCode.matchAll(USER_PATH_PATTERN)) {
+    const segments = match[1].split(/\??\./);
+    let model = models[userModelName];
+    let node = select;
+
+    for (const [index, segment] of segments.entries()) {
+      const field = model.fields?.[segment];
+      // The key identifies the user, fields the model doesn't have can't be loaded
+      if (!field || (index === 0 && keyFields.includes(segment))) break;
+
+      const related = models[field.type];
+      if (!related) {
+        node[segment] = true;
+        paths.add(segments.slice(0, index + 1).join('.'));
+        break;
+      }
+      // Lists of records aren't compared by the ACL
+      if (field.isArray) break;
+
+      if (index === segments.length - 1) {
+        // The record itself, e.g. user.teacher != null
+        if (node[segment] === undefined) node[segment] = true;
+        paths.add(segments.join('.'));
+        break;
+      }
+      if (typeof node[segment] !== 'object') {
+        node[segment] = { select: {} };
+      }
+      node = node[segment].select;
+      model = related;
+    }
+  }
+
+  return { select: sortSelect(select), paths: [...paths].sort() };
+}
+
+/**
+ * Sort the fields of a select object (recursively), so the generated file doesn't depend on the ACL order
+ */
+function sortSelect(select) {
+  return Object.fromEntries(Object.keys(select).sort().map(key => [
+    key,
+    typeof select[key] === 'object' ? { select: sortSelect(select[key].select) } : select[key]
+  ]));
+}
+
+/**
+ * Format a select object as a JavaScript object literal, one top-level field per line
+ * @param {Object} select - Prisma select
+ * @param {boolean} nested - Whether the select is the one of a relation (kept on one line)
+ * @returns {string}
+ */
+function formatSelect(select, nested = false) {
+  const entries = Object.entries(select).map(([key, value]) =>
+    `${key}: ${typeof value === 'object' ? `{ select: ${formatSelect(value.select, true)} }` : value}`
+  );
+  if (entries.length === 0) {
+    return '{}';
+  }
+  return nested ? `{ ${entries.join(', ')} }` : `{\n    ${entries.join(',\n    ')}\n}`;
+}
+
+/**
+ * Generate rapidd/userContext.js: loads the user fields and related records the ACL reads
+ * (user.teacher.id, ...) once per request; setRLSContext of rapidd.js runs it before the route
+ * @param {string} aclCode - Content of the generated ACL
+ * @param {Object} models - All models from the parser
+ * @param {string|null} userModelName - Name of the user model, null for a loader that loads nothing
+ *                                      (no ACL or user model yet, rapidd.js imports it regardless)
+ * @param {string} outputPath - Path of userContext.js / userContext.ts
+ * @param {string} lang - 'js' or 'ts'
+ * @param {string} moduleSystem - 'cjs' or 'esm'
+ * @param {Object} layout - Optional: output directories from rapidd.config.js (createLayout)
+ */
+function generateUserContext(aclCode, models, userModelName, outputPath, lang = 'js', moduleSystem = 'cjs', layout = null) {
+  const { select, paths } = userModelName ? getUserContextSelect(aclCode, models, userModelName) : { select: {}, paths: [] };
+  const ts = lang === 'ts';
+
+  let body = '    return user;';
+  if (userModelName) {
+    const primaryKey = getPrimaryKey(models[userModelName]);
+    const keyFields = (primaryKey.fields || [primaryKey]).map(field => field.name);
+    // A compound @@id is selected by its compound unique input: { tenant_id_id: { tenant_id, id } }
+    const where = primaryKey.fields
+      ? `{ ${primaryKey.name}: { ${keyFields.map(field => `${field}: user.${field}`).join(', ')} } }`
+      : `{ ${primaryKey.name}: user.${primaryKey.name} }`;
+    const client = `${userModelName.charAt(0).toLowerCase()}${userModelName.slice(1)}`;
+    body = `    if (!user || ${keyFields.map(field => `user.${field} == null`).join(' || ')} || Object.keys(USER_CONTEXT_SELECT).length === 0) {
+        return user;
+    }
+
+    let loading = loaded.get(user);
+    if (!loading) {
+        loading = prisma.${client}.findUnique({
+            where: ${where},
+            select: USER_CONTEXT_SELECT
+        }).then((record${ts ? ': Record<string, any> | null' : ''}) => {
+            for (const [field, value] of Object.entries(record || {})) {
+                if (user[field] === undefined) {
+                    user[field] = value;
+                }
+            }
+            return user;
+        });
+        // A failed load is retried by the next call
+        loading.catch(() => loaded.delete(user));
+        loaded.set(user, loading);
+    }
+
+    return loading;`;
+  }
+
+  let content = `/**
+ * User context loader, generated from the user fields acl.${lang} reads
+ * Fields: ${paths.length > 0 ? paths.join(', ') : 'none'}
+ */
+${ts ? "\nimport type { PrismaClient } from '../prisma/client';\n" : ''}
+// Prisma select of the ${userModelName || 'user'} fields and related records the ACL reads
+const USER_CONTEXT_SELECT = ${formatSelect(select)}${ts ? ' as const' : ''};
+${userModelName ? `
+// Loads in progress or done, per user object (req.user lives as long as its request)
+const loaded = new WeakMap${ts ? '<object, Promise<Record<string, any>>>' : ''}();
+` : ''}
+/**
+ * Load the fields and related records the ACL reads into the user object
+ * Values the user object already has (e.g. set by the authentication middleware) are kept
+ * @param {PrismaClient} prisma - Client without RLS (basePrisma)
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} - The user
+ */
+async function loadUserContext(${ts ? 'prisma: PrismaClient, user: Record<string, any>): Promise<Record<string, any>>' : 'prisma, user)'} {
+${body}
+}
+
+${ts || moduleSystem === 'esm' ? 'export' : 'module.exports ='} {
+    USER_CONTEXT_SELECT,
+    loadUserContext
+};
+`;
+  if (layout) {
+    content = layout.relocate(content, 'rapidd');
+  }
+  if (ts && moduleSystem === 'esm') {
+    content = addImportExtensions(content);
+  }
+
+  writeOutputFile(outputPath, content);
+  console.log(`✓ Generated ${path.basename(outputPath)} (${paths.length > 0 ? paths.join(', ') : 'no user fields to load'})`);
+}
+
+module.exports = {
+  getUserContextSelect,
+  generateUserContext
+};
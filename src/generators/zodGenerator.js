@@ -0,0 +1,254 @@
+const path = require('path');
+const { getPrimaryKey, getValidationSchema } = require('./modelGenerator');
+const { addImportExtensions } = require('./moduleSyntax');
+const { readACLPermissions } = require('./openapiGenerator');
+const { writeOutputFile } = require('../utils/outputWriter');
+
+/**
+ * Zod expression of a scalar or enum validation rule
+ * @param {Object} rule - Validation rule of the field (getValidationSchema)
+ * @returns {string}
+ */
+function zodScalar(rule) {
+  switch (rule.type) {
+    case 'string': {
+      let expression = 'z.string()';
+      if (rule.format === 'uuid') expression += '.uuid()';
+      if (rule.maxLength) expression += `.max(${rule.maxLength})`;
+      return expression;
+    }
+    case 'integer':
+      return 'z.number().int()';
+    case 'bigint':
+      return 'z.union([z.bigint(), z.number().int()])';
+    case 'number':
+      return 'z.number()';
+    case 'decimal':
+      // Prisma.Decimal is serialized as a string
+      return 'z.union([z.number(), z.string()])';
+    case 'boolean':
+      return 'z.boolean()';
+    case 'datetime':
+      return 'z.coerce.date()';
+    case 'enum':
+      return `z.enum([${rule.values.map(value => `'${value}'`).join(', ')}])`;
+    case 'bytes':
+      return 'z.instanceof(Buffer)';
+    default:
+      return 'z.unknown()';
+  }
+}
+
+/**
+ * Zod expression of a scalar field, with its list and null modifiers
+ * @param {Object} rule - Validation rule of the field
+ * @returns {string}
+ */
+function zodField(rule) {
+  let expression = zodScalar(rule);
+  if (rule.isArray) expression = `z.array(${expression})`;
+  if (rule.nullable) expression += '.nullable()';
+  return expression;
+}
+
+/**
+ * Required foreign keys that may be replaced by connecting their relation
+ * @param {Object} rules - Validation rules of the model
+ * @returns {Array<[string, string]>} - [foreign key, relation field] pairs
+ */
+function getRequiredRelations(rules) {
+  return Object.entries(rules)
+    .filter(([, rule]) => rule.required && rule.relationField)
+    .map(([fieldName, rule]) => [fieldName, rule.relationField]);
+}
+
+/**
+ * Fields that identify a record of a model (@id, @@id and @unique)
+ * @param {Object} modelInfo - Model information from parser
+ * @param {Object} rules - Validation rules of the model
+ * @returns {Array<[string, string]>} - [key, zod expression] pairs of the WhereUnique schema
+ */
+function getUniqueKeys(modelInfo, rules) {
+  const primaryKey = getPrimaryKey(modelInfo);
+  const keys = [];
+
+  if (primaryKey.fields) {
+    const compound = primaryKey.fields.map(field => `${field.name}: ${zodScalar(rules[field.name] || {})}`).join(', ');
+    keys.push([primaryKey.name, `z.object({${compound}})`]);
+  } else if (rules[primaryKey.name]) {
+    keys.push([primaryKey.name, zodScalar(rules[primaryKey.name])]);
+  }
+
+  for (const [fieldName, field] of Object.entries(modelInfo.fields)) {
+    const isUnique = field.isUnique || /@unique\b/.test(field.attributes || '');
+    if (isUnique && rules[fieldName]?.type && !keys.some(([key]) => key === fieldName)) {
+      keys.push([fieldName, zodScalar(rules[fieldName])]);
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Generate the Zod schemas of a model: read, WhereUnique, create and update (partial)
+ * Relations are nested inputs (create, connect, connectOrCreate; on update also update,
+ * disconnect, delete and set) that refer to the schemas of the related model
+ * @param {string} modelName - Name of the model
+ * @param {Object} modelInfo - Model information from parser
+ * @param {Object} models - All models
+ * @param {Object|Array} enums - Enums from the parser
+ * @param {string} lang - Output language: 'js' or 'ts'
+ * @param {string} moduleSystem - Module system: 'cjs' or 'esm'
+ * @param {Array} omitFields - Fields that getOmitFields may remove from responses (optional in the read schema)
+ * @returns {string} - Generated schema code
+ */
+function generateZodSchemaFile(modelName, modelInfo, models, enums, lang = 'js', moduleSystem = 'cjs', omitFields = []) {
+  const className = modelName.charAt(0).toUpperCase() + modelName.slice(1);
+  const rules = getValidationSchema(modelInfo, models, enums);
+  const esm = lang === 'ts' || moduleSystem === 'esm';
+  const imports = {};
+
+  // Related schemas are resolved lazily, models can refer to each other
+  const ref = (relatedModel, kind) => {
+    const relatedClass = relatedModel.charAt(0).toUpperCase() + relatedModel.slice(1);
+    const schemaName = `${relatedClass}${kind}Schema`;
+    const returnType = lang === 'ts' ? ': z.ZodTypeAny' : '';
+    // Nested creates skip the foreign key check: Prisma sets the key to the parent record
+    const unrefined = kind === 'Create' && getRequiredRelations(getValidationSchema(models[relatedModel], models, enums)).length > 0
+      ? '.innerType()'
+      : '';
+    if (relatedClass === className) {
+      return `z.lazy(()${returnType} => ${schemaName}${unrefined})`;
+    }
+    if (!esm) {
+      return `z.lazy(() => require('./${relatedClass}').${schemaName}${unrefined})`;
+    }
+    (imports[relatedClass] = imports[relatedClass] || new Set()).add(schemaName);
+    return `z.lazy(()${returnType} => ${schemaName}${unrefined})`;
+  };
+  const many = (expression, isArray) => isArray ? `z.union([${expression}, z.array(${expression})])` : expression;
+
+  const read = [];
+  const create = [];
+  const update = [];
+
+  for (const [fieldName, rule] of Object.entries(rules)) {
+    if (rule.relation) {
+      const field = modelInfo.fields[fieldName];
+      const related = ref(rule.relation, '');
+      read.push([fieldName, `${field.isArray ? `z.array(${related})` : related}${field.optional ? '.nullable()' : ''}.optional()`]);
+
+      const where = ref(rule.relation, 'WhereUnique');
+      const createInput = ref(rule.relation, 'Create');
+      const nestedCreate = [
+        `create: ${many(createInput, field.isArray)}`,
+        `connect: ${many(where, field.isArray)}`,
+        `connectOrCreate: ${many(`z.object({where: ${where}, create: ${createInput}})`, field.isArray)}`
+      ];
+      const nestedUpdate = field.isArray
+        ? [
+          `update: ${many(`z.object({where: ${where}, data: ${ref(rule.relation, 'Update')}})`, true)}`,
+          `set: z.array(${where})`,
+          `disconnect: ${many(where, true)}`,
+          `delete: ${many(where, true)}`
+        ]
+        : [
+          `update: ${ref(rule.relation, 'Update')}`,
+          'disconnect: z.boolean()',
+          'delete: z.boolean()'
+        ];
+      create.push([fieldName, `z.object({\n        ${nestedCreate.join(',\n        ')}\n    }).partial().optional()`]);
+      update.push([fieldName, `z.object({\n        ${[...nestedCreate, ...nestedUpdate].join(',\n        ')}\n    }).partial().optional()`]);
+      continue;
+    }
+
+    read.push([fieldName, omitFields.includes(fieldName) ? `${zodField(rule)}.optional()` : zodField(rule)]);
+    if (rule.readOnly) {
+      continue;
+    }
+    // A required foreign key may be replaced by connecting its relation
+    create.push([fieldName, rule.required && !rule.relationField ? zodField(rule) : `${zodField(rule)}.optional()`]);
+    update.push([fieldName, `${zodField(rule)}.optional()`]);
+  }
+
+  const uniqueKeys = getUniqueKeys(modelInfo, rules);
+  const object = (entries) => entries.length > 0
+    ? `z.object({\n${entries.map(([key, expression]) => `    ${key}: ${expression}`).join(',\n')}\n})`
+    : 'z.object({})';
+  // A required foreign key may be replaced by connecting its relation, but one of them is required
+  const requiredRelations = getRequiredRelations(rules).map(([fieldName, relationField]) => `    if (data.${fieldName} === undefined && data.${relationField} === undefined) {
+        ctx.addIssue({code: z.ZodIssueCode.custom, path: ['${fieldName}'], message: '${fieldName} or ${relationField} is required'});
+    }`);
+  const createSchema = requiredRelations.length > 0
+    ? `${object(create)}.superRefine((data, ctx) => {\n${requiredRelations.join('\n')}\n})`
+    : object(create);
+  const names = ['', 'WhereUnique', 'Create', 'Update'].map(kind => `${className}${kind}Schema`);
+
+  let header = esm ? `import { z } from 'zod';\n` : `const { z } = require('zod');\n`;
+  for (const [relatedClass, schemaNames] of Object.entries(imports)) {
+    header += `import {${[...schemaNames].join(', ')}} from './${relatedClass}';\n`;
+  }
+
+  let footer = esm
+    ? `export {${names.join(', ')}};\n`
+    : `module.exports = {${names.join(', ')}};\n`;
+  if (lang === 'ts') {
+    footer += `
+export type ${className} = z.infer<typeof ${className}Schema>;
+export type ${className}CreateInput = z.infer<typeof ${className}CreateSchema>;
+export type ${className}UpdateInput = z.infer<typeof ${className}UpdateSchema>;
+`;
+  }
+
+  return `${header}
+/**
+ * ${className} as returned by the API (relations only when included)
+ */
+const ${className}Schema = ${object(read)};
+
+/**
+ * Fields that select a single ${className} (connect, where)
+ */
+const ${className}WhereUniqueSchema = ${object(uniqueKeys)}.partial().refine(where => Object.keys(where).length > 0, 'A unique field is required');
+
+/**
+ * Create payload (read-only fields are not accepted)
+ */
+const ${className}CreateSchema = ${createSchema};
+
+/**
+ * Update payload, every field is optional
+ */
+const ${className}UpdateSchema = ${object(update)};
+
+${footer}`;
+}
+
+/**
+ * Generate src/schemas/<Model>.js with the Zod schemas of every model
+ * @param {Object} models - Models to generate schemas for
+ * @param {string} schemasDir - Directory to output schema files
+ * @param {string} lang - Output language: 'js' or 'ts'
+ * @param {string} moduleSystem - Module system: 'cjs' or 'esm'
+ * @param {Object|Array} enums - Enums from the parser
+ * @param {Object} allModels - All models, when models is filtered by --model
+ * @param {string} aclPath - Path to the generated acl.js (acl.ts), for the omitted fields
+ */
+function generateZodSchemas(models, schemasDir, lang = 'js', moduleSystem = 'cjs', enums = {}, allModels = null, aclPath = null) {
+  const permissions = (aclPath && readACLPermissions(aclPath)) || {};
+
+  for (const [modelName, modelInfo] of Object.entries(models)) {
+    let code = generateZodSchemaFile(modelName, modelInfo, allModels || models, enums, lang, moduleSystem, permissions[modelName]?.omitFields);
+    if (moduleSystem === 'esm') {
+      code = addImportExtensions(code);
+    }
+    const className = modelName.charAt(0).toUpperCase() + modelName.slice(1);
+    writeOutputFile(path.join(schemasDir, `${className}.${lang}`), code);
+    console.log(`Generated schema: ${className}.${lang}`);
+  }
+}
+
+module.exports = {
+  generateZodSchemas,
+  generateZodSchemaFile
+};
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Looked up in the working directory, in this order
+const CONFIG_FILES = ['rapidd.config.js', 'rapidd.config.json'];
+
+const COMPONENTS = ['model', 'route', 'acl', 'relationship', 'openapi', 'zod'];
+
+/**
+ * Allowed keys of rapidd.config.js and the type of their values
+ * Nested objects describe nested options; arrays list the allowed values
+ */
+const CONFIG_SCHEMA = {
+  schema: 'string',
+  output: 'string',
+  lang: ['js', 'ts'],
+  module: ['cjs', 'esm'],
+  userTable: 'string',
+  offline: 'boolean',
+  sql: 'string[]',
+  roleMap: 'roleMap',
+  functionMappings: 'mappings',
+  sessionVariables: 'mappings',
+  debug: 'boolean',
+  paths: {
+    models: 'string',
+    routes: 'string',
+    rapidd: 'string',
+    schemas: 'string',
+    openapi: 'string'
+  },
+  api: {
+    prefix: 'string',
+    version: 'string'
+  },
+  models: {
+    include: 'string[]',
+    exclude: 'string[]'
+  },
+  components: Object.fromEntries(COMPONENTS.map(component => [component, 'boolean']))
+};
+
+// Options holding file system paths, resolved relative to the config file
+const PATH_OPTIONS = ['schema', 'output', 'sql'];
+
+/**
+ * Check a config value against its schema entry
+ * @param {*} value - Value from the config file
+ * @param {string|Array|Object} type - Entry of CONFIG_SCHEMA
+ * @param {string} key - Dotted key of the value, for error messages
+ * @param {string} fileName - Config file name, for error messages
+ */
+function validateValue(value, type, key, fileName) {
+  const fail = (expected) => {
+    throw new Error(`Invalid ${fileName}: "${key}" must be ${expected}, got ${JSON.stringify(value)}`);
+  };
+  const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (Array.isArray(type)) {
+    if (!type.includes(value)) fail(`one of ${type.map(option => `"${option}"`).join(', ')}`);
+  } else if (type === 'string' || type === 'boolean') {
+    if (typeof value !== type) fail(`a ${type}`);
+  } else if (type === 'string[]') {
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) fail('an array of strings');
+  } else if (type === 'roleMap') {
+    // { database role: user role | [user roles] }
+    if (!isObject) fail('an object mapping database roles to user roles');
+    for (const [dbRole, roles] of Object.entries(value)) {
+      const valid = typeof roles === 'string' || (Array.isArray(roles) && roles.every(role => typeof role === 'string'));
+      if (!valid) {
+        throw new Error(`Invalid ${fileName}: "${key}.${dbRole}" must be a role or an array of roles, got ${JSON.stringify(roles)}`);
+      }
+    }
+  } else if (type === 'mappings') {
+    // { function or session variable: user field }
+    if (!isObject) fail('an object mapping names to user fields');
+    for (const [name, userField] of Object.entries(value)) {
+      if (typeof userField !== 'string') {
+        throw new Error(`Invalid ${fileName}: "${key}.${name}" must be a user field like "user.tenant_id", got ${JSON.stringify(userField)}`);
+      }
+    }
+  } else {
+    if (!isObject) fail('an object');
+    validateKeys(value, type, `${key}.`, fileName);
+  }
+}
+
+/**
+ * Check the keys of a config object against CONFIG_SCHEMA
+ * @param {Object} config - Config object (or a nested option)
+ * @param {Object} schema - Entry of CONFIG_SCHEMA
+ * @param {string} prefix - Dotted key of the object
+ * @param {string} fileName - Config file name, for error messages
+ */
+function validateKeys(config, schema, prefix, fileName) {
+  for (const [key, value] of Object.entries(config)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      throw new Error(`Unknown option "${prefix}${key}" in ${fileName}. Allowed options: ${Object.keys(schema).map(option => `${prefix}${option}`).join(', ')}`);
+    }
+    if (value !== undefined) {
+      validateValue(value, schema[key], `${prefix}${key}`, fileName);
+    }
+  }
+}
+
+/**
+ * Validate a config object
+ * @param {Object} config - Config object
+ * @param {string} fileName - Config file name, for error messages
+ * @returns {Object} - The config
+ */
+function validateConfig(config, fileName = 'rapidd.config.js') {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid ${fileName}: expected an object of options`);
+  }
+  validateKeys(config, CONFIG_SCHEMA, '', fileName);
+  return config;
+}
+
+/**
+ * Load rapidd.config.js or rapidd.config.json
+ * A .js config exports the options object (module.exports or export default)
+ * @param {string} configPath - Optional: explicit config file (--config)
+ * @returns {Promise<Object|null>} - { config, configPath }, null when there is no config file
+ */
+async function loadConfig(configPath = null) {
+  let filePath = null;
+  if (configPath) {
+    filePath = path.resolve(process.cwd(), configPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Config file not found at: ${filePath}`);
+    }
+  } else {
+    filePath = CONFIG_FILES.map(fileName => path.join(process.cwd(), fileName)).find(candidate => fs.existsSync(candidate));
+    if (!filePath) {
+      return null;
+    }
+  }
+
+  const fileName = path.basename(filePath);
+  let config;
+  if (path.extname(filePath) === '.json') {
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid ${fileName}: ${error.message}`);
+    }
+  } else {
+    // import() loads both CommonJS and ES module configs ("type": "module")
+    const exported = await import(pathToFileURL(filePath).href);
+    config = exported.default;
+  }
+
+  validateConfig(config, fileName);
+
+  // Paths in the config are relative to the config file
+  const configDir = path.dirname(filePath);
+  const resolved = { ...config };
+  for (const key of PATH_OPTIONS) {
+    if (typeof resolved[key] === 'string') {
+      resolved[key] = path.resolve(configDir, resolved[key]);
+    } else if (Array.isArray(resolved[key])) {
+      resolved[key] = resolved[key].map(source => path.resolve(configDir, source));
+    }
+  }
+
+  return { config: resolved, configPath: filePath };
+}
+
+/**
+ * Merge config file options with the CLI options, CLI flags take precedence
+ * @param {Object} config - Options from the config file (loadConfig)
+ * @param {Object} cliOptions - Options parsed by commander, defaults included
+ * @param {Function} isExplicit - (key) => whether the CLI option was passed rather than defaulted
+ * @returns {Object} - Build options
+ */
+function mergeConfigOptions(config, cliOptions, isExplicit) {
+  const options = { ...cliOptions };
+  for (const [key, value] of Object.entries(config || {})) {
+    if (value !== undefined && !isExplicit(key)) {
+      options[key] = value;
+    }
+  }
+  return options;
+}
+
+module.exports = {
+  loadConfig,
+  validateConfig,
+  mergeConfigOptions,
+  COMPONENTS
+};
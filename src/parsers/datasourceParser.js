@@ -73,7 +73,31 @@ function parseDatasource(schemaPath) {
     provider,
     url,
     isPostgreSQL,
-    isMySQL
+    isMySQL,
+    ...parseSchemas(datasourceBlock, url)
+  };
+}
+
+/**
+ * Parse the database schemas of the datasource
+ * The default schema comes from the `schema` parameter of the connection URL (PostgreSQL uses `public`),
+ * `schemas = [...]` lists every schema of a multiSchema project
+ * @param {string} datasourceBlock - The content inside datasource braces
+ * @param {string} url - Resolved connection URL
+ * @returns {Object} - {defaultSchema, schemas}
+ */
+function parseSchemas(datasourceBlock, url) {
+  const urlSchemaMatch = url && url.match(/[?&]schema=([^&]+)/);
+  const defaultSchema = urlSchemaMatch ? decodeURIComponent(urlSchemaMatch[1]) : 'public';
+
+  const schemasMatch = datasourceBlock.match(/schemas\s*=\s*\[([^\]]*)\]/);
+  const schemas = schemasMatch
+    ? [...schemasMatch[1].matchAll(/["']([^"']+)["']/g)].map(match => match[1])
+    : [];
+
+  return {
+    defaultSchema,
+    schemas: schemas.length > 0 ? schemas : [defaultSchema]
   };
 }
 
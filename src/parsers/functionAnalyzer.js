@@ -4,13 +4,26 @@
  */
 
 const { Client } = require('pg');
+const { parseExpression, parseSelect } = require('./sqlExpressionParser');
+const { splitStatements } = require('./sqlMigrationParser');
+const DeepSQLAnalyzer = require('./deepSQLAnalyzer');
+
+// SQL keywords followed by "(" that are not function calls
+const IGNORED_POLICY_KEYWORDS = ['SELECT', 'EXISTS', 'ANY', 'ARRAY', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'THEN', 'ELSE', 'CASE', 'WHEN', 'END'];
+
+// Table names that hold the users themselves, looked up by id they return a user field
+const USER_TABLES = ['user', 'users'];
+
+// Recognizes the functions and session variables that identify the current user (auth.uid(), current_setting(...))
+const userContextAnalyzer = new DeepSQLAnalyzer();
 
 /**
  * Analyze all PostgreSQL functions used in RLS policies
  * @param {string} databaseUrl - PostgreSQL connection URL
+ * @param {Array} schemas - Database schemas whose policies are analyzed (default: ['public'])
  * @returns {Object} - Function mappings and metadata
  */
-async function analyzeFunctions(databaseUrl) {
+async function analyzeFunctions(databaseUrl, schemas = ['public']) {
   if (!databaseUrl) {
     return {
       functionMappings: {},
@@ -25,91 +38,63 @@ async function analyzeFunctions(databaseUrl) {
     await client.connect();
 
     // Step 1: Find all functions used in RLS policies
-    const functionsQuery = await client.query(`
-      WITH rls_text AS (
-        SELECT
-          qual || ' ' || COALESCE(with_check, '') as policy_text
-        FROM pg_policies
-        WHERE schemaname = 'public'
-      ),
-      function_names AS (
-        SELECT DISTINCT
-          unnest(
-            regexp_matches(
-              policy_text,
-              '(\\w+)\\s*\\(',
-              'g'
-            )
-          ) as function_name
-        FROM rls_text
-      )
-      SELECT function_name
-      FROM function_names
-      WHERE function_name NOT IN ('SELECT', 'EXISTS', 'ANY', 'ARRAY', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'THEN', 'ELSE', 'CASE', 'WHEN', 'END')
-      AND function_name NOT LIKE 'current_setting%'
-    `);
-
-    const functionNames = functionsQuery.rows.map(r => r.function_name);
+    const policiesQuery = await client.query(`
+      SELECT qual || ' ' || COALESCE(with_check, '') as policy_text
+      FROM pg_policies
+      WHERE schemaname = ANY($1)
+    `, [schemas]);
+
+    const policyText = policiesQuery.rows.map(r => r.policy_text).join(' ');
 
     // Step 2: Analyze each function's definition
     const functionMappings = {};
     const userContextRequirements = {};
     const sessionVariables = new Set();
 
-    for (const funcName of functionNames) {
+    for (const func of findPolicyFunctions(policyText)) {
       try {
+        // Every overload in every schema, chooseFunction picks the one the policy calls
         const funcDef = await client.query(`
           SELECT
-            proname as name,
-            prosrc as source,
-            pg_get_functiondef(oid) as full_definition,
-            prorettype::regtype as return_type
-          FROM pg_proc
-          WHERE proname = $1
-          AND pronamespace = (SELECT oid FROM pg_namespace WHERE nspname = 'public')
-        `, [funcName]);
-
-        if (funcDef.rows.length > 0) {
-          const func = funcDef.rows[0];
-          const analysis = analyzeFunctionBody(func.source, func.return_type);
-
-          functionMappings[funcName] = analysis.mapping;
-
-          // Track what this function requires
-          if (analysis.requiresUserId) {
-            userContextRequirements.id = true;
-          }
-          if (analysis.queriesTable) {
-            userContextRequirements[analysis.returnField] = {
-              table: analysis.queriesTable,
-              lookupField: analysis.lookupField || 'user_id',
-              description: `${funcName}() queries ${analysis.queriesTable} table`
-            };
-          }
-
-          // Track session variables
-          analysis.sessionVars.forEach(v => sessionVariables.add(v));
+            n.nspname as schema,
+            p.proname as name,
+            p.prosrc as source,
+            p.prorettype::regtype as return_type,
+            p.proretset as returns_set,
+            l.lanname as language,
+            p.pronargs as max_args,
+            p.pronargs - p.pronargdefaults as min_args
+          FROM pg_proc p
+          JOIN pg_namespace n ON n.oid = p.pronamespace
+          JOIN pg_language l ON l.oid = p.prolang
+          WHERE p.proname = $1
+          AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+        `, [func.name]);
+
+        const definitions = funcDef.rows.map(row => ({
+          schema: row.schema,
+          name: row.name,
+          source: row.source,
+          returnType: row.returns_set ? `setof ${row.return_type}` : String(row.return_type),
+          language: row.language,
+          minArgs: row.min_args,
+          maxArgs: row.max_args
+        }));
+        const def = chooseFunction(definitions, func, schemas);
+        if (def) {
+          recordFunctionAnalysis(func.key, def, {
+            functionMappings,
+            userContextRequirements,
+            sessionVariables
+          });
         }
       } catch (e) {
-        console.warn(`Could not analyze function ${funcName}:`, e.message);
+        console.warn(`Could not analyze function ${func.key}:`, e.message);
       }
     }
 
     // Step 3: Find all session variables used
-    const settingsQuery = await client.query(`
-      SELECT DISTINCT
-        unnest(
-          regexp_matches(
-            pg_policies.qual || ' ' || COALESCE(pg_policies.with_check, ''),
-            'current_setting\\s*\\(\\s*''([^'']+)''',
-            'g'
-          )
-        ) as setting_name
-      FROM pg_policies
-      WHERE schemaname = 'public'
-    `);
-
-    settingsQuery.rows.forEach(r => sessionVariables.add(r.setting_name));
+    findSessionVariables(policyText).forEach(name => sessionVariables.add(name));
 
     await client.end();
 
@@ -133,13 +118,182 @@ async function analyzeFunctions(databaseUrl) {
   }
 }
 
+/**
+ * Analyze PostgreSQL functions defined in SQL files (e.g. Prisma migrations)
+ * Produces the same structure as analyzeFunctions without a database connection
+ * @param {Object} parsedSQL - Result of parseSQLFiles ({policies, functions})
+ * @param {Array} schemas - Database schemas whose policies are analyzed (default: ['public'])
+ * @returns {Object} - Function mappings and metadata
+ */
+function analyzeFunctionsFromSQL(parsedSQL, schemas = ['public']) {
+  const functionMappings = {};
+  const userContextRequirements = {};
+  const sessionVariables = new Set();
+
+  const policyText = parsedSQL.policies
+    .filter(policy => schemas.includes(policy.schema))
+    .map(policy => `${policy.using || ''} ${policy.withCheck || ''}`)
+    .join(' ');
+
+  // Step 1: Find all functions used in RLS policies, Step 2: analyze each function's definition
+  for (const call of findPolicyFunctions(policyText)) {
+    const func = chooseFunction(parsedSQL.functions, call, schemas);
+    if (func) {
+      recordFunctionAnalysis(call.key, func, {
+        functionMappings,
+        userContextRequirements,
+        sessionVariables
+      });
+    }
+  }
+
+  // Step 3: Find all session variables used
+  findSessionVariables(policyText).forEach(name => sessionVariables.add(name));
+
+  return {
+    functionMappings,
+    sessionVariables: Array.from(sessionVariables),
+    userContextRequirements
+  };
+}
+
+/**
+ * Find the functions called in policy expressions
+ * Functions of other schemas than public are keyed by their qualified name (auth.uid)
+ * A function called with different numbers of arguments is analyzed once, by its call without
+ * arguments when there is one (only those can stand for a user field)
+ * @param {string} policyText - USING / WITH CHECK expressions
+ * @returns {Array} - [{key, schema, name, argCount}] (schema is null for unqualified calls)
+ */
+function findPolicyFunctions(policyText) {
+  const functions = new Map();
+
+  for (const match of policyText.matchAll(/(?:"?(\w+)"?\.)?"?(\w+)"?\s*\(/g)) {
+    const schema = match[1] ? match[1].toLowerCase() : null;
+    const name = match[2];
+    if (IGNORED_POLICY_KEYWORDS.includes(name.toUpperCase()) || name.startsWith('current_setting')) {
+      continue;
+    }
+
+    const key = schema && schema !== 'public' ? `${schema}.${name}` : name;
+    const argCount = countArguments(policyText, match.index + match[0].length);
+    if (!functions.has(key)) {
+      functions.set(key, { key, schema, name, argCount });
+    } else if (argCount === 0) {
+      functions.get(key).argCount = 0;
+    }
+  }
+
+  return Array.from(functions.values());
+}
+
+/**
+ * Count the arguments of a function call
+ * @param {string} text - SQL text
+ * @param {number} start - Position after the opening parenthesis of the call
+ * @returns {number}
+ */
+function countArguments(text, start) {
+  let depth = 0;
+  let commas = 0;
+  let empty = true;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === "'") {
+      // Skip string literals, '' escapes are read as two adjacent literals
+      const end = text.indexOf("'", i + 1);
+      i = end === -1 ? text.length : end;
+      empty = false;
+      continue;
+    }
+    if (char === ')' && depth === 0) break;
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) commas++;
+    if (!/\s/.test(char)) empty = false;
+  }
+
+  return empty ? 0 : commas + 1;
+}
+
+/**
+ * Pick the definition a policy calls among the functions of the same name
+ * Unqualified calls resolve like the search path: public first, then the policy schemas,
+ * then any other schema (e.g. auth, when it's on the search path of the database role);
+ * among overloads, the one that accepts the number of arguments of the call
+ * @param {Array} definitions - [{schema, name, minArgs, maxArgs, ...}]
+ * @param {Object} call - Function call (see findPolicyFunctions)
+ * @param {Array} schemas - Database schemas whose policies are analyzed
+ * @returns {Object|null} - The definition, null when there is none
+ */
+function chooseFunction(definitions, call, schemas) {
+  const sameName = definitions.filter(def => def.name === call.name);
+  const pickOverload = overloads => overloads.find(def => def.minArgs <= call.argCount && call.argCount <= def.maxArgs) || overloads[0];
+
+  for (const schema of call.schema ? [call.schema] : ['public', ...schemas]) {
+    const overloads = sameName.filter(def => def.schema === schema);
+    if (overloads.length > 0) {
+      return pickOverload(overloads);
+    }
+  }
+
+  return !call.schema && sameName.length > 0 ? pickOverload(sameName) : null;
+}
+
+/**
+ * Find the session variables read with current_setting() in policy expressions
+ * @param {string} policyText - USING / WITH CHECK expressions
+ * @returns {Array} - Setting names
+ */
+function findSessionVariables(policyText) {
+  return Array.from(policyText.matchAll(/current_setting\s*\(\s*'([^']+)'/g), match => match[1]);
+}
+
+/**
+ * Analyze a single function and record its mapping and requirements
+ * @param {string} funcName - Function name as used in policies
+ * @param {Object} definition - Function definition {source, returnType, language}
+ * @param {Object} result - Accumulators {functionMappings, userContextRequirements, sessionVariables}
+ */
+function recordFunctionAnalysis(funcName, definition, result) {
+  const analysis = analyzeFunctionBody(definition.source, definition.returnType, definition.language);
+
+  result.functionMappings[funcName] = analysis.mapping;
+
+  // Track what this function requires
+  if (analysis.requiresUserId) {
+    result.userContextRequirements.id = true;
+  }
+  // Fields of the user table itself need no lookup
+  if (analysis.queriesTable && analysis.mapping.type !== 'direct') {
+    result.userContextRequirements[analysis.returnField] = {
+      table: analysis.queriesTable,
+      lookupField: analysis.lookupField || 'user_id',
+      description: `${funcName}() queries ${analysis.queriesTable} table`
+    };
+    if (analysis.mapping.path) {
+      Object.assign(result.userContextRequirements[analysis.returnField], {
+        path: analysis.mapping.path,
+        field: analysis.mapping.field
+      });
+    }
+  }
+
+  // Track session variables
+  analysis.sessionVars.forEach(v => result.sessionVariables.add(v));
+}
+
 /**
  * Analyze a PostgreSQL function body to understand what it does
- * @param {string} functionBody - The PL/pgSQL function source
+ * The returned value is followed back to the current user through the joins of the query,
+ * e.g. SELECT id FROM teachers WHERE user_id = auth.uid() looks up teachers.id by teachers.user_id = user.id
+ * @param {string} functionBody - The function source (SQL or PL/pgSQL)
  * @param {string} returnType - The return type of the function
+ * @param {string} language - Optional: the function language, detected from the body when omitted
  * @returns {Object} - Analysis results
  */
-function analyzeFunctionBody(functionBody, returnType) {
+function analyzeFunctionBody(functionBody, returnType, language = null) {
   const analysis = {
     mapping: null,
     requiresUserId: false,
@@ -160,8 +314,43 @@ function analyzeFunctionBody(functionBody, returnType) {
     }
   }
 
-  // Detect SELECT statements to understand what table is queried
-  const selectMatch = functionBody.match(/SELECT\s+(\w+)(?:\.(\w+))?\s+INTO\s+\w+\s+FROM\s+(\w+)/i);
+  // Follow the returned value back to the current user
+  const query = findReturnedQuery(functionBody, language);
+  const traced = query ? traceReturnedValue(query) : null;
+  if (traced && traced.userField) {
+    analysis.requiresUserId = analysis.requiresUserId || traced.userField === 'id';
+    analysis.mapping = {
+      type: 'direct',
+      returns: `user?.${traced.userField}`,
+      description: `Returns user.${traced.userField}`
+    };
+  } else if (traced) {
+    const { table, field, path } = traced;
+    analysis.queriesTable = table;
+    analysis.lookupField = path[0].column;
+    analysis.returnField = field === 'id' ? `${table}_id` : field;
+    analysis.requiresUserId = analysis.requiresUserId || path[0].userField === 'id';
+
+    if (path.length === 1 && USER_TABLES.includes(table) && path[0].column === 'id' && path[0].userField === 'id') {
+      // Querying user table directly
+      analysis.mapping = {
+        type: 'direct',
+        returns: `user?.${field}`,
+        description: `Returns user.${field}`
+      };
+    } else {
+      analysis.mapping = {
+        type: 'lookup',
+        returns: `user?.${analysis.returnField}`,
+        description: `Looks up ${table}.${field} where ${describePath(path)}`,
+        path,
+        field
+      };
+    }
+  }
+
+  // Detect SELECT statements to understand what table is queried (bodies the parser doesn't read)
+  const selectMatch = !analysis.mapping && functionBody.match(/SELECT\s+(\w+)(?:\.(\w+))?\s+INTO\s+\w+\s+FROM\s+(\w+)/i);
   if (selectMatch) {
     const fieldOrAlias = selectMatch[1];
     const fieldName = selectMatch[2] || fieldOrAlias;
@@ -235,14 +424,314 @@ function analyzeFunctionBody(functionBody, returnType) {
     }
   }
 
+  // SETOF / TABLE functions return rows, not a single value
+  if (/^(?:setof|table)\b/i.test(returnType || '')) {
+    analysis.mapping.returnsSet = true;
+  }
+
   return analysis;
 }
 
+/**
+ * Find the query whose result a function returns
+ * SQL functions return their last statement; PL/pgSQL functions RETURN QUERY, RETURN an expression,
+ * or RETURN a variable assigned by SELECT ... INTO
+ * @param {string} functionBody - The function source
+ * @param {string} language - Optional: the function language
+ * @returns {Object|null} - Select node (see sqlExpressionParser), null when the body isn't understood
+ */
+function findReturnedQuery(functionBody, language = null) {
+  const isPlpgsql = language ? language === 'plpgsql' : /^\s*(?:DECLARE|BEGIN)\b/i.test(functionBody);
+  const statements = splitStatements(functionBody)
+    .map(statement => statement.replace(/^BEGIN\s+/i, '').replace(/\bINTO\s+STRICT\b/i, 'INTO'));
+
+  try {
+    if (!isPlpgsql) {
+      const last = statements[statements.length - 1];
+      return last && /^SELECT\b/i.test(last) ? parseSelect(last) : null;
+    }
+
+    const findSelectInto = (variable) => statements.find(statement => new RegExp(`^SELECT\\b[\\s\\S]*?\\bINTO\\s+${variable}\\b`, 'i').test(statement));
+
+    for (const statement of statements) {
+      const returnMatch = statement.match(/^RETURN\s+(QUERY\s+)?([\s\S]+)$/i);
+      if (!returnMatch) continue;
+      if (returnMatch[1]) {
+        return parseSelect(returnMatch[2]);
+      }
+
+      const expr = parseExpression(returnMatch[2]);
+      if (expr.type === 'column' && !expr.table) {
+        const assignment = findSelectInto(expr.name);
+        return assignment ? parseSelect(assignment) : null;
+      }
+      return { type: 'select', columns: [{ expr, alias: null }], from: [], joins: [], where: null };
+    }
+
+    // Functions that return through an OUT parameter
+    const assignment = findSelectInto('\\w+');
+    return assignment ? parseSelect(assignment) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Follow the first column of a query back to the current user
+ * COALESCE() is followed through its first argument, scalar subqueries through their own query
+ * @param {Object} query - Select node
+ * @returns {Object|null} - {userField} when the query returns a user field itself,
+ *   {schema, table, field, path} when it returns a column of a table reached from the user:
+ *   path[0] is {schema, table, column, userField} (table.column = user.userField), every next step
+ *   {schema, table, column, fromColumn} (table.column = previous table.fromColumn);
+ *   null when the value doesn't depend on the current user
+ */
+function traceReturnedValue(query) {
+  const expr = unwrapCoalesce(query.columns[0]?.expr);
+  if (!expr) return null;
+  if (expr.type === 'subquery') {
+    return traceReturnedValue(expr.query);
+  }
+
+  const userField = resolveUserField(expr);
+  if (userField) {
+    return { userField };
+  }
+  if (expr.type !== 'column') return null;
+
+  // Tables of the query by alias, unqualified columns only resolve when there's a single table
+  const tables = new Map();
+  for (const ref of [...query.from, ...query.joins]) {
+    tables.set(ref.alias || ref.table, { schema: ref.schema || 'public', table: ref.table });
+  }
+  const resolveColumn = (node) => {
+    if (node.type !== 'column') return null;
+    const key = node.table || (tables.size === 1 ? tables.keys().next().value : null);
+    return key && tables.has(key) ? { key, column: node.name } : null;
+  };
+
+  const target = resolveColumn(expr);
+  if (!target) return null;
+
+  // Equality conditions of WHERE and JOIN ... ON: column = user field anchors the query, column = column joins tables
+  let anchor = null;
+  const edges = [];
+  const conditions = [query.where, ...query.joins.map(join => join.on)].flatMap(conjuncts);
+  for (const condition of conditions) {
+    if (condition.type !== 'comparison' || condition.operator !== '=') continue;
+    const left = resolveColumn(condition.left);
+    const right = resolveColumn(condition.right);
+    if (left && right) {
+      edges.push([left, right], [right, left]);
+    } else if (!anchor && (left || right)) {
+      const field = resolveUserField(left ? condition.right : condition.left);
+      if (field) {
+        anchor = { ...(left || right), userField: field };
+      }
+    }
+  }
+  if (!anchor) return null;
+
+  // Breadth-first search from the anchored table to the table of the returned column
+  const queue = [{ key: anchor.key, path: [{ ...tables.get(anchor.key), column: anchor.column, userField: anchor.userField }] }];
+  const visited = new Set([anchor.key]);
+  while (queue.length > 0) {
+    const { key, path } = queue.shift();
+    if (key === target.key) {
+      return { ...tables.get(key), field: target.column, path };
+    }
+    for (const [from, to] of edges) {
+      if (from.key === key && !visited.has(to.key)) {
+        visited.add(to.key);
+        queue.push({ key: to.key, path: [...path, { ...tables.get(to.key), column: to.column, fromColumn: from.column }] });
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The user field an expression stands for (auth.uid() -> 'id'), null when it isn't one
+ * @param {Object} node - AST node
+ * @returns {string|null}
+ */
+function resolveUserField(node) {
+  node = unwrapCoalesce(node);
+  if (!node || node.type !== 'function') return null;
+
+  const userField = userContextAnalyzer.resolveFunction(node);
+  if (userField) return userField;
+
+  // Settings holding the user id under another name
+  const setting = node.name === 'current_setting' && node.args[0]?.type === 'literal' ? node.args[0].value : null;
+  return setting && setting.includes('user_id') ? 'id' : null;
+}
+
+/**
+ * COALESCE(x, default) -> x
+ */
+function unwrapCoalesce(node) {
+  while (node && node.type === 'function' && node.name === 'coalesce' && node.args.length > 0) {
+    node = node.args[0];
+  }
+  return node;
+}
+
+/**
+ * Conditions joined by AND
+ */
+function conjuncts(node) {
+  if (!node) return [];
+  return node.type === 'and' ? node.args.flatMap(conjuncts) : [node];
+}
+
+/**
+ * Describe a lookup path: 'teachers.user_id = user.id, employees.id = teachers.employee_id'
+ */
+function describePath(path) {
+  return path.map((step, index) => index === 0
+    ? `${step.table}.${step.column} = user.${step.userField}`
+    : `${step.table}.${step.column} = ${path[index - 1].table}.${step.fromColumn}`
+  ).join(', ');
+}
+
+/**
+ * Resolve the lookups of the analysis to relations of the user model
+ * A lookup of teachers.id by teachers.user_id = user.id becomes user?.teacher?.id when the user model
+ * has the one-to-one relation teacher; the mapping records it as relationPath and the requirement
+ * is keyed by the dotted path ('teacher.id'). Lookups of the user table itself become user fields.
+ * Lookups that don't follow relations (or reach lists) are kept as they are.
+ * @param {Object} analysisResult - Result of analyzeFunctions / analyzeFunctionsFromSQL (updated in place)
+ * @param {Object} models - All models from the parser
+ * @param {string} userModelName - Name of the user model
+ * @returns {Object} - The analysis result
+ */
+function resolveUserRelationPaths(analysisResult, models, userModelName) {
+  const userModel = models[userModelName];
+  if (!userModel) return analysisResult;
+
+  const modelForTable = ({ schema, table }) => Object.keys(models).find(name =>
+    (models[name].dbName || name.toLowerCase()) === table && (models[name].schema || 'public') === schema
+  );
+
+  for (const mapping of Object.values(analysisResult.functionMappings)) {
+    if (mapping.type !== 'lookup' || !mapping.path) continue;
+
+    // Walk the path from the user model, every step must be a single (not list) relation
+    const relations = [];
+    let modelName = userModelName;
+    for (const [index, step] of mapping.path.entries()) {
+      const fromColumn = index === 0 ? step.userField : step.fromColumn;
+      const targetName = modelForTable(step);
+      if (index === 0 && targetName === userModelName && step.column === fromColumn) {
+        // The user table itself, looked up by the same column
+        continue;
+      }
+      const relation = targetName ? findSingleRelation(models, modelName, fromColumn, targetName, step.column) : null;
+      if (!relation) {
+        modelName = null;
+        break;
+      }
+      relations.push(relation);
+      modelName = targetName;
+    }
+    const field = modelName ? fieldForColumn(models[modelName], mapping.field) : null;
+    if (!field) continue;
+
+    const requirementKey = mapping.returns.replace(/^user\?\./, '');
+    const requirement = analysisResult.userContextRequirements[requirementKey];
+    delete analysisResult.userContextRequirements[requirementKey];
+
+    if (relations.length === 0) {
+      Object.assign(mapping, { type: 'direct', returns: `user?.${field}`, description: `Returns user.${field}` });
+      delete mapping.path;
+      delete mapping.field;
+      continue;
+    }
+
+    mapping.returns = `user?.${[...relations, field].join('?.')}`;
+    mapping.relationPath = relations;
+    if (requirement) {
+      analysisResult.userContextRequirements[[...relations, field].join('.')] = { ...requirement, relationPath: relations, field };
+    }
+  }
+
+  return analysisResult;
+}
+
+/**
+ * Find the single relation of a model that joins one of its columns to a column of another model
+ * @param {Object} models - All models from the parser
+ * @param {string} modelName - Model the relation is on
+ * @param {string} column - Column of the model
+ * @param {string} targetName - Related model
+ * @param {string} targetColumn - Column of the related model
+ * @returns {string|null} - Name of the relation field, null when there is none or it's a list
+ */
+function findSingleRelation(models, modelName, column, targetName, targetColumn) {
+  const fromField = fieldForColumn(models[modelName], column);
+  const toField = fieldForColumn(models[targetName], targetColumn);
+  if (!fromField || !toField) return null;
+
+  const sameKeys = (keys, from, to) => keys.from.length === 1 && keys.from[0] === from && keys.to[0] === to;
+  for (const [fieldName, field] of Object.entries(models[modelName].fields || {})) {
+    if (field.type !== targetName || field.isArray) continue;
+    // Foreign key on the model itself, or on the related model (back relation)
+    if (sameKeys(getRelationKeys(field), fromField, toField)) {
+      return fieldName;
+    }
+    const backRelation = Object.values(models[targetName].fields || {}).find(other =>
+      other !== field && other.type === modelName && getRelationName(other) === getRelationName(field)
+      && sameKeys(getRelationKeys(other), toField, fromField)
+    );
+    if (backRelation) {
+      return fieldName;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Foreign key fields of a relation field, from the DMMF or the @relation attribute
+ * @returns {Object} - {from: [fields], to: [referenced fields]}
+ */
+function getRelationKeys(field) {
+  const readList = (name) => ((field.attributes || '').match(new RegExp(`@relation\\([^)]*\\b${name}:\\s*\\[([^\\]]*)\\]`))?.[1] || '')
+    .split(',').map(item => item.trim()).filter(Boolean);
+  return {
+    from: field.relationFromFields?.length ? field.relationFromFields : readList('fields'),
+    to: field.relationToFields?.length ? field.relationToFields : readList('references')
+  };
+}
+
+/**
+ * Name of a relation (DMMF relationName or @relation("name")), null for unnamed relations of the schema
+ */
+function getRelationName(field) {
+  return field.relationName || (field.attributes || '').match(/@relation\(\s*(?:name:\s*)?"([^"]+)"/)?.[1] || null;
+}
+
+/**
+ * Field of a model stored in a column (@map("column") or the same name)
+ * @returns {string|null}
+ */
+function fieldForColumn(model, column) {
+  const entry = Object.entries(model?.fields || {}).find(([name, field]) =>
+    (field.dbName || (field.attributes || '').match(/@map\(\s*"([^"]+)"/)?.[1] || name) === column
+  );
+  return entry ? entry[0] : null;
+}
+
 /**
  * Generate a function mapping configuration
- * This can be saved to a file for manual adjustment if needed
+ * This can be saved to a file for manual adjustment if needed:
+ * entries changed to "type": "manual" are used by the converter and kept when the file is regenerated
+ * @param {Object} analysisResult - Result of analyzeFunctions / analyzeFunctionsFromSQL
+ * @param {Object} previousConfig - Optional: the existing acl-mappings.json
  */
-function generateMappingConfig(analysisResult) {
+function generateMappingConfig(analysisResult, previousConfig = null) {
   const config = {
     // Metadata
     generated: new Date().toISOString(),
@@ -269,6 +758,9 @@ function generateMappingConfig(analysisResult) {
       description: mapping.description,
       type: mapping.type
     };
+    if (mapping.relationPath) {
+      config.functions[funcName].relationPath = mapping.relationPath;
+    }
   }
 
   // Build session variable mappings
@@ -282,6 +774,15 @@ function generateMappingConfig(analysisResult) {
     }
   }
 
+  // Keep the entries that were edited by hand
+  for (const section of ['functions', 'sessionVariables']) {
+    for (const [name, entry] of Object.entries(previousConfig?.[section] || {})) {
+      if (entry && entry.type === 'manual') {
+        config[section][name] = entry;
+      }
+    }
+  }
+
   // Build user context requirements
   for (const [field, requirement] of Object.entries(analysisResult.userContextRequirements)) {
     if (field === 'id') {
@@ -297,6 +798,8 @@ function generateMappingConfig(analysisResult) {
 
 module.exports = {
   analyzeFunctions,
+  analyzeFunctionsFromSQL,
   analyzeFunctionBody,
+  resolveUserRelationPaths,
   generateMappingConfig
 };
\ No newline at end of file
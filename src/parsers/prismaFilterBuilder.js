@@ -21,100 +21,714 @@ class PrismaFilterBuilder {
   }
 
   /**
-   * Build a Prisma filter from SQL RLS analysis
+   * Build a Prisma filter function body from SQL RLS analysis
    * @param {string} modelName - The model to build filter for
    * @param {Object} analysis - SQL analysis from DeepSQLAnalyzer
    * @param {string} userVar - User variable name (default: 'user')
-   * @returns {string} - Prisma filter code
+   * @returns {string} - Function body, e.g. "if (...) { return {}; } return { author_id: user?.id };"
    */
   buildFilter(modelName, analysis, userVar = 'user') {
-    if (!analysis.filters || analysis.filters.length === 0) {
-      return '{}';
+    if (!analysis.ast) {
+      return 'return {};';
     }
 
-    const filters = [];
-    const modelInfo = this.models[modelName];
+    return this.renderFilter(this.compileFilter(modelName, analysis.ast, userVar));
+  }
 
-    for (const filter of analysis.filters) {
-      if (filter.type.startsWith('user_') || filter.type.startsWith('session_')) {
-        // This is a user field comparison
-        const userField = filter.userField || filter.type.replace(/^(user_|session_)/, '');
+  /**
+   * Compile an expression tree into a filter result
+   * Results are one of:
+   *   {kind: 'const', value}                     - always true / always false
+   *   {kind: 'runtime', js, op}                  - depends only on the user (e.g. role checks)
+   *   {kind: 'filter', code, grants, requires}   - Prisma filter, granted fully when any grant holds,
+   *                                                denied when any requirement fails
+   * @param {string} modelName - The model to build filter for
+   * @param {Object} node - AST node
+   * @param {string} userVar - User variable name
+   * @returns {Object} - Filter result
+   */
+  compileFilter(modelName, node, userVar = 'user') {
+    const ctx = this.createContext(modelName, { userVar });
+    const result = this.filterNode(node, ctx);
+    return ctx.state.failed ? constantResult(false) : result;
+  }
 
-        // Skip role filters - they're runtime checks, not data filters
-        if (filter.type === 'user_role' || userField === 'role') {
-          continue;
-        }
+  /**
+   * Create the compile context for a model
+   * negated tracks whether the current node sits under an odd number of NOTs,
+   * state.failed is set when a negated part cannot be translated (the whole policy then denies),
+   * state.relations collects the relation paths conditions read from the record (relationPath: path of the current subquery)
+   */
+  createContext(modelName, options) {
+    return {
+      modelName,
+      tables: this.tableNames(modelName),
+      negated: false,
+      relationPath: [],
+      state: { failed: false, relations: [] },
+      ...options
+    };
+  }
 
-        const prismaFilter = this.buildUserFieldFilter(modelName, filter.field, userField, userVar);
-        if (prismaFilter) {
-          filters.push(prismaFilter);
-        }
+  /**
+   * Names a policy may use to reference a model's table
+   */
+  tableNames(modelName) {
+    if (!modelName) return [];
+    const names = [modelName];
+    const dbName = this.models[modelName]?.dbName;
+    if (dbName) names.push(dbName);
+    return names.map(name => name.toLowerCase());
+  }
+
+  /**
+   * Find the model for a table referenced in a subquery
+   * Unqualified tables resolve like the default search path: public first, then any schema
+   * @param {string} table - Table name
+   * @param {string} schema - Schema the table is qualified with (optional)
+   */
+  findModelByTable(table, schema = null) {
+    const name = table.toLowerCase();
+    const candidates = Object.keys(this.models).filter(modelName => this.tableNames(modelName).includes(name));
+    const modelSchema = modelName => (this.models[modelName].schema || 'public').toLowerCase();
+
+    if (schema) {
+      return candidates.find(modelName => modelSchema(modelName) === schema.toLowerCase()) || null;
+    }
+    return candidates.find(modelName => modelSchema(modelName) === 'public') || candidates[0] || null;
+  }
+
+  /**
+   * Deny access when a user field looked up by a policy function is missing from the user object
+   * In SQL the function returns NULL and the comparison is never true, with or without NOT;
+   * in JavaScript undefined === undefined is, and Prisma drops { field: undefined } from filters
+   * @param {Object} node - Comparison, IN, IS or user field node
+   * @param {Object} ctx - Compile context
+   * @param {Object} result - Compiled node
+   * @param {string} kind - 'filter' or 'condition'
+   * @returns {Object} - Result that fails when a required user field is missing
+   */
+  guardUserContext(node, ctx, result, kind) {
+    const combine = (operator, results) => kind === 'filter' ? this.combineFilters(operator, results) : this.combineConditions(operator, results);
+    const paths = [...new Set(requiredUserFields(node, ctx.negated).map(field => this.convertToUserFieldPath(field, ctx.userVar)))];
+    if (paths.length === 0) {
+      return result;
+    }
+
+    // Under NOT the check is inverted with the rest of the expression
+    if (ctx.negated) {
+      return combine('OR', [joinRuntime(paths.map(path => runtimeResult(`${path} == null`, 'cmp')), '||'), result]);
+    }
+    return combine('AND', [joinRuntime(paths.map(path => runtimeResult(`${path} != null`, 'cmp')), '&&'), result]);
+  }
+
+  /**
+   * Deny access for an untranslatable part of a policy
+   * Returns false in positive position; under NOT, the whole policy is denied instead
+   */
+  failClosed(ctx, message) {
+    console.warn(`⚠ ${message} - denying access`);
+    if (ctx.negated) {
+      ctx.state.failed = true;
+    }
+    return constantResult(false);
+  }
+
+  /**
+   * Compile a single AST node into a filter result
+   */
+  filterNode(node, ctx) {
+    switch (node.type) {
+      case 'and':
+        return this.combineFilters('AND', node.args.map(arg => this.filterNode(arg, ctx)));
+      case 'or':
+        return this.combineFilters('OR', node.args.map(arg => this.filterNode(arg, ctx)));
+      case 'not':
+        return this.negateFilter(this.filterNode(node.arg, { ...ctx, negated: !ctx.negated }));
+      case 'literal':
+        if (node.valueType === 'boolean') return constantResult(node.value);
+        if (node.valueType === 'null') return constantResult(false);
+        throw new Error(`Unsupported literal ${node.value} used as condition`);
+      case 'column':
+        return filterResult(`{ ${this.resolveColumn(node, ctx)}: true }`);
+      case 'user_field':
+        return this.guardUserContext(node, ctx, runtimeResult(`${this.convertToUserFieldPath(node.field, ctx.userVar)} === true`, 'cmp'), 'filter');
+      case 'is':
+        return this.guardUserContext(node, ctx, this.filterIs(node, ctx), 'filter');
+      case 'comparison':
+        return this.guardUserContext(node, ctx, this.filterComparison(node, ctx), 'filter');
+      case 'in':
+        return this.guardUserContext(node, ctx, this.filterIn(node, ctx), 'filter');
+      case 'between':
+        return this.filterNode(expandBetween(node), ctx);
+      case 'case':
+        return this.filterNode(expandCase(node), ctx);
+      case 'exists':
+        return this.filterExists(node, ctx);
+      case 'function':
+        throw new Error(`Unsupported function ${node.schema ? `${node.schema}.` : ''}${node.name}()`);
+      default:
+        throw new Error(`Unsupported expression type '${node.type}'`);
+    }
+  }
+
+  /**
+   * Compile IS [NOT] NULL / TRUE / FALSE into a filter result
+   */
+  filterIs(node, ctx) {
+    const operand = this.classifyOperand(node.expr, ctx, false);
+
+    if (!operand) {
+      // Boolean expression: IS TRUE behaves like the expression itself
+      if (node.test === 'null') throw new Error('IS NULL on a boolean expression is not supported');
+      const isTrue = (node.test === 'true') !== node.negated;
+      const result = this.filterNode(node.expr, isTrue ? ctx : { ...ctx, negated: !ctx.negated });
+      return isTrue ? result : this.negateFilter(result);
+    }
+
+    if (operand.kind !== 'column') {
+      return runtimeResult(isTestJs(operand.js, node), 'cmp');
+    }
+
+    const field = operand.field;
+    if (node.test === 'null') {
+      return filterResult(node.negated ? `{ ${field}: { not: null } }` : `{ ${field}: null }`);
+    }
+
+    const value = node.test === 'true';
+    if (!node.negated) {
+      return filterResult(`{ ${field}: ${value} }`);
+    }
+    return filterResult(`{ OR: [{ ${field}: ${!value} }, { ${field}: null }] }`);
+  }
+
+  /**
+   * Compile a comparison into a filter result
+   */
+  filterComparison(node, ctx) {
+    let left = this.classifyOperand(node.left, ctx);
+    let right = this.classifyOperand(node.right, ctx);
+    let operator = node.operator;
+
+    if (left.kind !== 'column' && right.kind === 'column') {
+      [left, right] = [right, left];
+      operator = FLIPPED_OPERATORS[operator] || operator;
+    }
+
+    if (left.kind !== 'column') {
+      return this.runtimeComparison(left, operator, right);
+    }
+
+    if (right.kind === 'column') {
+      throw new Error('Column-to-column comparisons cannot be expressed as Prisma filters');
+    }
+
+    if (right.kind === 'user') {
+      if (operator === '=') {
+        return filterResult(this.buildUserFieldFilter(ctx.modelName, left.field, right.field, ctx.userVar));
+      }
+      if (!PRISMA_OPERATORS[operator]) {
+        throw new Error(`Unsupported operator '${operator}' against a user field`);
+      }
+      return filterResult(`{ ${left.field}: { ${PRISMA_OPERATORS[operator]}: ${right.js} } }`);
+    }
+
+    // Comparing with NULL is never true in SQL
+    if (right.literal.valueType === 'null') {
+      return constantResult(false);
+    }
+
+    const value = this.formatValue(right.literal, ctx.modelName, left.field);
+
+    if (operator === '=') {
+      return filterResult(`{ ${left.field}: ${value} }`);
+    }
+    if (operator === 'like' || operator === 'ilike') {
+      const pattern = parseLikePattern(right.literal.value);
+      const mode = operator === 'ilike' ? `, mode: 'insensitive'` : '';
+      if (pattern.method === 'equals' && !mode) {
+        return filterResult(`{ ${left.field}: ${formatString(pattern.value)} }`);
+      }
+      const prismaMethod = pattern.method === 'includes' ? 'contains' : pattern.method;
+      return filterResult(`{ ${left.field}: { ${prismaMethod}: ${formatString(pattern.value)}${mode} } }`);
+    }
+
+    return filterResult(`{ ${left.field}: { ${PRISMA_OPERATORS[operator]}: ${value} } }`);
+  }
+
+  /**
+   * Compile [NOT] IN (value list) into a filter result
+   */
+  filterIn(node, ctx) {
+    if (node.subquery) {
+      return this.filterRelation(ctx, `No relation path for IN subquery in ${ctx.modelName} policy`,
+        () => this.resolveInSubquery(node, ctx));
+    }
+
+    const operand = this.classifyOperand(node.expr, ctx);
+    if (node.values.some(value => value.type !== 'literal')) {
+      // Non-literal list: expand to OR of equality checks
+      return this.filterNode({
+        type: 'or',
+        args: node.values.map(value => ({ type: 'comparison', operator: '=', left: node.expr, right: value }))
+      }, ctx);
+    }
+
+    if (operand.kind === 'column') {
+      const values = node.values.map(value => this.formatValue(value, ctx.modelName, operand.field));
+      return filterResult(`{ ${operand.field}: { in: [${values.join(', ')}] } }`);
+    }
+
+    return this.runtimeIn(operand, node.values);
+  }
+
+  /**
+   * Compile EXISTS (correlated subquery) into a relation filter
+   * e.g. EXISTS (SELECT 1 FROM enrollment e WHERE e.course_id = course.id AND e.student_id = get_current_student_id())
+   *   -> { enrollments: { some: { student_id: user.student?.id } } }
+   */
+  filterExists(node, ctx) {
+    return this.filterRelation(ctx, `Cannot map EXISTS subquery in ${ctx.modelName} policy to a relation`,
+      () => this.resolveSubqueryRelation(node.subquery, ctx));
+  }
+
+  /**
+   * Compile a subquery resolved to a relation path into a nested relation filter
+   * @param {Object} ctx - Compile context of the outer model
+   * @param {string} failure - Warning printed when the subquery cannot be mapped
+   * @param {Function} resolve - Returns {path, ctx, where} (see resolveSubqueryRelation)
+   * @returns {Object} - Filter result
+   */
+  filterRelation(ctx, failure, resolve) {
+    let join;
+    let inner;
+    try {
+      join = resolve();
+      inner = join.where ? this.filterNode(join.where, join.ctx) : constantResult(true);
+    } catch (error) {
+      return this.failClosed(ctx, `${failure}: ${error.message}`);
+    }
+
+    if (inner.kind === 'const' && !inner.value) {
+      return inner;
+    }
+
+    // Conditions on the user alone are hoisted out of the relation filter
+    let requires = [];
+    let code = '{}';
+    if (inner.kind === 'runtime') {
+      requires = [inner];
+    } else if (inner.kind === 'filter') {
+      requires = inner.requires;
+      code = this.materializeFilter({ ...inner, requires: [] });
+    }
+
+    for (const { relationName, isArray } of [...join.path].reverse()) {
+      if (isArray) {
+        code = `{ ${relationName}: { some: ${code} } }`;
       } else {
-        // Direct field comparison
-        switch (filter.type) {
-          case 'equal':
-            const value = isNaN(filter.value) && filter.value !== 'true' && filter.value !== 'false'
-              ? `'${filter.value}'`
-              : filter.value;
-            filters.push(`{ ${filter.field}: ${value} }`);
-            break;
-          case 'not_equal':
-            filters.push(`{ ${filter.field}: { not: '${filter.value}' } }`);
-            break;
-          case 'is_null':
-            filters.push(`{ ${filter.field}: null }`);
-            break;
-          case 'not_null':
-            filters.push(`{ ${filter.field}: { not: null } }`);
-            break;
-          case 'in':
-            filters.push(`{ ${filter.field}: { in: [${filter.values.join(', ')}] } }`);
-            break;
-        }
+        code = code === '{}' ? `{ ${relationName}: { isNot: null } }` : `{ ${relationName}: ${code} }`;
       }
     }
 
-    // Check if there are role conditions
-    const hasRoleConditions = analysis.conditions && analysis.conditions.some(c =>
-      c.type === 'role_any' || c.type === 'role_equal'
-    );
-
-    // If we have role conditions with OR logic, generate conditional filter
-    const hasOrLogic = analysis.sql && analysis.sql.includes(' OR ');
-    if (hasRoleConditions && hasOrLogic && filters.length > 0) {
-      // Generate: if (roleCheck) return {}; else return filter;
-      const roleConditions = analysis.conditions.filter(c => c.type === 'role_any' || c.type === 'role_equal');
-      const roleChecks = roleConditions.map(c => {
-        if (c.type === 'role_any') {
-          return `[${c.roles.map(r => `'${r}'`).join(', ')}].includes(${userVar}?.role)`;
-        } else if (c.type === 'role_equal') {
-          return `${userVar}?.role === '${c.role}'`;
+    return { ...filterResult(code), requires };
+  }
+
+  /**
+   * Resolve the relation path a correlated subquery joins through
+   * @param {Object} select - Subquery AST
+   * @param {Object} ctx - Compile context of the outer model
+   * @returns {Object} - {path: [{relationName, isArray}], ctx, where} where ctx/where describe the remaining subquery conditions
+   */
+  resolveSubqueryRelation(select, ctx) {
+    if (select.from.length !== 1 || select.joins.length > 0) {
+      throw new Error('only single-table subqueries are supported');
+    }
+
+    const source = select.from[0];
+    const relatedModelName = this.findModelByTable(source.table, source.schema);
+    if (!relatedModelName) {
+      throw new Error(`no model for table '${source.schema ? `${source.schema}.` : ''}${source.table}'`);
+    }
+
+    const innerCtx = {
+      ...ctx,
+      modelName: relatedModelName,
+      tables: [(source.alias || source.table).toLowerCase()],
+      outer: ctx
+    };
+
+    // Split the WHERE clause into join conditions (inner column = outer column) and the rest
+    const conjuncts = !select.where ? [] : select.where.type === 'and' ? select.where.args : [select.where];
+    const correlations = [];
+    const rest = [];
+
+    for (const conjunct of conjuncts) {
+      if (conjunct.type === 'comparison' && conjunct.operator === '=' &&
+          conjunct.left.type === 'column' && conjunct.right.type === 'column') {
+        const leftScope = this.columnScope(conjunct.left, innerCtx);
+        const rightScope = this.columnScope(conjunct.right, innerCtx);
+        if (leftScope === 'inner' && rightScope === 'outer') {
+          correlations.push({ inner: conjunct.left.name, outer: conjunct.right.name });
+          continue;
+        }
+        if (leftScope === 'outer' && rightScope === 'inner') {
+          correlations.push({ inner: conjunct.right.name, outer: conjunct.left.name });
+          continue;
         }
-      }).filter(Boolean);
+      }
+      rest.push(conjunct);
+    }
+
+    if (correlations.length !== 1) {
+      throw new Error(correlations.length === 0
+        ? `subquery on '${source.table}' is not correlated with ${ctx.modelName}`
+        : `subquery on '${source.table}' joins on more than one column`);
+    }
+
+    const { inner, outer } = correlations[0];
+    const path = this.findRelationPath(ctx.modelName, outer, relatedModelName, inner);
+    if (!path) {
+      throw new Error(`no relation in relationships.json joins ${ctx.modelName}.${outer} to ${relatedModelName}.${inner}`);
+    }
+
+    return {
+      path,
+      ctx: innerCtx,
+      where: rest.length === 0 ? null : rest.length === 1 ? rest[0] : { type: 'and', args: rest }
+    };
+  }
+
+  /**
+   * Resolve the relation path behind `column IN (SELECT ...)`
+   * e.g. project.team_id IN (SELECT team_id FROM team_members WHERE ...) -> team -> members
+   * @param {Object} node - IN node with a subquery
+   * @param {Object} ctx - Compile context of the outer model
+   * @returns {Object} - {path, ctx, where}
+   */
+  resolveInSubquery(node, ctx) {
+    const select = node.subquery;
+    if (select.columns.length !== 1 || select.columns[0].expr.type !== 'column') {
+      throw new Error('subquery must select a single column');
+    }
+
+    const selected = select.columns[0].expr;
+
+    // user_value IN (SELECT col FROM t WHERE <correlated>) is EXISTS with an extra condition
+    if (node.expr.type === 'user_field') {
+      const match = { type: 'comparison', operator: '=', left: selected, right: node.expr };
+      return this.resolveSubqueryRelation({
+        ...select,
+        where: select.where ? { type: 'and', args: [select.where, match] } : match
+      }, ctx);
+    }
+
+    if (node.expr.type !== 'column') {
+      throw new Error('left side of IN must be a column or user value');
+    }
+    if (select.from.length !== 1 || select.joins.length > 0) {
+      throw new Error('only single-table subqueries are supported');
+    }
+
+    const source = select.from[0];
+    const relatedModelName = this.findModelByTable(source.table, source.schema);
+    if (!relatedModelName) {
+      throw new Error(`no model for table '${source.schema ? `${source.schema}.` : ''}${source.table}'`);
+    }
+
+    const field = this.resolveColumn(node.expr, ctx);
+    const innerCtx = {
+      ...ctx,
+      modelName: relatedModelName,
+      tables: [(source.alias || source.table).toLowerCase()],
+      outer: ctx
+    };
+    if (this.columnScope(selected, innerCtx) !== 'inner') {
+      throw new Error(`selected column ${selected.name} does not belong to '${source.table}'`);
+    }
+
+    const path = this.findRelationPath(ctx.modelName, field, relatedModelName, selected.name);
+    if (!path) {
+      throw new Error(`no relation path from ${ctx.modelName}.${field} to ${relatedModelName}.${selected.name}`);
+    }
+
+    return { path, ctx: innerCtx, where: select.where || null };
+  }
+
+  /**
+   * Find a relation path joining model.field to relatedModel.relatedField
+   * Tries a direct relation first, then one hop through the model referenced by field
+   * @returns {Array|null} - [{relationName, isArray}, ...]
+   */
+  findRelationPath(modelName, field, relatedModelName, relatedField) {
+    const direct = this.findRelation(modelName, relatedModelName, { inner: relatedField, outer: field });
+    if (direct) return [direct];
+
+    const ownField = this.models[modelName]?.fields?.[field];
+    if (!ownField || ownField.isRelation) return null;
+
+    for (const [relationName, relationInfo] of Object.entries(this.relationships[modelName] || {})) {
+      if (relationInfo.fields || relationInfo.field !== field) continue;
+
+      // field is a foreign key: continue from the referenced model's primary key
+      const [primaryKey] = this.primaryKeyFields(relationInfo.object);
+      const hop = this.findRelation(relationInfo.object, relatedModelName, { inner: relatedField, outer: primaryKey || 'id' });
+      if (hop) {
+        return [{ relationName, isArray: false }, hop];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a field is the primary key of a model (assumed when the key is unknown)
+   */
+  isPrimaryKey(modelName, fieldName) {
+    const primaryKey = this.primaryKeyFields(modelName);
+    return primaryKey.length === 0 || primaryKey.includes(fieldName);
+  }
+
+  /**
+   * Primary key fields of a model (empty when unknown)
+   */
+  primaryKeyFields(modelName) {
+    const modelInfo = this.models[modelName];
+    if (!modelInfo) return [];
+    if (modelInfo.compositeKey && modelInfo.compositeKey.length > 0) return modelInfo.compositeKey;
+
+    return Object.entries(modelInfo.fields || {})
+      .filter(([, field]) => !field.isRelation && (field.isId || /@id\b/.test(field.attributes || '')))
+      .map(([name]) => name);
+  }
+
+  /**
+   * Determine whether a column in a subquery belongs to the subquery table or the outer model
+   * @returns {string|null} - 'inner' | 'outer' | null
+   */
+  columnScope(column, innerCtx) {
+    const outer = innerCtx.outer;
+    if (column.table) {
+      const table = column.table.toLowerCase();
+      if (innerCtx.tables.includes(table)) return 'inner';
+      if (outer.tables.includes(table)) return 'outer';
+      return null;
+    }
+
+    // Unqualified names resolve to the subquery table first, like in SQL
+    if (this.models[innerCtx.modelName]?.fields?.[column.name]) return 'inner';
+    if (this.models[outer.modelName]?.fields?.[column.name]) return 'outer';
+    return null;
+  }
+
+  /**
+   * Find the relation of a model matching a join condition
+   * @param {string} modelName - Outer model
+   * @param {string} relatedModelName - Subquery model
+   * @param {Object} correlation - {inner, outer} column names of the join condition
+   * @returns {Object|null} - {relationName, isArray}
+   */
+  findRelation(modelName, relatedModelName, correlation) {
+    const modelRelations = this.relationships[modelName] || {};
+
+    for (const [relationName, relationInfo] of Object.entries(modelRelations)) {
+      if (relationInfo.object !== relatedModelName) continue;
+
+      // Foreign key on the related model (1:n, or junction table for n:m)
+      const childKey = relationInfo.fields ? relationInfo.fields[0] : relationInfo.field;
+      const relatedField = this.models[relatedModelName]?.fields?.[childKey];
+      if (correlation.inner === childKey && relatedField && !relatedField.isRelation &&
+          this.isPrimaryKey(modelName, correlation.outer)) {
+        const relation = this.models[modelName]?.relations?.find(r => r.name === relationName);
+        return { relationName, isArray: relation ? relation.isArray : true };
+      }
+
+      // Foreign key on this model (n:1)
+      const ownField = this.models[modelName]?.fields?.[relationInfo.field];
+      if (correlation.outer === relationInfo.field && ownField && !ownField.isRelation &&
+          this.isPrimaryKey(relatedModelName, correlation.inner)) {
+        return { relationName, isArray: false };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Compare two non-column operands at runtime (e.g. role checks)
+   */
+  runtimeComparison(left, operator, right) {
+    if (operator === '=' && left.kind === 'user' && left.field === 'role' && right.kind === 'literal' && right.literal.valueType === 'string') {
+      return roleResult(left.js, [right.literal.value]);
+    }
+    if (operator === '=' && right.kind === 'user' && right.field === 'role' && left.kind === 'literal' && left.literal.valueType === 'string') {
+      return roleResult(right.js, [left.literal.value]);
+    }
+    return runtimeResult(comparisonJs(left.js, operator, right.js), 'cmp');
+  }
+
+  /**
+   * Check a non-column operand against a literal list at runtime
+   */
+  runtimeIn(operand, values) {
+    if (operand.kind === 'user' && operand.field === 'role' && values.every(value => value.valueType === 'string')) {
+      return roleResult(operand.js, values.map(value => value.value));
+    }
+    return runtimeResult(`[${values.map(formatLiteral).join(', ')}].includes(${operand.js})`);
+  }
+
+  /**
+   * Classify an operand as a column of the current model, a user field or a literal
+   * @param {Object} node - AST node
+   * @param {Object} ctx - Compile context
+   * @param {boolean} strict - Throw for unsupported operands (otherwise return null)
+   * @returns {Object|null} - {kind: 'column'|'user'|'literal', ...}
+   */
+  classifyOperand(node, ctx, strict = true) {
+    switch (node.type) {
+      case 'column':
+        return { kind: 'column', field: this.resolveColumn(node, ctx) };
+      case 'user_field':
+        return { kind: 'user', field: node.field, js: this.convertToUserFieldPath(node.field, ctx.userVar) };
+      case 'literal':
+        return { kind: 'literal', literal: node, js: formatLiteral(node) };
+    }
+
+    if (!strict) return null;
+    if (node.type === 'function') {
+      throw new Error(`Unsupported function ${node.schema ? `${node.schema}.` : ''}${node.name}()`);
+    }
+    throw new Error(`Unsupported operand of type '${node.type}'`);
+  }
 
-      const roleCheck = roleChecks.length > 1 ? `(${roleChecks.join(' || ')})` : roleChecks[0];
-      const dataFilter = filters.length === 1 ? filters[0] : `{ AND: [${filters.join(', ')}] }`;
+  /**
+   * Resolve a column reference to a field name of the current model
+   */
+  resolveColumn(node, ctx) {
+    if (node.table && ctx.tables && !ctx.tables.includes(node.table.toLowerCase())) {
+      throw new Error(`Column ${node.table}.${node.name} does not belong to ${ctx.modelName}`);
+    }
+    if (!node.table && ctx.outer && !this.models[ctx.modelName]?.fields?.[node.name]) {
+      throw new Error(`Column ${node.name} does not belong to ${ctx.modelName}`);
+    }
+    return node.name;
+  }
+
+  /**
+   * Format a literal for a Prisma filter, coercing numeric strings for numeric fields
+   */
+  formatValue(literal, modelName, fieldName) {
+    const field = this.models[modelName]?.fields?.[fieldName];
+    if (field && NUMERIC_TYPES.includes(field.type) && literal.valueType === 'string' && literal.value !== '' && !isNaN(literal.value)) {
+      return field.type === 'BigInt' ? `${literal.value}n` : literal.value;
+    }
+    return formatLiteral(literal);
+  }
+
+  /**
+   * Combine filter results with AND / OR
+   * @param {string} operator - 'AND' or 'OR'
+   * @param {Array} results - Filter results
+   * @returns {Object} - Combined filter result
+   */
+  combineFilters(operator, results) {
+    const isAnd = operator === 'AND';
 
-      return `if (${roleCheck}) { return {}; } return ${dataFilter};`;
+    // Short-circuit on constants
+    if (results.some(result => result.kind === 'const' && result.value === !isAnd)) {
+      return constantResult(!isAnd);
     }
+    results = results.filter(result => result.kind !== 'const');
+
+    const runtimes = results.filter(result => result.kind === 'runtime');
+    const filters = results.filter(result => result.kind === 'filter');
 
     if (filters.length === 0) {
-      return '{}';
+      if (runtimes.length === 0) return constantResult(isAnd);
+      return joinRuntime(runtimes, isAnd ? '&&' : '||');
+    }
+
+    if (filters.length === 1) {
+      const [single] = filters;
+      if (runtimes.length === 0) return single;
+      if (isAnd) {
+        return { ...single, requires: [...runtimes, ...single.requires] };
+      }
+      if (single.requires.length === 0) {
+        return { ...single, grants: [...runtimes, ...single.grants] };
+      }
     }
 
-    // Deduplicate filters
-    const uniqueFilters = [...new Set(filters)];
+    // Flatten nested filters of the same operator
+    const codes = [...new Set(filters.flatMap(filter => {
+      const plain = filter.grants.length === 0 && filter.requires.length === 0;
+      return plain && filter.operator === operator ? filter.parts : [this.materializeFilter(filter)];
+    }))];
+    const code = codes.length === 1 ? codes[0] : `{ ${operator}: [${codes.join(', ')}] }`;
+
+    return {
+      kind: 'filter',
+      code,
+      grants: isAnd ? [] : runtimes,
+      requires: isAnd ? runtimes : [],
+      operator: codes.length === 1 ? null : operator,
+      parts: codes
+    };
+  }
+
+  /**
+   * Negate a filter result
+   */
+  negateFilter(result) {
+    if (result.kind === 'const') return constantResult(!result.value);
+    if (result.kind === 'runtime') return negateRuntime(result);
+    return filterResult(`{ NOT: ${this.materializeFilter(result)} }`);
+  }
 
-    if (uniqueFilters.length === 1) {
-      return uniqueFilters[0];
+  /**
+   * Turn a filter result into a single Prisma filter expression
+   * Runtime grants/requirements become conditional expressions
+   */
+  materializeFilter(result) {
+    if (result.kind === 'const') {
+      return result.value ? '{}' : NO_MATCH;
+    }
+    if (result.kind === 'runtime') {
+      return `(${result.js} ? {} : ${NO_MATCH})`;
+    }
+
+    let code = result.code;
+    if (result.grants.length > 0) {
+      code = `(${joinRuntime(result.grants, '||').js} ? {} : ${code})`;
+    }
+    if (result.requires.length > 0) {
+      code = `(${joinRuntime(result.requires, '&&').js} ? ${code} : ${NO_MATCH})`;
+    }
+    return code;
+  }
+
+  /**
+   * Render a filter result as a function body
+   * Returns {} for full access and false for no access
+   */
+  renderFilter(result) {
+    if (result.kind === 'const') {
+      return result.value ? 'return {};' : 'return false;';
+    }
+    if (result.kind === 'runtime') {
+      return `if (${result.js}) { return {}; } return false;`;
     }
 
-    // Check if we need OR or AND
-    if (hasOrLogic) {
-      return `{ OR: [${uniqueFilters.join(', ')}] }`;
+    const statements = [];
+    if (result.requires.length > 0) {
+      statements.push(`if (${negateRuntime(joinRuntime(result.requires, '&&')).js}) { return false; }`);
+    }
+    if (result.grants.length > 0) {
+      statements.push(`if (${joinRuntime(result.grants, '||').js}) { return {}; }`);
     }
+    statements.push(`return ${result.code};`);
 
-    return `{ AND: [${uniqueFilters.join(', ')}] }`;
+    return statements.join(' ');
   }
 
   /**
@@ -194,7 +808,8 @@ class PrismaFilterBuilder {
    *   'id' -> 'user?.id'
    *   'student_id' (if exists on user) -> 'user?.student_id'
    *   'student_id' (if NOT exists on user) -> 'user.student?.id'
-   * @param {string} userField - Field name like 'id', 'student_id', 'teacher_id'
+   *   'teacher.id' (relation path from function analysis) -> 'user?.teacher?.id'
+   * @param {string} userField - Field name like 'id', 'student_id', 'teacher_id', or a dotted relation path
    * @param {string} userVar - User variable name
    * @returns {string} - Proper user field path
    */
@@ -204,6 +819,10 @@ class PrismaFilterBuilder {
       return `${userVar}?.id`;
     }
 
+    if (userField.includes('.')) {
+      return `${userVar}?.${userField.split('.').join('?.')}`;
+    }
+
     // Check if user model actually has this field
     if (this.userModel && this.userModel.fields) {
       const userHasField = this.userModel.fields[userField];
@@ -293,64 +912,237 @@ class PrismaFilterBuilder {
    * @returns {string} - JavaScript condition
    */
   buildJavaScriptCondition(modelName, analysis, dataVar = 'data', userVar = 'user') {
-    const conditions = [];
-    const modelInfo = this.models[modelName];
-
-    for (const filter of analysis.filters) {
-      if (filter.type.startsWith('user_') || filter.type.startsWith('session_')) {
-        const userField = filter.userField || filter.type.replace(/^(user_|session_)/, '');
+    if (!analysis.ast) return 'true';
+    return this.compileCondition(modelName, analysis.ast, dataVar, userVar).js;
+  }
 
-        // Skip role filters - they're handled in conditions section
-        if (filter.type === 'user_role' || userField === 'role') {
-          continue;
-        }
+  /**
+   * Compile an expression tree into a JavaScript condition result
+   * Results are {kind: 'const', value, js} or {kind: 'runtime', js, op}
+   * @param {string} modelName - The model name
+   * @param {Object} node - AST node
+   * @param {string} dataVar - Data variable name
+   * @param {string} userVar - User variable name
+   * @returns {Object} - Condition result
+   */
+  compileCondition(modelName, node, dataVar = 'data', userVar = 'user') {
+    const ctx = this.createContext(modelName, { dataVar, userVar });
+    const result = this.conditionNode(node, ctx);
+    return ctx.state.failed ? constantResult(false) : { ...result, relations: ctx.state.relations };
+  }
 
-        const jsCondition = this.buildUserFieldJavaScript(modelName, filter.field, userField, dataVar, userVar);
-        if (jsCondition) {
-          conditions.push(jsCondition);
-        }
-      } else {
-        // Direct field comparison
-        switch (filter.type) {
-          case 'equal':
-            const value = isNaN(filter.value) && filter.value !== 'true' && filter.value !== 'false'
-              ? `'${filter.value}'`
-              : filter.value;
-            conditions.push(`${dataVar}?.${filter.field} === ${value}`);
-            break;
+  /**
+   * Compile a single AST node into a JavaScript condition result
+   */
+  conditionNode(node, ctx) {
+    switch (node.type) {
+      case 'and':
+        return this.combineConditions('AND', node.args.map(arg => this.conditionNode(arg, ctx)));
+      case 'or':
+        return this.combineConditions('OR', node.args.map(arg => this.conditionNode(arg, ctx)));
+      case 'not':
+        return this.negateCondition(this.conditionNode(node.arg, { ...ctx, negated: !ctx.negated }));
+      case 'literal':
+        if (node.valueType === 'boolean') return constantResult(node.value);
+        if (node.valueType === 'null') return constantResult(false);
+        throw new Error(`Unsupported literal ${node.value} used as condition`);
+      case 'column':
+      case 'user_field':
+        return this.guardUserContext(node, ctx, runtimeResult(`${this.operandJs(node, ctx)} === true`, 'cmp'), 'condition');
+      case 'is': {
+        if (!['column', 'user_field', 'literal'].includes(node.expr.type)) {
+          if (node.test === 'null') throw new Error('IS NULL on a boolean expression is not supported');
+          const isTrue = (node.test === 'true') !== node.negated;
+          const result = this.conditionNode(node.expr, isTrue ? ctx : { ...ctx, negated: !ctx.negated });
+          return isTrue ? result : this.negateCondition(result);
         }
+        return this.guardUserContext(node, ctx, runtimeResult(isTestJs(this.operandJs(node.expr, ctx), node), 'cmp'), 'condition');
       }
+      case 'comparison':
+        return this.guardUserContext(node, ctx, this.conditionComparison(node, ctx), 'condition');
+      case 'in':
+        return this.guardUserContext(node, ctx, this.conditionIn(node, ctx), 'condition');
+      case 'between':
+        return this.conditionNode(expandBetween(node), ctx);
+      case 'case':
+        return this.conditionNode(expandCase(node), ctx);
+      case 'exists':
+        return this.conditionExists(node, ctx);
+      case 'function':
+        throw new Error(`Unsupported function ${node.schema ? `${node.schema}.` : ''}${node.name}()`);
+      default:
+        throw new Error(`Unsupported expression type '${node.type}'`);
+    }
+  }
+
+  /**
+   * Compile a comparison into a JavaScript condition result
+   */
+  conditionComparison(node, ctx) {
+    let left = node.left;
+    let right = node.right;
+    let operator = node.operator;
+
+    if (left.type !== 'column' && right.type === 'column') {
+      [left, right] = [right, left];
+      operator = FLIPPED_OPERATORS[operator] || operator;
     }
 
-    // Add condition-based checks (roles, etc.)
-    if (analysis.conditions && analysis.conditions.length > 0) {
-      for (const condition of analysis.conditions) {
-        if (condition.javascript) {
-          // Replace user placeholder with actual variable
-          const jsCondition = condition.javascript.replace(/user/g, userVar);
-          conditions.push(jsCondition);
-        } else if (condition.type === 'role_any') {
-          conditions.push(`[${condition.roles.map(r => `'${r}'`).join(', ')}].includes(${userVar}?.role)`);
-        } else if (condition.type === 'role_equal') {
-          conditions.push(`${userVar}?.role === '${condition.role}'`);
-        }
+    if (left.type === 'column' && right.type === 'user_field' && operator === '=') {
+      const js = this.buildUserFieldJavaScript(ctx.modelName, this.resolveColumn(left, ctx), right.field, ctx.dataVar, ctx.userVar);
+      return runtimeResult(js, 'cmp');
+    }
+
+    if (right.type === 'literal' && right.valueType === 'null') {
+      return constantResult(false);
+    }
+
+    if (operator === 'like' || operator === 'ilike') {
+      if (right.type !== 'literal' || right.valueType !== 'string') {
+        throw new Error('LIKE patterns must be string literals');
+      }
+      const pattern = parseLikePattern(right.value);
+      let subject = this.operandJs(left, ctx);
+      let value = pattern.value;
+      if (operator === 'ilike') {
+        subject = `${subject}?.toLowerCase()`;
+        value = value.toLowerCase();
+      }
+      if (pattern.method === 'equals') {
+        return runtimeResult(`${subject} === ${formatString(value)}`, 'cmp');
       }
+      return runtimeResult(`${subject}?.${pattern.method}(${formatString(value)}) === true`, 'cmp');
+    }
+
+    if (operator === '=' && left.type === 'user_field' && left.field === 'role' && right.type === 'literal' && right.valueType === 'string') {
+      return roleResult(this.operandJs(left, ctx), [right.value]);
+    }
+    if (operator === '=' && right.type === 'user_field' && right.field === 'role' && left.type === 'literal' && left.valueType === 'string') {
+      return roleResult(this.operandJs(right, ctx), [left.value]);
+    }
+
+    // Literals are coerced to the type of the column like in filters (casts such as '5'::int are dropped by the parser)
+    if (left.type === 'column' && right.type === 'literal') {
+      const column = this.resolveColumn(left, ctx);
+      return runtimeResult(comparisonJs(`${ctx.dataVar}?.${column}`, operator, this.formatValue(right, ctx.modelName, column)), 'cmp');
+    }
+
+    return runtimeResult(comparisonJs(this.operandJs(left, ctx), operator, this.operandJs(right, ctx)), 'cmp');
+  }
+
+  /**
+   * Compile [NOT] IN (value list) into a JavaScript condition result
+   */
+  conditionIn(node, ctx) {
+    if (node.subquery) {
+      return this.conditionRelation(ctx, `No relation path for IN subquery in ${ctx.modelName} policy`,
+        () => this.resolveInSubquery(node, ctx));
+    }
+
+    const subject = this.operandJs(node.expr, ctx);
+    if (node.expr.type === 'user_field' && node.expr.field === 'role' && node.values.every(value => value.valueType === 'string')) {
+      return roleResult(subject, node.values.map(value => value.value));
     }
 
-    if (conditions.length === 0) return 'true';
+    const column = node.expr.type === 'column' ? this.resolveColumn(node.expr, ctx) : null;
+    const values = node.values.map(value => column && value.type === 'literal'
+      ? this.formatValue(value, ctx.modelName, column)
+      : this.operandJs(value, ctx));
+    return runtimeResult(`[${values.join(', ')}].includes(${subject})`);
+  }
 
-    // Deduplicate conditions
-    const uniqueConditions = [...new Set(conditions)];
+  /**
+   * Compile EXISTS (correlated subquery) into a check on the related records
+   * e.g. data?.enrollments?.some(item => item?.student_id === user.student?.id)
+   */
+  conditionExists(node, ctx) {
+    return this.conditionRelation(ctx, `Cannot map EXISTS subquery in ${ctx.modelName} policy to a relation`,
+      () => this.resolveSubqueryRelation(node.subquery, ctx));
+  }
 
-    if (uniqueConditions.length === 1) return uniqueConditions[0];
+  /**
+   * Compile a subquery resolved to a relation path into a check on the related records
+   * @param {Object} ctx - Compile context of the outer model
+   * @param {string} failure - Warning printed when the subquery cannot be mapped
+   * @param {Function} resolve - Returns {path, ctx, where} (see resolveSubqueryRelation)
+   * @returns {Object} - Condition result
+   */
+  conditionRelation(ctx, failure, resolve) {
+    let join;
+    let inner;
+    let relationPath;
+    try {
+      join = resolve();
+      relationPath = [...ctx.relationPath, ...join.path];
+      inner = join.where
+        ? this.conditionNode(join.where, { ...join.ctx, dataVar: relationDataVar(join.path, ctx.dataVar), relationPath })
+        : constantResult(true);
+    } catch (error) {
+      return this.failClosed(ctx, `${failure}: ${error.message}`);
+    }
 
-    // Check if we need OR or AND
-    const hasOrLogic = analysis.sql && analysis.sql.includes(' OR ');
-    if (hasOrLogic) {
-      return uniqueConditions.join(' || ');
+    if (inner.kind === 'const' && !inner.value) {
+      return inner;
     }
 
-    return '(' + uniqueConditions.join(' && ') + ')';
+    // The related records aren't part of a payload: the model loads them before the check (acl checkInclude)
+    ctx.state.relations.push(relationPath);
+    return relationCondition(join.path, ctx.dataVar, inner.kind === 'const' ? null : inner);
+  }
+
+  /**
+   * JavaScript for a column, user field or literal operand
+   */
+  operandJs(node, ctx) {
+    switch (node.type) {
+      case 'column':
+        return `${ctx.dataVar}?.${this.resolveColumn(node, ctx)}`;
+      case 'user_field':
+        return this.convertToUserFieldPath(node.field, ctx.userVar);
+      case 'literal':
+        return formatLiteral(node);
+      case 'function':
+        throw new Error(`Unsupported function ${node.schema ? `${node.schema}.` : ''}${node.name}()`);
+      default:
+        throw new Error(`Unsupported operand of type '${node.type}'`);
+    }
+  }
+
+  /**
+   * Combine condition results with AND / OR
+   * @param {string} operator - 'AND' or 'OR'
+   * @param {Array} results - Condition results
+   * @returns {Object} - Combined condition result
+   */
+  combineConditions(operator, results) {
+    const isAnd = operator === 'AND';
+
+    if (results.some(result => result.kind === 'const' && result.value === !isAnd)) {
+      return constantResult(!isAnd);
+    }
+    results = results.filter(result => result.kind !== 'const');
+
+    if (results.length === 0) return constantResult(isAnd);
+    return joinRuntime(results, isAnd ? '&&' : '||');
+  }
+
+  /**
+   * Runtime check that the user has one of the given application roles
+   * @param {Array} roles - user.role values
+   * @param {string} userVar - User variable name
+   * @returns {Object} - Condition result
+   */
+  buildRoleCondition(roles, userVar = 'user') {
+    if (roles.length === 0) return constantResult(false);
+    return roleResult(this.convertToUserFieldPath('role', userVar), [...new Set(roles)]);
+  }
+
+  /**
+   * Negate a condition result
+   */
+  negateCondition(result) {
+    if (result.kind === 'const') return constantResult(!result.value);
+    return negateRuntime(result);
   }
 
   /**
@@ -419,4 +1211,255 @@ class PrismaFilterBuilder {
   }
 }
 
+// Prisma filter that matches no rows
+const NO_MATCH = '{ OR: [] }';
+
+const NUMERIC_TYPES = ['Int', 'BigInt', 'Float', 'Decimal'];
+
+const PRISMA_OPERATORS = {
+  '<>': 'not',
+  '<': 'lt',
+  '<=': 'lte',
+  '>': 'gt',
+  '>=': 'gte'
+};
+
+const JS_OPERATORS = {
+  '=': '===',
+  '<>': '!==',
+  '<': '<',
+  '<=': '<=',
+  '>': '>',
+  '>=': '>='
+};
+
+// Operator to use when swapping the operands of a comparison
+const FLIPPED_OPERATORS = {
+  '<': '>',
+  '<=': '>=',
+  '>': '<',
+  '>=': '<='
+};
+
+function constantResult(value) {
+  return { kind: 'const', value, js: String(value) };
+}
+
+function runtimeResult(js, op = null) {
+  return { kind: 'runtime', js, op };
+}
+
+function filterResult(code) {
+  return { kind: 'filter', code, grants: [], requires: [] };
+}
+
+/**
+ * Runtime role check (kept separate so OR'ed role checks can be merged)
+ */
+function roleResult(rolePath, roles) {
+  const js = roles.length === 1
+    ? `${rolePath} === ${formatString(roles[0])}`
+    : `[${roles.map(formatString).join(', ')}].includes(${rolePath})`;
+  return { kind: 'runtime', js, op: roles.length === 1 ? 'cmp' : null, roles, rolePath };
+}
+
+/**
+ * Join runtime results with && / ||, merging OR'ed role checks into one includes()
+ */
+function joinRuntime(results, operator) {
+  let items = results;
+
+  if (operator === '||') {
+    items = [];
+    const roleGroups = new Map();
+    for (const result of results) {
+      if (result.roles) {
+        if (!roleGroups.has(result.rolePath)) {
+          const group = { rolePath: result.rolePath, roles: [] };
+          roleGroups.set(result.rolePath, group);
+          items.push(group);
+        }
+        roleGroups.get(result.rolePath).roles.push(...result.roles);
+      } else {
+        items.push(result);
+      }
+    }
+    items = items.map(item => item.kind ? item : roleResult(item.rolePath, [...new Set(item.roles)]));
+  }
+
+  const unique = [];
+  for (const item of items) {
+    if (!unique.some(existing => existing.js === item.js)) unique.push(item);
+  }
+
+  if (unique.length === 1) return unique[0];
+
+  const parts = unique.map(item => {
+    const needsParens = item.op === '?' || ((item.op === '&&' || item.op === '||') && item.op !== operator);
+    return needsParens ? `(${item.js})` : item.js;
+  });
+  return runtimeResult(parts.join(` ${operator} `), operator);
+}
+
+/**
+ * Variable holding the related record inside a relation check
+ * Array relations are iterated with .some(item => ...), singular ones are accessed directly
+ */
+function relationDataVar(path, dataVar) {
+  let accessor = dataVar;
+  for (const { relationName, isArray } of path) {
+    accessor = isArray ? 'item' : `${accessor}?.${relationName}`;
+  }
+  return accessor;
+}
+
+/**
+ * Check that related records along a path exist (and match inner, if given)
+ */
+function relationCondition(path, dataVar, inner) {
+  const [{ relationName, isArray }, ...rest] = path;
+  const accessor = `${dataVar}?.${relationName}`;
+
+  if (isArray) {
+    if (rest.length === 0 && !inner) return runtimeResult(`${accessor}?.length > 0`, 'cmp');
+    const body = rest.length === 0 ? inner : relationCondition(rest, 'item', inner);
+    return runtimeResult(`${accessor}?.some(item => ${body.js})`);
+  }
+
+  const present = runtimeResult(`${accessor} != null`, 'cmp');
+  if (rest.length === 0) {
+    return inner ? joinRuntime([present, inner], '&&') : present;
+  }
+  return joinRuntime([present, relationCondition(rest, accessor, inner)], '&&');
+}
+
+/**
+ * User fields of a node's operands that must be present at runtime (see DeepSQLAnalyzer: required)
+ * Subqueries are guarded where their conditions are compiled; IS NULL holds for a missing value.
+ * Outside NOT, equality with literals already fails for a missing value and needs no guard
+ * @param {Object} node - Comparison, IN, IS or user field node
+ * @param {boolean} negated - Whether the node is under NOT
+ * @returns {string[]}
+ */
+function requiredUserFields(node, negated = false) {
+  const isLiteral = (operand) => operand && operand.type === 'literal' && operand.value !== null;
+  let operands = [];
+  if (node.type === 'comparison') {
+    operands = node.operator === '=' && !negated && (isLiteral(node.left) || isLiteral(node.right)) ? [] : [node.left, node.right];
+  }
+  else if (node.type === 'in' && !node.subquery) {
+    operands = !negated && node.values.every(isLiteral) ? [] : [node.expr, ...node.values];
+  }
+  else if (node.type === 'is' && node.test !== 'null') operands = [node.expr];
+  else if (node.type === 'user_field') operands = [node];
+
+  return operands.filter(operand => operand && operand.type === 'user_field' && operand.required).map(operand => operand.field);
+}
+
+function negateRuntime(result) {
+  if (result.roles && result.roles.length === 1) {
+    return runtimeResult(`${result.rolePath} !== ${formatString(result.roles[0])}`, 'cmp');
+  }
+  return runtimeResult(result.op ? `!(${result.js})` : `!${result.js}`, '!');
+}
+
+function comparisonJs(left, operator, right) {
+  if (!JS_OPERATORS[operator]) {
+    throw new Error(`Unsupported operator '${operator}'`);
+  }
+  return `${left} ${JS_OPERATORS[operator]} ${right}`;
+}
+
+/**
+ * JavaScript for IS [NOT] NULL / TRUE / FALSE
+ */
+function isTestJs(subject, node) {
+  if (node.test === 'null') {
+    return `${subject} ${node.negated ? '!=' : '=='} null`;
+  }
+  return `${subject} ${node.negated ? '!==' : '==='} ${node.test}`;
+}
+
+function formatString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function formatLiteral(node) {
+  switch (node.valueType) {
+    case 'string':
+      return formatString(node.value);
+    case 'boolean':
+      return node.value ? 'true' : 'false';
+    case 'null':
+      return 'null';
+    default:
+      return String(node.value);
+  }
+}
+
+/**
+ * Translate a LIKE pattern to a string method (startsWith / endsWith / includes / equals)
+ * Backslash escapes the next character (\%, \_, \\), the default ESCAPE of PostgreSQL
+ */
+function parseLikePattern(pattern) {
+  // Literal characters as strings, unescaped wildcards as {wildcard}
+  const tokens = [];
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '\\') {
+      if (index === pattern.length - 1) {
+        throw new Error(`LIKE pattern '${pattern}' must not end with the escape character`);
+      }
+      tokens.push(pattern[++index]);
+    } else {
+      tokens.push(char === '%' || char === '_' ? { wildcard: char } : char);
+    }
+  }
+
+  const leading = tokens[0]?.wildcard === '%';
+  const trailing = tokens.length > 1 && tokens[tokens.length - 1]?.wildcard === '%';
+  const inner = tokens.slice(leading ? 1 : 0, trailing ? -1 : tokens.length);
+  if (inner.some(token => typeof token !== 'string')) {
+    throw new Error(`LIKE pattern '${pattern}' cannot be translated`);
+  }
+
+  const value = inner.join('');
+  if (leading && trailing) return { method: 'includes', value };
+  if (leading) return { method: 'endsWith', value };
+  if (trailing) return { method: 'startsWith', value };
+  return { method: 'equals', value };
+}
+
+function expandBetween(node) {
+  return {
+    type: 'and',
+    args: [
+      { type: 'comparison', operator: '>=', left: node.expr, right: node.low },
+      { type: 'comparison', operator: '<=', left: node.expr, right: node.high }
+    ]
+  };
+}
+
+/**
+ * Rewrite a boolean CASE expression into AND/OR form
+ * CASE WHEN a THEN x WHEN b THEN y ELSE z END -> (a AND x) OR (NOT a AND b AND y) OR (NOT a AND NOT b AND z)
+ */
+function expandCase(node) {
+  const branches = [];
+  const previous = [];
+
+  for (const { when, then } of node.whens) {
+    const condition = node.operand
+      ? { type: 'comparison', operator: '=', left: node.operand, right: when }
+      : when;
+    branches.push({ type: 'and', args: [...previous.map(arg => ({ type: 'not', arg })), condition, then] });
+    previous.push(condition);
+  }
+
+  const elseExpr = node.else || { type: 'literal', value: false, valueType: 'boolean' };
+  branches.push({ type: 'and', args: [...previous.map(arg => ({ type: 'not', arg })), elseExpr] });
+
+  return { type: 'or', args: branches };
+}
+
 module.exports = PrismaFilterBuilder;
\ No newline at end of file
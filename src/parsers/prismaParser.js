@@ -47,6 +47,7 @@ function parsePrismaSchema(schemaPath) {
     const fields = parseModelFields(body);
     const compositeKeyFields = parseCompositeKey(body);
     const dbName = parseMapDirective(body);
+    const schema = parseSchemaDirective(body);
 
     // Mark composite key fields with isId
     if (compositeKeyFields) {
@@ -62,7 +63,9 @@ function parsePrismaSchema(schemaPath) {
       fields,
       relations: parseModelRelations(body),
       compositeKey: compositeKeyFields,
-      dbName: dbName || name.toLowerCase() // Default to lowercase model name
+      compositeKeyName: parseCompositeKeyName(body),
+      dbName: dbName || name.toLowerCase(), // Default to lowercase model name
+      schema // null when the model has no @@schema directive
     };
   }
 
@@ -85,11 +88,30 @@ function parseCompositeKey(modelBody) {
   const lines = modelBody.split('\n').map(line => line.trim());
 
   for (const line of lines) {
-    // Match @@id([field1, field2, ...])
-    const match = line.match(/^@@id\(\[([^\]]+)\]\)/);
+    // Match @@id([field1, field2, ...]) or @@id(fields: [field1, field2], name: "...")
+    const match = line.match(/^@@id\(\s*(?:fields:\s*)?\[([^\]]+)\]/);
     if (match) {
       const fieldsStr = match[1];
-      return fieldsStr.split(',').map(f => f.trim());
+      // Drop per-field arguments such as field1(sort: Desc)
+      return fieldsStr.split(',').map(f => f.trim().replace(/\(.*$/, '')).filter(f => /^\w+$/.test(f));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse the name of a composite key (@@id([...], name: "..."))
+ * @param {string} modelBody - The content inside model braces
+ * @returns {string|null} - Compound unique selector name, or null when Prisma's default (field1_field2) applies
+ */
+function parseCompositeKeyName(modelBody) {
+  const lines = modelBody.split('\n').map(line => line.trim());
+
+  for (const line of lines) {
+    const match = line.match(/^@@id\(.*\bname:\s*["']([^"']+)["']/);
+    if (match) {
+      return match[1];
     }
   }
 
@@ -115,6 +137,25 @@ function parseMapDirective(modelBody) {
   return null;
 }
 
+/**
+ * Parse @@schema directive to get the database schema (multiSchema)
+ * @param {string} modelBody - The content inside model braces
+ * @returns {string|null} - Database schema name, or null if no @@schema directive
+ */
+function parseSchemaDirective(modelBody) {
+  const lines = modelBody.split('\n').map(line => line.trim());
+
+  for (const line of lines) {
+    // Match @@schema("auth") or @@schema('auth')
+    const match = line.match(/^@@schema\(["']([^"']+)["']\)/);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
 /**
  * Parse model fields from model body
  * @param {string} modelBody - The content inside model braces
@@ -123,8 +164,15 @@ function parseMapDirective(modelBody) {
 function parseModelFields(modelBody) {
   const fields = {};
   const lines = modelBody.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('@@'));
+  let documentation = [];
 
   for (const line of lines) {
+    // Collect /// doc comments for the next field
+    if (line.startsWith('///')) {
+      documentation.push(line.substring(3).trim());
+      continue;
+    }
+
     // Skip relation fields and index definitions
     if (line.startsWith('//') || line.startsWith('@@')) continue;
 
@@ -135,16 +183,34 @@ function parseModelFields(modelBody) {
 
       // Determine if it's a relation field (starts with uppercase)
       const isRelation = fieldType[0] === fieldType[0].toUpperCase() &&
-                        !['String', 'Int', 'Float', 'Boolean', 'DateTime', 'Decimal', 'Json', 'Bytes'].includes(fieldType);
+                        !['String', 'Int', 'BigInt', 'Float', 'Boolean', 'DateTime', 'Decimal', 'Json', 'Bytes'].includes(fieldType);
 
       fields[fieldName] = {
         type: fieldType,
         optional: modifier === '?',
         isArray: modifier === '[]',
         isRelation: isRelation,
+        isId: /@id\b/.test(attributes || ''),
+        isUpdatedAt: /@updatedAt\b/.test(attributes || ''),
+        hasDefaultValue: /@default\(/.test(attributes || ''),
         attributes: attributes || ''
       };
+
+      // Same shapes as the DMMF: default {name, args} for functions, nativeType [name, args]
+      const defaultMatch = (attributes || '').match(/@default\((\w+)\(/);
+      if (defaultMatch) {
+        fields[fieldName].default = { name: defaultMatch[1], args: [] };
+      }
+      const nativeTypeMatch = (attributes || '').match(/@db\.(\w+)(?:\(([^)]*)\))?/);
+      if (nativeTypeMatch) {
+        const nativeTypeArgs = (nativeTypeMatch[2] || '').split(',').map(arg => arg.trim()).filter(Boolean);
+        fields[fieldName].nativeType = [nativeTypeMatch[1], nativeTypeArgs];
+      }
+      if (documentation.length > 0) {
+        fields[fieldName].documentation = documentation.join('\n');
+      }
     }
+    documentation = [];
   }
 
   return fields;
@@ -228,7 +294,9 @@ async function parsePrismaDMMF(prismaClientPath) {
         fields: {},
         relations: [],
         compositeKey,
-        dbName: model.dbName || model.name.toLowerCase() // Use dbName from DMMF or default to lowercase
+        compositeKeyName: compositeKey ? model.primaryKey.name || null : null,
+        dbName: model.dbName || model.name.toLowerCase(), // Use dbName from DMMF or default to lowercase
+        schema: model.schema || null
       };
 
       for (const field of model.fields) {
@@ -240,7 +308,10 @@ async function parsePrismaDMMF(prismaClientPath) {
           isId: field.isId || false,
           isUnique: field.isUnique || false,
           isUpdatedAt: field.isUpdatedAt || false,
-          hasDefaultValue: field.hasDefaultValue || false
+          hasDefaultValue: field.hasDefaultValue || false,
+          default: field.default,
+          nativeType: field.nativeType,
+          documentation: field.documentation
         };
 
         if (field.kind === 'object') {
@@ -0,0 +1,676 @@
+/**
+ * SQL Expression Parser
+ * Parses PostgreSQL boolean expressions (RLS USING / WITH CHECK clauses) into an AST
+ *
+ * Node types:
+ *   and, or        {args}
+ *   not            {arg}
+ *   comparison     {operator, left, right}       operator: = <> < <= > >= like ilike
+ *   in             {expr, values} | {expr, subquery}
+ *   is             {expr, test, negated}         test: null | true | false
+ *   between        {expr, low, high}
+ *   exists         {subquery}
+ *   case           {operand, whens: [{when, then}], else}
+ *   function       {schema, name, args}
+ *   column         {table, name}
+ *   literal        {value, valueType}            valueType: string | number | boolean | null
+ *   array          {elements}
+ *   subquery       {query}                       scalar subquery
+ *   binary         {operator, left, right}       arithmetic and string concatenation
+ *   select         {columns, from, joins, where}
+ */
+
+const KEYWORDS = new Set([
+  'AND', 'OR', 'NOT', 'IS', 'NULL', 'TRUE', 'FALSE', 'IN', 'EXISTS', 'CASE', 'WHEN', 'THEN',
+  'ELSE', 'END', 'SELECT', 'FROM', 'WHERE', 'AS', 'ANY', 'ALL', 'SOME', 'ARRAY', 'LIKE', 'ILIKE',
+  'BETWEEN', 'DISTINCT', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON', 'CAST',
+  'GROUP', 'ORDER', 'BY', 'LIMIT', 'OFFSET', 'HAVING', 'UNION', 'INTO'
+]);
+
+// Keywords that behave like zero-argument functions
+const KEYWORD_FUNCTIONS = new Set(['CURRENT_USER', 'SESSION_USER', 'CURRENT_ROLE', 'CURRENT_DATE', 'CURRENT_TIMESTAMP', 'NOW']);
+
+// Words that may continue a multi-word type name (e.g. character varying)
+const TYPE_CONTINUATIONS = new Set(['VARYING', 'PRECISION', 'WITH', 'WITHOUT', 'TIME', 'ZONE']);
+
+const COMPARISON_OPERATORS = {
+  '=': '=',
+  '<>': '<>',
+  '!=': '<>',
+  '<': '<',
+  '<=': '<=',
+  '>': '>',
+  '>=': '>=',
+  '~~': 'like',
+  '~~*': 'ilike',
+  '!~~': 'not like',
+  '!~~*': 'not ilike'
+};
+
+/**
+ * Split an SQL expression into tokens
+ * @param {string} sql - SQL expression
+ * @returns {Array} - Array of {type, value} tokens
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // String literal (optionally E'...')
+    if (char === "'" || ((char === 'E' || char === 'e') && sql[i + 1] === "'")) {
+      let j = char === "'" ? i + 1 : i + 2;
+      let value = '';
+      while (j < sql.length) {
+        if (sql[j] === "'" && sql[j + 1] === "'") {
+          value += "'";
+          j += 2;
+        } else if (sql[j] === "'") {
+          break;
+        } else {
+          value += sql[j];
+          j++;
+        }
+      }
+      tokens.push({ type: 'string', value });
+      i = j + 1;
+      continue;
+    }
+
+    // Quoted identifier
+    if (char === '"') {
+      let j = i + 1;
+      let value = '';
+      while (j < sql.length) {
+        if (sql[j] === '"' && sql[j + 1] === '"') {
+          value += '"';
+          j += 2;
+        } else if (sql[j] === '"') {
+          break;
+        } else {
+          value += sql[j];
+          j++;
+        }
+      }
+      tokens.push({ type: 'identifier', value });
+      i = j + 1;
+      continue;
+    }
+
+    const numberMatch = sql.substring(i).match(/^\d+(?:\.\d+)?/);
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: numberMatch[0] });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    const wordMatch = sql.substring(i).match(/^[A-Za-z_][\w$]*/);
+    if (wordMatch) {
+      const upper = wordMatch[0].toUpperCase();
+      if (KEYWORDS.has(upper)) {
+        tokens.push({ type: 'keyword', value: upper });
+      } else {
+        tokens.push({ type: 'identifier', value: wordMatch[0].toLowerCase() });
+      }
+      i += wordMatch[0].length;
+      continue;
+    }
+
+    const operatorMatch = sql.substring(i).match(/^(::|!~~\*|!~~|~~\*|~~|<>|!=|<=|>=|\|\||[=<>+\-*/%])/);
+    if (operatorMatch) {
+      tokens.push({ type: 'operator', value: operatorMatch[0] });
+      i += operatorMatch[0].length;
+      continue;
+    }
+
+    if ('(),[].'.includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      i++;
+      continue;
+    }
+
+    throw new Error(`Unexpected character '${char}' in SQL expression`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser over the token stream
+ */
+class ExpressionParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset] || { type: 'eof', value: null };
+  }
+
+  next() {
+    return this.tokens[this.position++] || { type: 'eof', value: null };
+  }
+
+  isKeyword(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'keyword' && token.value === value;
+  }
+
+  isPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'punct' && token.value === value;
+  }
+
+  acceptKeyword(value) {
+    if (this.isKeyword(value)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  acceptPunct(value) {
+    if (this.isPunct(value)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expectKeyword(value) {
+    if (!this.acceptKeyword(value)) {
+      throw new Error(`Expected ${value} but found '${this.peek().value}'`);
+    }
+  }
+
+  expectPunct(value) {
+    if (!this.acceptPunct(value)) {
+      throw new Error(`Expected '${value}' but found '${this.peek().value}'`);
+    }
+  }
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    const args = [this.parseAnd()];
+    while (this.acceptKeyword('OR')) {
+      args.push(this.parseAnd());
+    }
+    return args.length === 1 ? args[0] : flatten('or', args);
+  }
+
+  parseAnd() {
+    const args = [this.parseNot()];
+    while (this.acceptKeyword('AND')) {
+      args.push(this.parseNot());
+    }
+    return args.length === 1 ? args[0] : flatten('and', args);
+  }
+
+  parseNot() {
+    if (this.acceptKeyword('NOT')) {
+      return { type: 'not', arg: this.parseNot() };
+    }
+    return this.parseIs();
+  }
+
+  parseIs() {
+    let expr = this.parseComparison();
+
+    while (this.acceptKeyword('IS')) {
+      const negated = this.acceptKeyword('NOT');
+
+      if (this.acceptKeyword('NULL')) {
+        expr = { type: 'is', expr, test: 'null', negated };
+      } else if (this.acceptKeyword('TRUE')) {
+        expr = { type: 'is', expr, test: 'true', negated };
+      } else if (this.acceptKeyword('FALSE')) {
+        expr = { type: 'is', expr, test: 'false', negated };
+      } else if (this.acceptKeyword('DISTINCT')) {
+        this.expectKeyword('FROM');
+        const right = this.parseAdditive();
+        // IS DISTINCT FROM is a null-safe <>
+        const comparison = { type: 'comparison', operator: '=', left: expr, right };
+        expr = negated ? comparison : { type: 'not', arg: comparison };
+      } else {
+        throw new Error(`Unsupported IS expression near '${this.peek().value}'`);
+      }
+    }
+
+    return expr;
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === 'operator' && COMPARISON_OPERATORS[token.value]) {
+      this.next();
+      let operator = COMPARISON_OPERATORS[token.value];
+      const negated = operator.startsWith('not ');
+      if (negated) operator = operator.substring(4);
+
+      // op ANY(...) / op ALL(...)
+      if (this.isKeyword('ANY') || this.isKeyword('SOME') || this.isKeyword('ALL')) {
+        const quantifier = this.next().value;
+        const node = this.parseQuantified(left, operator, quantifier);
+        return negated ? { type: 'not', arg: node } : node;
+      }
+
+      const node = { type: 'comparison', operator, left, right: this.parseAdditive() };
+      return negated ? { type: 'not', arg: node } : node;
+    }
+
+    const negated = this.isKeyword('NOT') &&
+      (this.isKeyword('IN', 1) || this.isKeyword('LIKE', 1) || this.isKeyword('ILIKE', 1) || this.isKeyword('BETWEEN', 1));
+    if (negated) this.next();
+
+    let node = null;
+    if (this.acceptKeyword('IN')) {
+      this.expectPunct('(');
+      if (this.isKeyword('SELECT')) {
+        node = { type: 'in', expr: left, subquery: this.parseSelect() };
+      } else {
+        node = { type: 'in', expr: left, values: this.parseList() };
+      }
+      this.expectPunct(')');
+    } else if (this.acceptKeyword('LIKE')) {
+      node = { type: 'comparison', operator: 'like', left, right: this.parseAdditive() };
+    } else if (this.acceptKeyword('ILIKE')) {
+      node = { type: 'comparison', operator: 'ilike', left, right: this.parseAdditive() };
+    } else if (this.acceptKeyword('BETWEEN')) {
+      const low = this.parseAdditive();
+      this.expectKeyword('AND');
+      node = { type: 'between', expr: left, low, high: this.parseAdditive() };
+    }
+
+    if (!node) return left;
+    return negated ? { type: 'not', arg: node } : node;
+  }
+
+  /**
+   * Parse "expr op ANY (...)" / "expr op ALL (...)"
+   * = ANY is normalized to IN and <> ALL to NOT IN
+   */
+  parseQuantified(left, operator, quantifier) {
+    this.expectPunct('(');
+
+    let node;
+    if (this.isKeyword('SELECT')) {
+      const subquery = this.parseSelect();
+      node = { type: 'in', expr: left, subquery };
+    } else {
+      const arrayExpr = this.parseExpression();
+      const values = arrayExpr.type === 'array' ? arrayExpr.elements : null;
+      if (!values) {
+        throw new Error(`Unsupported ${quantifier} expression (expected ARRAY or subquery)`);
+      }
+      node = { type: 'in', expr: left, values };
+    }
+    this.expectPunct(')');
+
+    const isAny = quantifier === 'ANY' || quantifier === 'SOME';
+    if (isAny && operator === '=') return node;
+    if (!isAny && operator === '<>') return { type: 'not', arg: node };
+
+    throw new Error(`Unsupported quantified comparison '${operator} ${quantifier}'`);
+  }
+
+  parseAdditive() {
+    let left = this.parseUnary();
+
+    while (this.peek().type === 'operator' && ['+', '-', '*', '/', '%', '||'].includes(this.peek().value)) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseUnary() };
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token.type === 'operator' && token.value === '-' && this.peek(1).type === 'number') {
+      this.next();
+      const number = this.next();
+      return this.parseCasts({ type: 'literal', value: `-${number.value}`, valueType: 'number' });
+    }
+    return this.parseCasts(this.parsePrimary());
+  }
+
+  /**
+   * Type casts (::type) don't change the meaning for ACL purposes and are dropped
+   */
+  parseCasts(expr) {
+    while (this.peek().type === 'operator' && this.peek().value === '::') {
+      this.next();
+      this.parseTypeName();
+    }
+    return expr;
+  }
+
+  parseTypeName() {
+    const parts = [];
+    const first = this.next();
+    if (first.type !== 'identifier' && first.type !== 'keyword') {
+      throw new Error(`Expected type name but found '${first.value}'`);
+    }
+    parts.push(first.value);
+
+    while (this.isPunct('.') || (this.peek().type === 'identifier' && TYPE_CONTINUATIONS.has(this.peek().value.toUpperCase()))) {
+      if (this.acceptPunct('.')) {
+        parts.push(this.next().value);
+      } else {
+        parts.push(this.next().value);
+      }
+    }
+
+    if (this.isPunct('(')) {
+      this.next();
+      while (!this.isPunct(')') && this.peek().type !== 'eof') this.next();
+      this.expectPunct(')');
+    }
+    while (this.isPunct('[') && this.isPunct(']', 1)) {
+      this.position += 2;
+    }
+
+    return parts.join(' ');
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === 'punct' && token.value === '(') {
+      this.next();
+      if (this.isKeyword('SELECT')) {
+        const query = this.parseSelect();
+        this.expectPunct(')');
+        return { type: 'subquery', query };
+      }
+      const expr = this.parseExpression();
+      this.expectPunct(')');
+      return expr;
+    }
+
+    if (token.type === 'string') {
+      this.next();
+      return { type: 'literal', value: token.value, valueType: 'string' };
+    }
+
+    if (token.type === 'number') {
+      this.next();
+      return { type: 'literal', value: token.value, valueType: 'number' };
+    }
+
+    if (token.type === 'keyword') {
+      switch (token.value) {
+        case 'TRUE':
+        case 'FALSE':
+          this.next();
+          return { type: 'literal', value: token.value === 'TRUE', valueType: 'boolean' };
+        case 'NULL':
+          this.next();
+          return { type: 'literal', value: null, valueType: 'null' };
+        case 'EXISTS': {
+          this.next();
+          this.expectPunct('(');
+          const subquery = this.parseSelect();
+          this.expectPunct(')');
+          return { type: 'exists', subquery };
+        }
+        case 'CASE':
+          return this.parseCase();
+        case 'ARRAY':
+          return this.parseArray();
+        case 'CAST': {
+          this.next();
+          this.expectPunct('(');
+          const expr = this.parseExpression();
+          this.expectKeyword('AS');
+          this.parseTypeName();
+          this.expectPunct(')');
+          return expr;
+        }
+      }
+      throw new Error(`Unexpected keyword ${token.value}`);
+    }
+
+    if (token.type === 'identifier') {
+      return this.parseIdentifierExpression();
+    }
+
+    throw new Error(`Unexpected token '${token.value}'`);
+  }
+
+  parseIdentifierExpression() {
+    const parts = [this.next().value];
+    while (this.isPunct('.') && this.peek(1).type === 'identifier') {
+      this.next();
+      parts.push(this.next().value);
+    }
+
+    // Function call
+    if (this.isPunct('(')) {
+      this.next();
+      const args = [];
+      if (!this.isPunct(')')) {
+        this.acceptKeyword('DISTINCT');
+        if (this.peek().type === 'operator' && this.peek().value === '*') {
+          this.next();
+          args.push({ type: 'star' });
+        } else {
+          args.push(...this.parseList());
+        }
+      }
+      this.expectPunct(')');
+
+      const name = parts[parts.length - 1];
+      const schema = parts.length > 1 ? parts[parts.length - 2] : null;
+      return { type: 'function', schema, name, args };
+    }
+
+    if (parts.length === 1 && KEYWORD_FUNCTIONS.has(parts[0].toUpperCase())) {
+      return { type: 'function', schema: null, name: parts[0], args: [] };
+    }
+
+    return {
+      type: 'column',
+      table: parts.length > 1 ? parts[parts.length - 2] : null,
+      name: parts[parts.length - 1]
+    };
+  }
+
+  parseCase() {
+    this.expectKeyword('CASE');
+    const operand = this.isKeyword('WHEN') ? null : this.parseExpression();
+    const whens = [];
+
+    while (this.acceptKeyword('WHEN')) {
+      const when = this.parseExpression();
+      this.expectKeyword('THEN');
+      whens.push({ when, then: this.parseExpression() });
+    }
+
+    const elseExpr = this.acceptKeyword('ELSE') ? this.parseExpression() : null;
+    this.expectKeyword('END');
+
+    return { type: 'case', operand, whens, else: elseExpr };
+  }
+
+  parseArray() {
+    this.expectKeyword('ARRAY');
+    if (this.acceptPunct('(')) {
+      const query = this.parseSelect();
+      this.expectPunct(')');
+      return { type: 'subquery', query };
+    }
+    this.expectPunct('[');
+    const elements = this.isPunct(']') ? [] : this.parseList();
+    this.expectPunct(']');
+    return { type: 'array', elements };
+  }
+
+  parseList() {
+    const items = [this.parseExpression()];
+    while (this.acceptPunct(',')) {
+      items.push(this.parseExpression());
+    }
+    return items;
+  }
+
+  parseSelect() {
+    this.expectKeyword('SELECT');
+    this.acceptKeyword('DISTINCT');
+
+    const columns = [];
+    do {
+      if (this.peek().type === 'operator' && this.peek().value === '*') {
+        this.next();
+        columns.push({ expr: { type: 'star' }, alias: null });
+        continue;
+      }
+      const expr = this.parseExpression();
+      let alias = null;
+      if (this.acceptKeyword('AS') || this.peek().type === 'identifier') {
+        alias = this.next().value;
+      }
+      columns.push({ expr, alias });
+    } while (this.acceptPunct(','));
+
+    // PL/pgSQL: SELECT ... INTO variable
+    if (this.acceptKeyword('INTO')) {
+      this.next();
+    }
+
+    const from = [];
+    const joins = [];
+    if (this.acceptKeyword('FROM')) {
+      from.push(this.parseTableReference());
+      for (;;) {
+        if (this.acceptPunct(',')) {
+          from.push(this.parseTableReference());
+          continue;
+        }
+        const joinType = this.parseJoinType();
+        if (!joinType) break;
+        const table = this.parseTableReference();
+        let on = null;
+        if (this.acceptKeyword('ON')) {
+          on = this.parseExpression();
+        }
+        joins.push({ joinType, ...table, on });
+      }
+    }
+
+    const where = this.acceptKeyword('WHERE') ? this.parseExpression() : null;
+
+    // Clauses that don't affect row matching
+    while (this.isKeyword('GROUP') || this.isKeyword('ORDER') || this.isKeyword('LIMIT') || this.isKeyword('OFFSET') || this.isKeyword('HAVING')) {
+      const clause = this.next().value;
+      if (clause === 'GROUP' || clause === 'ORDER') this.expectKeyword('BY');
+      this.parseList();
+      if (clause === 'ORDER') {
+        while (this.peek().type === 'identifier' && ['asc', 'desc'].includes(this.peek().value)) this.next();
+      }
+    }
+
+    return { type: 'select', columns, from, joins, where };
+  }
+
+  parseJoinType() {
+    if (this.acceptKeyword('JOIN')) return 'inner';
+    for (const type of ['INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS']) {
+      if (this.isKeyword(type)) {
+        this.next();
+        this.acceptKeyword('OUTER');
+        this.expectKeyword('JOIN');
+        return type.toLowerCase();
+      }
+    }
+    return null;
+  }
+
+  parseTableReference() {
+    const token = this.next();
+    if (token.type !== 'identifier') {
+      throw new Error(`Expected table name but found '${token.value}'`);
+    }
+
+    let schema = null;
+    let table = token.value;
+    if (this.isPunct('.') && this.peek(1).type === 'identifier') {
+      this.next();
+      schema = table;
+      table = this.next().value;
+    }
+
+    let alias = null;
+    if (this.acceptKeyword('AS') || this.peek().type === 'identifier') {
+      alias = this.next().value;
+    }
+
+    return { schema, table, alias };
+  }
+}
+
+/**
+ * Flatten nested AND/OR nodes of the same type
+ */
+function flatten(type, args) {
+  const flat = [];
+  for (const arg of args) {
+    if (arg.type === type) {
+      flat.push(...arg.args);
+    } else {
+      flat.push(arg);
+    }
+  }
+  return { type, args: flat };
+}
+
+/**
+ * Parse an SQL boolean expression into an AST
+ * @param {string} sql - SQL expression (e.g. pg_policies.qual)
+ * @returns {Object} - Root AST node
+ */
+function parseExpression(sql) {
+  const parser = new ExpressionParser(tokenize(sql));
+  const ast = parser.parseExpression();
+
+  if (parser.peek().type !== 'eof') {
+    throw new Error(`Unexpected '${parser.peek().value}' after end of expression`);
+  }
+
+  return ast;
+}
+
+/**
+ * Parse a SELECT statement into an AST
+ * @param {string} sql - SELECT statement
+ * @returns {Object} - Select node
+ */
+function parseSelect(sql) {
+  const parser = new ExpressionParser(tokenize(sql));
+  const ast = parser.parseSelect();
+
+  if (parser.peek().type !== 'eof') {
+    throw new Error(`Unexpected '${parser.peek().value}' after end of SELECT`);
+  }
+
+  return ast;
+}
+
+module.exports = {
+  tokenize,
+  parseExpression,
+  parseSelect
+};
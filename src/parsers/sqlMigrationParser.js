@@ -0,0 +1,619 @@
+/**
+ * SQL Migration Parser
+ * Reads RLS policies, RLS table state, column privileges and function definitions from SQL files
+ * (e.g. prisma/migrations/<name>/migration.sql) so ACL generation works without a database
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IDENTIFIER = '(?:"(?:[^"]|"")+"|[A-Za-z_][\\w$]*)';
+const QUALIFIED_NAME = `${IDENTIFIER}(?:\\s*\\.\\s*${IDENTIFIER})?`;
+
+// Return type aliases, normalized to the names pg_proc.prorettype::regtype reports
+const TYPE_ALIASES = {
+  'int': 'integer',
+  'int4': 'integer',
+  'serial': 'integer',
+  'int2': 'smallint',
+  'int8': 'bigint',
+  'bigserial': 'bigint',
+  'bool': 'boolean',
+  'varchar': 'character varying',
+  'char': 'character',
+  'float4': 'real',
+  'float8': 'double precision',
+  'timestamptz': 'timestamp with time zone',
+  'timestamp': 'timestamp without time zone'
+};
+
+/**
+ * Find all migration.sql files below a Prisma migrations directory
+ * @param {string} migrationsDir - Path to prisma/migrations
+ * @returns {Array} - Sorted list of migration.sql paths (oldest first)
+ */
+function findMigrationFiles(migrationsDir) {
+  if (!fs.existsSync(migrationsDir)) {
+    return [];
+  }
+
+  const files = [];
+  const entries = fs.readdirSync(migrationsDir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const entryPath = path.join(migrationsDir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findMigrationFiles(entryPath));
+    } else if (entry.name === 'migration.sql') {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Resolve a list of SQL sources (files or directories) to SQL file paths
+ * Directories are searched for migration.sql files first, then for any .sql file
+ * @param {Array} sources - File or directory paths
+ * @returns {Array} - SQL file paths in application order
+ */
+function resolveSQLFiles(sources) {
+  const files = [];
+
+  for (const source of sources) {
+    if (!fs.existsSync(source)) {
+      throw new Error(`SQL source not found: ${source}`);
+    }
+
+    if (fs.statSync(source).isDirectory()) {
+      const migrationFiles = findMigrationFiles(source);
+      if (migrationFiles.length > 0) {
+        files.push(...migrationFiles);
+      } else {
+        const sqlFiles = fs.readdirSync(source)
+          .filter(name => name.endsWith('.sql'))
+          .sort()
+          .map(name => path.join(source, name));
+        files.push(...sqlFiles);
+      }
+    } else {
+      files.push(source);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Find the end of a quoted string or identifier (handles doubled quotes)
+ * @param {string} sql - SQL text
+ * @param {number} start - Index of the opening quote
+ * @returns {number} - Index after the closing quote
+ */
+function findQuoteEnd(sql, start) {
+  const quote = sql[start];
+  let i = start + 1;
+
+  while (i < sql.length) {
+    if (sql[i] === quote) {
+      if (sql[i + 1] === quote) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    i++;
+  }
+
+  return sql.length;
+}
+
+/**
+ * Split SQL text into statements, respecting quotes, dollar quoting and comments
+ * Comments are stripped from the returned statements
+ * @param {string} sql - SQL text
+ * @returns {Array} - Array of statement strings
+ */
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (char === '-' && next === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+      continue;
+    }
+
+    if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      current += ' ';
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      const end = findQuoteEnd(sql, i);
+      current += sql.substring(i, end);
+      i = end;
+      continue;
+    }
+
+    if (char === '$') {
+      const tagMatch = sql.substring(i).match(/^\$(?:[A-Za-z_]\w*)?\$/);
+      if (tagMatch) {
+        const tag = tagMatch[0];
+        const close = sql.indexOf(tag, i + tag.length);
+        const end = close === -1 ? sql.length : close + tag.length;
+        current += sql.substring(i, end);
+        i = end;
+        continue;
+      }
+    }
+
+    if (char === ';') {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      i++;
+      continue;
+    }
+
+    current += char;
+    i++;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+/**
+ * Normalize an identifier the way PostgreSQL does (unquoted names are folded to lowercase)
+ * @param {string} identifier - Raw identifier
+ * @returns {string} - Normalized identifier
+ */
+function normalizeIdentifier(identifier) {
+  const trimmed = identifier.trim();
+  if (trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    return trimmed.slice(1, -1).replace(/""/g, '"');
+  }
+  return trimmed.toLowerCase();
+}
+
+/**
+ * Parse a possibly schema-qualified name
+ * @param {string} name - Raw name like public."Posts"
+ * @returns {Object} - {schema, name}
+ */
+function parseQualifiedName(name) {
+  const parts = name.match(new RegExp(IDENTIFIER, 'g')).map(normalizeIdentifier);
+  return parts.length > 1
+    ? { schema: parts[0], name: parts[1] }
+    : { schema: null, name: parts[0] };
+}
+
+/**
+ * Read a parenthesized group starting at the given index
+ * @param {string} text - Text containing the group
+ * @param {number} openIndex - Index of the opening parenthesis
+ * @returns {Object|null} - {inner, end} or null if unbalanced
+ */
+function readParenthesized(text, openIndex) {
+  let depth = 0;
+  let i = openIndex;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === "'" || char === '"') {
+      i = findQuoteEnd(text, i);
+      continue;
+    }
+
+    if (char === '$') {
+      const tagMatch = text.substring(i).match(/^\$(?:[A-Za-z_]\w*)?\$/);
+      if (tagMatch) {
+        const close = text.indexOf(tagMatch[0], i + tagMatch[0].length);
+        i = close === -1 ? text.length : close + tagMatch[0].length;
+        continue;
+      }
+    }
+
+    if (char === '(') depth++;
+    if (char === ')') {
+      depth--;
+      if (depth === 0) {
+        return { inner: text.substring(openIndex + 1, i).trim(), end: i + 1 };
+      }
+    }
+    i++;
+  }
+
+  return null;
+}
+
+/**
+ * Parse the clauses shared by CREATE POLICY and ALTER POLICY
+ * @param {string} clauses - Text after "ON table"
+ * @returns {Object} - Parsed clauses (only the ones present)
+ */
+function parsePolicyClauses(clauses) {
+  const result = {};
+  let rest = clauses.trim();
+
+  while (rest.length > 0) {
+    let match;
+
+    if ((match = rest.match(/^AS\s+(PERMISSIVE|RESTRICTIVE)\b/i))) {
+      result.permissive = match[1].toUpperCase() === 'PERMISSIVE';
+    } else if ((match = rest.match(/^FOR\s+(ALL|SELECT|INSERT|UPDATE|DELETE)\b/i))) {
+      result.command = match[1].toUpperCase();
+    } else if ((match = rest.match(new RegExp(`^TO\\s+(${IDENTIFIER}(?:\\s*,\\s*${IDENTIFIER})*)`, 'i')))) {
+      result.roles = match[1].split(',').map(role => normalizeIdentifier(role));
+    } else if ((match = rest.match(/^(USING|WITH\s+CHECK)\s*(?=\()/i))) {
+      const group = readParenthesized(rest, match[0].length);
+      if (!group) {
+        throw new Error(`Unbalanced parentheses in ${match[1].toUpperCase()} clause`);
+      }
+      if (/^USING$/i.test(match[1])) {
+        result.using = group.inner;
+      } else {
+        result.withCheck = group.inner;
+      }
+      rest = rest.substring(group.end).trim();
+      continue;
+    } else {
+      throw new Error(`Unexpected policy clause near "${rest.substring(0, 30)}"`);
+    }
+
+    rest = rest.substring(match[0].length).trim();
+  }
+
+  return result;
+}
+
+// Object types a GRANT/REVOKE can target besides tables
+const NON_TABLE_OBJECTS = /^(?:SEQUENCE|ALL\s+SEQUENCES|FUNCTION|ALL\s+FUNCTIONS|PROCEDURE|ALL\s+PROCEDURES|ROUTINE|ALL\s+ROUTINES|DATABASE|DOMAIN|FOREIGN|LANGUAGE|LARGE\s+OBJECT|PARAMETER|SCHEMA|TABLESPACE|TYPE)\b/i;
+
+/**
+ * Split a comma separated list, ignoring commas inside parentheses
+ * @param {string} text - List text
+ * @returns {Array} - Trimmed items
+ */
+function splitList(text) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) items.push(current.trim());
+
+  return items;
+}
+
+/**
+ * Parse a GRANT / REVOKE statement on tables
+ * Only SELECT privileges (directly or through ALL) are kept
+ * @param {string} statement - SQL statement
+ * @returns {Object|null} - {revoke, tableLevel, columns, tables, allTablesInSchema, roles} or null if not a table SELECT grant
+ */
+function parseGrant(statement) {
+  const match = statement.match(/^(GRANT|REVOKE)\s+(?:GRANT\s+OPTION\s+FOR\s+)?(.+?)\s+ON\s+(.+?)\s+(?:TO|FROM)\s+(.+)$/is);
+  if (!match) return null;
+
+  // Table-level and column-level SELECT privileges
+  let tableLevel = false;
+  const columns = [];
+  for (const privilege of splitList(match[2])) {
+    const privilegeMatch = privilege.match(/^(SELECT|ALL(?:\s+PRIVILEGES)?)\s*(?:\((.*)\))?$/is);
+    if (!privilegeMatch) continue;
+    if (privilegeMatch[2] === undefined) {
+      tableLevel = true;
+    } else {
+      columns.push(...splitList(privilegeMatch[2]).map(column => normalizeIdentifier(column)));
+    }
+  }
+  if (!tableLevel && columns.length === 0) return null;
+
+  let object = match[3].trim();
+  if (NON_TABLE_OBJECTS.test(object)) return null;
+
+  let allTablesInSchema = null;
+  let tables = [];
+  const schemaMatch = object.match(new RegExp(`^ALL\\s+TABLES\\s+IN\\s+SCHEMA\\s+(${IDENTIFIER})$`, 'i'));
+  if (schemaMatch) {
+    allTablesInSchema = normalizeIdentifier(schemaMatch[1]);
+  } else {
+    object = object.replace(/^TABLE\s+/i, '');
+    tables = splitList(object).map(table => parseQualifiedName(table.replace(/^ONLY\s+/i, '')));
+  }
+
+  const roles = splitList(match[4].replace(/\s+(?:WITH\s+GRANT\s+OPTION|GRANTED\s+BY\s+.+|CASCADE|RESTRICT)\s*$/i, ''))
+    .map(role => normalizeIdentifier(role.replace(/^GROUP\s+/i, '')));
+
+  return {
+    revoke: match[1].toUpperCase() === 'REVOKE',
+    tableLevel,
+    columns,
+    tables,
+    allTablesInSchema,
+    roles
+  };
+}
+
+/**
+ * Normalize a function return type to the name PostgreSQL reports
+ * @param {string} returnType - Raw return type from CREATE FUNCTION
+ * @returns {string} - Normalized type name
+ */
+function normalizeReturnType(returnType) {
+  let type = returnType.trim().replace(/\s+/g, ' ').toLowerCase();
+  const setOf = type.startsWith('setof ');
+  if (setOf) type = type.substring(6);
+
+  type = type
+    .replace(/\s*\(\s*\d+(?:\s*,\s*\d+)?\s*\)/, '')
+    .replace(/^public\./, '')
+    .replace(/"/g, '');
+
+  type = TYPE_ALIASES[type] || type;
+  return setOf ? `setof ${type}` : type;
+}
+
+// Argument types made of several words, which an unnamed argument can consist of
+const MULTI_WORD_TYPE = /^(?:double\s+precision|(?:character|bit)\s+varying|(?:timestamp|time)(?:\s*\(\s*\d+\s*\))?\s+with(?:out)?\s+time\s+zone|interval\s+\w+(?:\s+to\s+\w+)?)(?:\s*\(\s*\d+(?:\s*,\s*\d+)?\s*\))?(?:\s*\[\s*\d*\s*\])*$/i;
+
+/**
+ * Get the normalized types of the arguments that identify a function (IN, INOUT and VARIADIC)
+ * Accepts both CREATE FUNCTION parameter lists and DROP FUNCTION argument lists
+ * @param {string} args - Argument list without parentheses, e.g. "p_id integer, OUT total int8"
+ * @returns {Array} - Normalized types, e.g. ['integer']
+ */
+function getArgumentTypes(args) {
+  const types = [];
+
+  for (const parameter of splitList(args)) {
+    const modeMatch = parameter.match(/^(IN|OUT|INOUT|VARIADIC)\s+/i);
+    if (modeMatch && modeMatch[1].toUpperCase() === 'OUT') continue;
+
+    let type = parameter
+      .substring(modeMatch ? modeMatch[0].length : 0)
+      .replace(/\s+DEFAULT\s+[\s\S]*$|\s*=[\s\S]*$/i, '')
+      .trim();
+
+    // "name type" unless the whole text is a (multi-word) type
+    if (!MULTI_WORD_TYPE.test(type)) {
+      const nameMatch = type.match(new RegExp(`^${IDENTIFIER}\\s+(?=\\S)`));
+      if (nameMatch) type = type.substring(nameMatch[0].length);
+    }
+
+    const array = /\[\s*\d*\s*\]\s*$/.test(type) ? '[]' : '';
+    types.push(normalizeReturnType(type.replace(/(?:\s*\[\s*\d*\s*\])+\s*$/, '')) + array);
+  }
+
+  return types;
+}
+
+/**
+ * Parse a CREATE FUNCTION statement
+ * @param {string} statement - SQL statement
+ * @returns {Object|null} - Function definition or null if not parseable
+ */
+function parseCreateFunction(statement) {
+  const header = statement.match(new RegExp(`^CREATE\\s+(?:OR\\s+REPLACE\\s+)?FUNCTION\\s+(${QUALIFIED_NAME})\\s*(?=\\()`, 'i'));
+  if (!header) return null;
+
+  const args = readParenthesized(statement, header[0].length);
+  if (!args) return null;
+
+  let rest = statement.substring(args.end);
+
+  // Extract the body (dollar-quoted or single-quoted string after AS)
+  let source = null;
+  const asMatch = rest.match(/\bAS\s+(\$(?:[A-Za-z_]\w*)?\$|')/i);
+  if (asMatch) {
+    const bodyStart = asMatch.index + asMatch[0].length;
+    if (asMatch[1] === "'") {
+      const end = findQuoteEnd(rest, bodyStart - 1);
+      source = rest.substring(bodyStart, end - 1).replace(/''/g, "'");
+      rest = rest.substring(0, asMatch.index) + rest.substring(end);
+    } else {
+      const close = rest.indexOf(asMatch[1], bodyStart);
+      const end = close === -1 ? rest.length : close;
+      source = rest.substring(bodyStart, end);
+      rest = rest.substring(0, asMatch.index) + rest.substring(end + asMatch[1].length);
+    }
+  }
+
+  // Overloads are told apart by their number of arguments; OUT parameters aren't passed, defaults may be left out
+  const parameters = splitList(args.inner).filter(parameter => !/^OUT\s/i.test(parameter));
+  const maxArgs = parameters.length;
+  const minArgs = parameters.filter(parameter => !/\bDEFAULT\b|=/i.test(parameter)).length;
+
+  const returnsMatch = rest.match(/\bRETURNS\s+((?:SETOF\s+)?(?:TABLE\s*\([^)]*\)|[\w."]+(?:\s+(?:varying|precision|with(?:out)?\s+time\s+zone))?(?:\s*\(\s*\d+(?:\s*,\s*\d+)?\s*\))?(?:\s*\[\])?))/i);
+  const languageMatch = rest.match(/\bLANGUAGE\s+'?(\w+)'?/i);
+  const { schema, name } = parseQualifiedName(header[1]);
+
+  return {
+    schema: schema || 'public',
+    name,
+    args: args.inner,
+    argTypes: getArgumentTypes(args.inner),
+    minArgs,
+    maxArgs,
+    returnType: returnsMatch ? normalizeReturnType(returnsMatch[1]) : 'void',
+    language: languageMatch ? languageMatch[1].toLowerCase() : 'sql',
+    source
+  };
+}
+
+/**
+ * Parse SQL files and collect the resulting RLS state
+ * Statements are applied in order, so later migrations override earlier ones
+ * @param {Array} sqlFiles - SQL file paths in application order
+ * @returns {Object} - {policies, rlsTables, functions, selectGrants}
+ *   selectGrants: [{schema, table, role, columns}] where table '*' means all tables of the schema
+ *   and columns null means the whole table
+ */
+function parseSQLFiles(sqlFiles) {
+  const policies = new Map();
+  const rlsTables = new Set();
+  const functions = new Map();
+  const grants = new Map();
+
+  const tableKey = (table) => `${table.schema || 'public'}.${table.name}`;
+
+  for (const file of sqlFiles) {
+    const statements = splitStatements(fs.readFileSync(file, 'utf-8'));
+
+    for (const statement of statements) {
+      let match;
+
+      try {
+        if ((match = statement.match(new RegExp(`^CREATE\\s+POLICY\\s+(${IDENTIFIER})\\s+ON\\s+(${QUALIFIED_NAME})`, 'i')))) {
+          const name = normalizeIdentifier(match[1]);
+          const table = parseQualifiedName(match[2]);
+          const clauses = parsePolicyClauses(statement.substring(match[0].length));
+
+          policies.set(`${tableKey(table)}.${name}`, {
+            schema: table.schema || 'public',
+            table: table.name,
+            name,
+            permissive: clauses.permissive !== false,
+            roles: clauses.roles || ['public'],
+            command: clauses.command || 'ALL',
+            using: clauses.using || null,
+            withCheck: clauses.withCheck || null
+          });
+        } else if ((match = statement.match(new RegExp(`^ALTER\\s+POLICY\\s+(${IDENTIFIER})\\s+ON\\s+(${QUALIFIED_NAME})`, 'i')))) {
+          const name = normalizeIdentifier(match[1]);
+          const table = parseQualifiedName(match[2]);
+          const key = `${tableKey(table)}.${name}`;
+          const policy = policies.get(key);
+          const rest = statement.substring(match[0].length).trim();
+
+          if (!policy) {
+            console.warn(`⚠ ALTER POLICY on unknown policy '${name}' (${path.basename(file)})`);
+            continue;
+          }
+
+          const renameMatch = rest.match(new RegExp(`^RENAME\\s+TO\\s+(${IDENTIFIER})`, 'i'));
+          if (renameMatch) {
+            policies.delete(key);
+            policy.name = normalizeIdentifier(renameMatch[1]);
+            policies.set(`${tableKey(table)}.${policy.name}`, policy);
+          } else {
+            Object.assign(policy, parsePolicyClauses(rest));
+          }
+        } else if ((match = statement.match(new RegExp(`^DROP\\s+POLICY\\s+(?:IF\\s+EXISTS\\s+)?(${IDENTIFIER})\\s+ON\\s+(${QUALIFIED_NAME})`, 'i')))) {
+          const table = parseQualifiedName(match[2]);
+          policies.delete(`${tableKey(table)}.${normalizeIdentifier(match[1])}`);
+        } else if ((match = statement.match(new RegExp(`^ALTER\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?(?:ONLY\\s+)?(${QUALIFIED_NAME})`, 'i')))) {
+          const key = tableKey(parseQualifiedName(match[1]));
+          const rlsMatch = statement.match(/\b(ENABLE|DISABLE)\s+ROW\s+LEVEL\s+SECURITY\b/i);
+          if (rlsMatch) {
+            if (rlsMatch[1].toUpperCase() === 'ENABLE') {
+              rlsTables.add(key);
+            } else {
+              rlsTables.delete(key);
+            }
+          }
+        } else if (/^(?:GRANT|REVOKE)\b/i.test(statement)) {
+          const grant = parseGrant(statement);
+          if (!grant) continue;
+
+          const targets = grant.allTablesInSchema
+            ? [{ schema: grant.allTablesInSchema, name: '*' }]
+            : grant.tables;
+
+          for (const table of targets) {
+            for (const role of grant.roles) {
+              const key = `${tableKey(table)}|${role}`;
+              if (!grants.has(key)) {
+                grants.set(key, { schema: table.schema || 'public', table: table.name, role, tableLevel: false, columns: new Set() });
+              }
+              const entry = grants.get(key);
+
+              if (!grant.revoke) {
+                entry.tableLevel = entry.tableLevel || grant.tableLevel;
+                grant.columns.forEach(column => entry.columns.add(column));
+              } else if (grant.tableLevel) {
+                // Revoking a table privilege also revokes it on every column
+                entry.tableLevel = false;
+                entry.columns.clear();
+              } else {
+                grant.columns.forEach(column => entry.columns.delete(column));
+              }
+            }
+          }
+        } else if (/^CREATE\s+(?:OR\s+REPLACE\s+)?FUNCTION\b/i.test(statement)) {
+          const func = parseCreateFunction(statement);
+          if (func) {
+            // CREATE OR REPLACE replaces the function with the same argument types, other overloads stay
+            functions.set(`${func.schema}.${func.name}(${func.argTypes.join(', ')})`, func);
+          }
+        } else if ((match = statement.match(/^DROP\s+FUNCTION\s+(?:IF\s+EXISTS\s+)?(.+)$/is))) {
+          const dropped = match[1].replace(/\s+(CASCADE|RESTRICT)\s*$/i, '');
+          for (const item of splitList(dropped)) {
+            const nameMatch = item.match(new RegExp(`^${QUALIFIED_NAME}`));
+            if (!nameMatch) continue;
+
+            const { schema, name } = parseQualifiedName(nameMatch[0]);
+            const prefix = `${schema || 'public'}.${name}(`;
+            const openIndex = item.indexOf('(', nameMatch[0].length);
+            const args = openIndex === -1 ? null : readParenthesized(item, openIndex);
+
+            if (args) {
+              // A signature drops only that overload
+              functions.delete(`${prefix}${getArgumentTypes(args.inner).join(', ')})`);
+            } else {
+              // A name alone drops the function if it isn't overloaded (PostgreSQL would refuse otherwise)
+              for (const key of functions.keys()) {
+                if (key.startsWith(prefix)) {
+                  functions.delete(key);
+                }
+              }
+            }
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠ Could not parse statement in ${path.basename(path.dirname(file))}/${path.basename(file)}: ${error.message}`);
+      }
+    }
+  }
+
+  return {
+    policies: Array.from(policies.values()),
+    rlsTables: Array.from(rlsTables),
+    functions: Array.from(functions.values()),
+    selectGrants: Array.from(grants.values())
+      .filter(entry => entry.tableLevel || entry.columns.size > 0)
+      .map(entry => ({
+        schema: entry.schema,
+        table: entry.table,
+        role: entry.role,
+        columns: entry.tableLevel ? null : Array.from(entry.columns)
+      }))
+  };
+}
+
+module.exports = {
+  findMigrationFiles,
+  resolveSQLFiles,
+  splitStatements,
+  parseSQLFiles
+};
@@ -0,0 +1,165 @@
+// Unchanged lines shown around every change
+const CONTEXT = 3;
+
+/**
+ * Split text into lines; a missing final newline is kept on the last line, as git shows it
+ * @param {string} text
+ * @returns {Array}
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += '\n\\ No newline at end of file';
+  }
+  return lines;
+}
+
+/**
+ * Shortest edit script between two lists of lines (Myers' O(ND) algorithm)
+ * @param {Array} a - Old lines
+ * @param {Array} b - New lines
+ * @returns {Array} - [{type: ' ' | '-' | '+', line}]
+ */
+function diffLines(a, b) {
+  // Common prefix and suffix don't need the search
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const head = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+  const tail = a.slice(a.length - suffix).map(line => ({ type: ' ', line }));
+  const oldLines = a.slice(prefix, a.length - suffix);
+  const newLines = b.slice(prefix, b.length - suffix);
+
+  if (oldLines.length === 0 || newLines.length === 0) {
+    return [
+      ...head,
+      ...oldLines.map(line => ({ type: '-', line })),
+      ...newLines.map(line => ({ type: '+', line })),
+      ...tail
+    ];
+  }
+
+  const n = oldLines.length;
+  const m = newLines.length;
+  const offset = n + m + 1;
+  // v[k + offset]: furthest x reached on diagonal k; one copy per edit distance for the backtrack
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+
+  search:
+  for (let d = 0; d <= n + m; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[k - 1 + offset] < v[k + 1 + offset])
+        ? v[k + 1 + offset]
+        : v[k - 1 + offset] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+      v[k + offset] = x;
+      if (x >= n && y >= m) {
+        break search;
+      }
+    }
+  }
+
+  const operations = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && previous[k - 1 + offset] < previous[k + 1 + offset]) ? k + 1 : k - 1;
+    const previousX = previous[previousK + offset];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      operations.push({ type: ' ', line: oldLines[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === previousX) {
+        operations.push({ type: '+', line: newLines[--y] });
+      } else {
+        operations.push({ type: '-', line: oldLines[--x] });
+      }
+    }
+  }
+
+  return [...head, ...operations.reverse(), ...tail];
+}
+
+/**
+ * Unified diff of two texts (as `diff -u` / `git diff`)
+ * @param {string|null} before - Old content, null for a new file
+ * @param {string|null} after - New content, null for a removed file
+ * @param {string} fileName - Path shown in the header
+ * @returns {string} - The diff, empty when the texts are equal
+ */
+function createUnifiedDiff(before, after, fileName) {
+  const operations = diffLines(splitLines(before), splitLines(after));
+
+  // Line numbers before each operation
+  let oldLine = 0;
+  let newLine = 0;
+  for (const operation of operations) {
+    operation.oldLine = oldLine;
+    operation.newLine = newLine;
+    if (operation.type !== '+') oldLine++;
+    if (operation.type !== '-') newLine++;
+  }
+
+  // Changes closer than twice the context share a hunk
+  const hunks = [];
+  let i = 0;
+  while (i < operations.length) {
+    if (operations[i].type === ' ') {
+      i++;
+      continue;
+    }
+    const start = Math.max(0, i - CONTEXT);
+    let end = i;
+    for (let j = i + 1; j < operations.length && j - end <= 2 * CONTEXT; j++) {
+      if (operations[j].type !== ' ') end = j;
+    }
+    const stop = Math.min(operations.length, end + CONTEXT + 1);
+    hunks.push(operations.slice(start, stop));
+    i = stop;
+  }
+
+  if (hunks.length === 0) {
+    return '';
+  }
+
+  const lines = [
+    `--- ${before === null ? '/dev/null' : `a/${fileName}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${fileName}`}`
+  ];
+  for (const hunk of hunks) {
+    const oldLength = hunk.filter(operation => operation.type !== '+').length;
+    const newLength = hunk.filter(operation => operation.type !== '-').length;
+    // An empty range is numbered by the line before it
+    const oldStart = oldLength > 0 ? hunk[0].oldLine + 1 : hunk[0].oldLine;
+    const newStart = newLength > 0 ? hunk[0].newLine + 1 : hunk[0].newLine;
+    lines.push(`@@ -${oldStart},${oldLength} +${newStart},${newLength} @@`);
+    for (const operation of hunk) {
+      lines.push(`${operation.type}${operation.line}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  createUnifiedDiff,
+  diffLines
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Every generated file is read and written through this module
+ * In dry-run mode (--dry-run, --check) nothing is written to disk: files are kept in memory,
+ * later reads of a file see its pending content, and getPendingChanges() compares them with the disk
+ */
+let dryRun = false;
+// Absolute path -> pending content, null when the file is removed
+const pending = new Map();
+
+/**
+ * Enable or disable dry-run mode, discarding the pending files
+ * @param {boolean} enabled
+ */
+function setDryRun(enabled) {
+  dryRun = Boolean(enabled);
+  pending.clear();
+}
+
+/**
+ * Whether a generated file exists (pending files included)
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function outputFileExists(filePath) {
+  const absolutePath = path.resolve(filePath);
+  if (pending.has(absolutePath)) {
+    return pending.get(absolutePath) !== null;
+  }
+  return fs.existsSync(absolutePath);
+}
+
+/**
+ * Read a generated file (pending content first)
+ * @param {string} filePath
+ * @returns {string}
+ */
+function readOutputFile(filePath) {
+  const absolutePath = path.resolve(filePath);
+  if (pending.has(absolutePath)) {
+    const content = pending.get(absolutePath);
+    if (content === null) {
+      throw new Error(`ENOENT: no such file, open '${filePath}'`);
+    }
+    return content;
+  }
+  return fs.readFileSync(absolutePath, 'utf8');
+}
+
+/**
+ * Write a generated file, creating its directory
+ * @param {string} filePath
+ * @param {string} content
+ */
+function writeOutputFile(filePath, content) {
+  const absolutePath = path.resolve(filePath);
+  if (dryRun) {
+    pending.set(absolutePath, String(content));
+    return;
+  }
+
+  const outputDir = path.dirname(absolutePath);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  fs.writeFileSync(absolutePath, content);
+}
+
+/**
+ * Copy a source file of the project to a generated file
+ * @param {string} sourcePath
+ * @param {string} filePath
+ */
+function copyOutputFile(sourcePath, filePath) {
+  writeOutputFile(filePath, fs.readFileSync(sourcePath, 'utf8'));
+}
+
+/**
+ * Remove a generated file
+ * @param {string} filePath
+ */
+function removeOutputFile(filePath) {
+  const absolutePath = path.resolve(filePath);
+  if (dryRun) {
+    pending.set(absolutePath, null);
+    return;
+  }
+  fs.unlinkSync(absolutePath);
+}
+
+/**
+ * Pending files that differ from the disk (dry-run mode)
+ * @returns {Array} - [{filePath, before, after}], before/after are null for a created/removed file
+ */
+function getPendingChanges() {
+  const changes = [];
+  for (const [filePath, after] of [...pending.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    const before = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    if (before !== after) {
+      changes.push({ filePath, before, after });
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  setDryRun,
+  outputFileExists,
+  readOutputFile,
+  writeOutputFile,
+  copyOutputFile,
+  removeOutputFile,
+  getPendingChanges
+};
@@ -0,0 +1,248 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { buildProject, loadModel, removeProject } = require('./helpers/project');
+
+const SCHEMA = `
+model User {
+  id        Int       @id @default(autoincrement())
+  tenant_id Int?
+  role      String
+
+  @@map("users")
+}
+
+model Invoice {
+  id        Int    @id @default(autoincrement())
+  tenant_id Int
+  status    String
+
+  @@map("invoice")
+}
+
+model Document {
+  id    Int    @id @default(autoincrement())
+  code  String
+  level Int
+
+  @@map("document")
+}
+`;
+
+const MIGRATION = `
+CREATE SCHEMA billing;
+CREATE FUNCTION billing.tenant() RETURNS integer LANGUAGE sql STABLE AS $$ SELECT current_setting('app.tenant_id')::int $$;
+
+ALTER TABLE invoice ENABLE ROW LEVEL SECURITY;
+CREATE POLICY invoice_tenant ON invoice FOR ALL
+  USING (tenant_id = billing.tenant())
+  WITH CHECK (tenant_id = billing.tenant());
+CREATE POLICY invoice_not_admin ON invoice AS RESTRICTIVE FOR UPDATE
+  USING (current_setting('app.current_role') <> 'auditor');
+
+ALTER TABLE document ENABLE ROW LEVEL SECURITY;
+CREATE POLICY document_select ON document FOR SELECT USING (code LIKE '100\\%' OR code LIKE 'a\\_b%');
+CREATE POLICY document_insert ON document FOR INSERT WITH CHECK (level::text = '5' AND code LIKE 'x\\\\%');
+CREATE POLICY document_update ON document FOR UPDATE USING (level IN ('1', '2'));
+`;
+
+let dir;
+let acl;
+before(async () => {
+  dir = await buildProject(SCHEMA, MIGRATION);
+  acl = require(path.join(dir, 'rapidd', 'acl.js'));
+});
+after(() => removeProject(dir));
+
+test('a policy function mapped to a user field denies access when the field is missing', () => {
+  const invoice = acl.model.Invoice;
+
+  assert.strictEqual(invoice.getAccessFilter({ id: 1, role: 'clerk' }), false);
+  assert.strictEqual(invoice.canCreate({ id: 1, role: 'clerk' }, { status: 'open' }), false);
+  assert.strictEqual(invoice.canCreate({ id: 1, role: 'clerk', tenant_id: null }, { tenant_id: null, status: 'open' }), false);
+
+  assert.deepStrictEqual(invoice.getAccessFilter({ id: 1, role: 'clerk', tenant_id: 3 }), { tenant_id: 3 });
+  assert.strictEqual(invoice.canCreate({ id: 1, role: 'clerk', tenant_id: 3 }, { tenant_id: 3, status: 'open' }), true);
+});
+
+test('a user no policy grants access to reads no records', async () => {
+  const { Model, queries } = loadModel(dir, 'Invoice', { id: 1, tenant_id: 3, status: 'open' });
+  const denied = new Model({ user: { id: 1, role: 'clerk' } });
+
+  assert.deepStrictEqual(await denied.getMany(), { data: [], meta: { take: 25, skip: 0, total: 0 } });
+  assert.strictEqual(await denied.count(), 0);
+  await assert.rejects(denied.get(1), { status_code: 403 });
+  assert.throws(() => denied.filter({}), { status_code: 403 });
+  assert.strictEqual(queries.filter(query => query.select === undefined).length, 1);
+
+  queries.length = 0;
+  const allowed = new Model({ user: { id: 1, role: 'clerk', tenant_id: 3 } });
+  assert.deepStrictEqual((await allowed.getMany()).data, [{ id: 1, tenant_id: 3, status: 'open' }]);
+  assert.deepStrictEqual(queries.map(query => query.where), [{ tenant_id: 3 }, { tenant_id: 3 }]);
+});
+
+test('an inequality with a session variable denies access when the field is missing', () => {
+  const invoice = acl.model.Invoice;
+
+  assert.strictEqual(invoice.canUpdateTo({ id: 1, tenant_id: 3 }, { tenant_id: 3 }), false);
+  assert.strictEqual(invoice.canUpdateTo({ id: 1, tenant_id: 3, role: 'clerk' }, { tenant_id: 3 }), true);
+});
+
+test('LIKE patterns keep escaped wildcards as characters', () => {
+  const document = acl.model.Document;
+
+  assert.deepStrictEqual(document.getAccessFilter({ id: 1 }), { OR: [{ code: '100%' }, { code: { startsWith: 'a_b' } }] });
+  assert.strictEqual(document.canCreate({ id: 1 }, { level: 5, code: 'x\\1' }), true);
+  assert.strictEqual(document.canCreate({ id: 1 }, { level: 5, code: 'x1' }), false);
+});
+
+test('literals compared with a column are coerced to its type in filters and conditions', () => {
+  const document = acl.model.Document;
+
+  assert.strictEqual(document.canCreate({ id: 1 }, { level: 5, code: 'x\\' }), true);
+  assert.deepStrictEqual(document.getUpdateFilter({ id: 1 }), { level: { in: [1, 2] } });
+  assert.strictEqual(document.canUpdateTo({ id: 1 }, { level: 2 }), true);
+  assert.strictEqual(document.canUpdateTo({ id: 1 }, { level: 3 }), false);
+});
+
+test('update and delete stay denied when only restrictive policies cover them', async () => {
+  const schema = `
+model User {
+  id Int @id @default(autoincrement())
+
+  @@map("users")
+}
+
+model Note {
+  id       Int @id @default(autoincrement())
+  owner_id Int
+
+  @@map("note")
+}
+`;
+  const migration = `
+ALTER TABLE note ENABLE ROW LEVEL SECURITY;
+CREATE POLICY note_select ON note FOR SELECT USING (owner_id = current_setting('app.current_user_id')::int);
+CREATE POLICY note_locked ON note AS RESTRICTIVE FOR UPDATE USING (owner_id = current_setting('app.current_user_id')::int);
+`;
+  const noteDir = await buildProject(schema, migration);
+  try {
+    const note = require(path.join(noteDir, 'rapidd', 'acl.js')).model.Note;
+    const user = { id: 1 };
+
+    assert.deepStrictEqual(note.getAccessFilter(user), { owner_id: 1 });
+    assert.strictEqual(note.getUpdateFilter(user), false);
+    // No DELETE policy at all: the access filter applies
+    assert.deepStrictEqual(note.getDeleteFilter(user), { owner_id: 1 });
+  } finally {
+    removeProject(noteDir);
+  }
+});
+
+test('a check policy that fails to convert grants nothing, or denies everything when restrictive', async () => {
+  const schema = `
+model User {
+  id Int @id @default(autoincrement())
+
+  @@map("users")
+}
+
+model Note {
+  id       Int @id @default(autoincrement())
+  owner_id Int
+
+  @@map("note")
+}
+`;
+  const migration = `
+ALTER TABLE note ENABLE ROW LEVEL SECURITY;
+CREATE POLICY note_owner ON note FOR ALL USING (owner_id = current_setting('app.current_user_id')::int);
+CREATE POLICY note_insert_unknown ON note FOR INSERT WITH CHECK (owner_id = unknown_owner());
+CREATE POLICY note_update_unknown ON note AS RESTRICTIVE FOR UPDATE WITH CHECK (owner_id = unknown_owner());
+`;
+  const noteDir = await buildProject(schema, migration);
+  try {
+    const note = require(path.join(noteDir, 'rapidd', 'acl.js')).model.Note;
+    const user = { id: 1 };
+
+    // The failing permissive policy doesn't open canCreate to rows of other users
+    assert.strictEqual(note.canCreate(user, { owner_id: 2 }), false);
+    assert.strictEqual(note.canCreate(user, { owner_id: 1 }), true);
+    // The failing restrictive policy denies every update
+    assert.strictEqual(note.canUpdateTo(user, { owner_id: 1 }), false);
+  } finally {
+    removeProject(noteDir);
+  }
+});
+
+test('policies apply to the user roles their database roles map to', async () => {
+  const schema = `
+model User {
+  id   Int    @id @default(autoincrement())
+  role String
+
+  @@map("users")
+}
+
+model Post {
+  id        Int     @id @default(autoincrement())
+  author_id Int
+  published Boolean
+
+  @@map("post")
+}
+`;
+  const migration = `
+ALTER TABLE post ENABLE ROW LEVEL SECURITY;
+CREATE POLICY post_staff ON post FOR SELECT TO staff USING (true);
+CREATE POLICY post_published ON post FOR SELECT TO public USING (published = true);
+CREATE POLICY post_author ON post FOR DELETE USING (author_id = current_setting('app.current_user_id')::int);
+CREATE POLICY post_no_auditor ON post AS RESTRICTIVE FOR DELETE TO auditor USING (false);
+`;
+  const postDir = await buildProject(schema, migration, { roleMap: ['staff=editor,moderator'] });
+  try {
+    const post = require(path.join(postDir, 'rapidd', 'acl.js')).model.Post;
+
+    // A permissive policy grants only to the mapped roles
+    assert.deepStrictEqual(post.getAccessFilter({ id: 1, role: 'editor' }), {});
+    assert.deepStrictEqual(post.getAccessFilter({ id: 1, role: 'moderator' }), {});
+    assert.deepStrictEqual(post.getAccessFilter({ id: 1, role: 'reader' }), { published: true });
+    // A restrictive policy restricts only its roles (unmapped roles match user.role by name)
+    assert.deepStrictEqual(post.getDeleteFilter({ id: 1, role: 'reader' }), { author_id: 1 });
+    assert.strictEqual(post.getDeleteFilter({ id: 1, role: 'auditor' }), false);
+  } finally {
+    removeProject(postDir);
+  }
+});
+
+test('column privileges of a mapped table match its name as written', async () => {
+  const schema = `
+model User {
+  id   Int    @id @default(autoincrement())
+  role String
+
+  @@map("users")
+}
+
+model Account {
+  id     Int    @id @default(autoincrement())
+  email  String
+  secret String
+
+  @@map("UserAccount")
+}
+`;
+  const migration = `
+GRANT SELECT (id, email) ON "UserAccount" TO app_user;
+GRANT SELECT ON "UserAccount" TO admin_role;
+`;
+  const accountDir = await buildProject(schema, migration, { roleMap: ['app_user=member', 'admin_role=admin'] });
+  try {
+    const account = require(path.join(accountDir, 'rapidd', 'acl.js')).model.Account;
+
+    assert.deepStrictEqual(account.getOmitFields({ id: 1, role: 'member' }), ['secret']);
+    assert.deepStrictEqual(account.getOmitFields({ id: 1, role: 'admin' }), []);
+  } finally {
+    removeProject(accountDir);
+  }
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildModels } = require('../src/commands/build');
+
+test('a dry run (--check) writes nothing and does not run prisma generate', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapidd-test-'));
+  const schemaPath = path.join(dir, 'prisma', 'schema.prisma');
+  fs.mkdirSync(path.dirname(schemaPath), { recursive: true });
+  fs.writeFileSync(schemaPath, `datasource db {
+  provider = "mysql"
+  url      = "mysql://localhost/app"
+}
+
+model User {
+  id Int @id @default(autoincrement())
+}
+
+model Post {
+  id    Int    @id @default(autoincrement())
+  title String
+}
+`);
+
+  const messages = [];
+  const log = console.log;
+  console.log = (...args) => messages.push(args.join(' '));
+  try {
+    const { outputChanges } = await buildModels({ schema: schemaPath, output: dir, check: true });
+
+    assert.ok(outputChanges.length > 0);
+    assert.ok(messages.some(message => message.includes('skipping npx prisma generate')));
+    assert.deepStrictEqual(fs.readdirSync(dir), ['prisma']);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(schemaPath)), ['schema.prisma']);
+  } finally {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
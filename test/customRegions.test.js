@@ -0,0 +1,48 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { customRegion, setForce, writeGeneratedFile } = require('../src/generators/customRegions');
+
+const GENERATED = `class Posts {\n${customRegion('methods', '    ')}\n}\n`;
+
+let dir;
+let warn;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapidd-test-'));
+  warn = console.warn;
+  console.warn = () => {};
+});
+afterEach(() => {
+  console.warn = warn;
+  setForce(false);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a file without a checksum header is not overwritten', () => {
+  const filePath = path.join(dir, 'Posts.js');
+  fs.writeFileSync(filePath, 'class Posts {\n    publish() {}\n}\n');
+
+  assert.strictEqual(writeGeneratedFile(filePath, GENERATED), false);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf-8'), 'class Posts {\n    publish() {}\n}\n');
+});
+
+test('--force overwrites a file without a checksum header', () => {
+  const filePath = path.join(dir, 'Posts.js');
+  fs.writeFileSync(filePath, 'class Posts {\n    publish() {}\n}\n');
+  setForce(true);
+
+  assert.strictEqual(writeGeneratedFile(filePath, GENERATED), true);
+  assert.match(fs.readFileSync(filePath, 'utf-8'), /^\/\/ rapidd:checksum [0-9a-f]+/);
+});
+
+test('the code of the custom regions is kept when a file is regenerated', () => {
+  const filePath = path.join(dir, 'Posts.js');
+  writeGeneratedFile(filePath, GENERATED);
+  const custom = fs.readFileSync(filePath, 'utf-8').replace('// rapidd:custom-start methods\n', '// rapidd:custom-start methods\n    publish() {}\n');
+  fs.writeFileSync(filePath, custom);
+
+  assert.strictEqual(writeGeneratedFile(filePath, GENERATED.replace('class Posts', 'class Post')), true);
+  assert.match(fs.readFileSync(filePath, 'utf-8'), /class Post \{\n {4}\/\/ rapidd:custom-start methods\n {4}publish\(\) \{\}\n/);
+});
@@ -0,0 +1,148 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSQLFiles } = require('../src/parsers/sqlMigrationParser');
+const { parsePrismaSchema } = require('../src/parsers/prismaParser');
+const { analyzeFunctionsFromSQL, analyzeFunctionBody, resolveUserRelationPaths } = require('../src/parsers/functionAnalyzer');
+
+const SCHEMA = `
+model User {
+  id      Int      @id
+  role    String
+  teacher Teacher?
+
+  @@map("users")
+}
+
+model Teacher {
+  id        Int    @id
+  user_id   Int    @unique
+  school_id Int
+  user      User   @relation(fields: [user_id], references: [id])
+  school    School @relation(fields: [school_id], references: [id])
+
+  @@map("teachers")
+}
+
+model School {
+  id       Int       @id
+  teachers Teacher[]
+
+  @@map("schools")
+}
+`;
+
+const FUNCTIONS = `
+CREATE SCHEMA auth;
+CREATE FUNCTION auth.uid() RETURNS integer LANGUAGE sql STABLE AS $$ SELECT current_setting('app.current_user_id')::int $$;
+CREATE FUNCTION auth.teacher_id() RETURNS integer LANGUAGE sql STABLE AS $$ SELECT t.id FROM teachers t WHERE t.user_id = auth.uid() $$;
+CREATE FUNCTION public.teacher_id() RETURNS integer LANGUAGE sql STABLE AS $$ SELECT 0 $$;
+CREATE FUNCTION school_id() RETURNS integer LANGUAGE plpgsql STABLE AS $$
+BEGIN
+  RETURN QUERY SELECT COALESCE(s.id, 0) FROM schools s JOIN teachers t ON t.school_id = s.id WHERE t.user_id = auth.uid();
+END $$;
+CREATE FUNCTION user_role() RETURNS text LANGUAGE sql STABLE AS $$ SELECT role FROM users WHERE id = auth.uid() $$;
+CREATE FUNCTION user_role(p_user integer) RETURNS text LANGUAGE sql STABLE AS $$ SELECT 'guest' $$;
+`;
+
+let dir;
+let models;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapidd-test-'));
+  fs.writeFileSync(path.join(dir, 'schema.prisma'), SCHEMA);
+  models = parsePrismaSchema(path.join(dir, 'schema.prisma')).models;
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Analyze the functions the policies of a migration call
+ * @param {string} policies - CREATE POLICY statements, appended to FUNCTIONS
+ * @param {Array} schemas - Database schemas whose policies are analyzed
+ * @returns {Object} - Result of analyzeFunctionsFromSQL
+ */
+function analyze(policies, schemas = ['public']) {
+  const file = path.join(dir, `${Date.now()}.sql`);
+  fs.writeFileSync(file, FUNCTIONS + policies);
+  return analyzeFunctionsFromSQL(parseSQLFiles([file]), schemas);
+}
+
+test('SQL-language functions are followed back to the current user', () => {
+  assert.deepStrictEqual(analyzeFunctionBody("SELECT current_setting('app.current_user_id')::int", 'integer', 'sql').mapping, {
+    type: 'direct',
+    returns: 'user?.id',
+    description: 'Returns user.id'
+  });
+
+  const { functionMappings } = analyze(`
+CREATE POLICY lesson_teacher ON lesson USING (teacher_id = auth.teacher_id() OR user_role() = 'admin');
+`);
+  assert.deepStrictEqual(functionMappings['auth.teacher_id'], {
+    type: 'lookup',
+    returns: 'user?.teachers_id',
+    description: 'Looks up teachers.id where teachers.user_id = user.id',
+    path: [{ schema: 'public', table: 'teachers', column: 'user_id', userField: 'id' }],
+    field: 'id'
+  });
+  // A SELECT of the user table itself returns the user field
+  assert.strictEqual(functionMappings.user_role.returns, 'user?.role');
+});
+
+test('RETURN QUERY with joins and COALESCE is followed through every table', () => {
+  const { functionMappings } = analyze(`
+CREATE POLICY lesson_school ON lesson USING (school_id = school_id());
+`);
+
+  assert.strictEqual(functionMappings.school_id.type, 'lookup');
+  assert.deepStrictEqual(functionMappings.school_id.path, [
+    { schema: 'public', table: 'teachers', column: 'user_id', userField: 'id' },
+    { schema: 'public', table: 'schools', column: 'id', fromColumn: 'school_id' }
+  ]);
+});
+
+test('schema-qualified calls resolve to the function of their schema', () => {
+  const { functionMappings } = analyze(`
+CREATE POLICY lesson_teacher ON lesson USING (teacher_id = auth.teacher_id() OR teacher_id = teacher_id());
+`);
+
+  assert.strictEqual(functionMappings['auth.teacher_id'].returns, 'user?.teachers_id');
+  // Unqualified calls resolve to public first, whose teacher_id() doesn't read the user
+  assert.strictEqual(functionMappings.teacher_id.type, 'unknown');
+});
+
+test('only the policies of the analyzed schemas are read', () => {
+  const policies = `
+CREATE POLICY lesson_teacher ON billing.lesson USING (teacher_id = auth.teacher_id());
+`;
+
+  assert.deepStrictEqual(analyze(policies).functionMappings, {});
+  assert.deepStrictEqual(Object.keys(analyze(policies, ['public', 'billing']).functionMappings), ['auth.teacher_id']);
+});
+
+test('overloaded functions are analyzed by the overload the policy calls', () => {
+  const withoutArguments = analyze(`
+CREATE POLICY lesson_admin ON lesson USING (user_role(1) = 'guest' OR user_role() = 'admin');
+`);
+  assert.strictEqual(withoutArguments.functionMappings.user_role.returns, 'user?.role');
+
+  const withArgument = analyze(`
+CREATE POLICY lesson_admin ON lesson USING (user_role(1) = 'guest');
+`);
+  assert.strictEqual(withArgument.functionMappings.user_role.type, 'unknown');
+});
+
+test('lookups resolve to relation paths of the user model', () => {
+  const analysis = analyze(`
+CREATE POLICY lesson_teacher ON lesson USING (teacher_id = auth.teacher_id() OR school_id = school_id() OR user_role() = 'admin');
+`);
+  resolveUserRelationPaths(analysis, models, 'User');
+  const { functionMappings, userContextRequirements } = analysis;
+
+  assert.strictEqual(functionMappings['auth.teacher_id'].returns, 'user?.teacher?.id');
+  assert.deepStrictEqual(functionMappings['auth.teacher_id'].relationPath, ['teacher']);
+  assert.strictEqual(functionMappings.school_id.returns, 'user?.teacher?.school?.id');
+  assert.deepStrictEqual(functionMappings.school_id.relationPath, ['teacher', 'school']);
+  assert.deepStrictEqual(Object.keys(userContextRequirements).sort(), ['id', 'teacher.id', 'teacher.school.id']);
+  assert.deepStrictEqual(userContextRequirements['teacher.school.id'].relationPath, ['teacher', 'school']);
+});
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parsePrismaSchema } = require('../../src/parsers/prismaParser');
+const { createEnhancedConverter } = require('../../src/parsers/enhancedRLSConverter');
+
+/**
+ * Create an RLS converter for a Prisma schema whose results can be evaluated
+ * @param {string} schema - Models of schema.prisma
+ * @param {Object} relationships - relationships.json as generated from the DMMF
+ * @param {Object} options - {functionMappings, sessionVariables, analyzedMappings}
+ * @returns {Object} - {converter, filter(sql, modelName, user), condition(sql, modelName, data, user)}
+ */
+function createConverter(schema, relationships = {}, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapidd-test-'));
+  let models;
+  try {
+    fs.writeFileSync(path.join(dir, 'schema.prisma'), schema);
+    models = parsePrismaSchema(path.join(dir, 'schema.prisma')).models;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  const converter = createEnhancedConverter(
+    options.functionMappings,
+    options.sessionVariables,
+    models,
+    relationships,
+    options.analyzedMappings
+  );
+
+  return {
+    converter,
+    filter: (sql, modelName, user) => new Function('user', converter.convertToPrismaFilter(sql, 'user', modelName))(user),
+    condition: (sql, modelName, data, user) => new Function('data', 'user', `return ${converter.convertToJavaScript(sql, 'data', 'user', modelName)};`)(data, user)
+  };
+}
+
+module.exports = {
+  createConverter
+};
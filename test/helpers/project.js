@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildModels } = require('../../src/commands/build');
+
+/**
+ * Build a project from a Prisma schema and a migration into a temporary directory (offline RLS)
+ * The runtime modules the generated code needs (Prisma client, query builder, Api) are replaced by
+ * stubs, so the generated Model classes and ACL can be loaded without a database
+ * @param {string} schema - Content of schema.prisma (without generator and datasource)
+ * @param {string} migration - Content of migration.sql
+ * @param {Object} options - Build options, e.g. {lang: 'ts'}
+ * @param {Object} relationships - Optional: relationships.json as generated from the DMMF
+ *                                 (npx prisma generate doesn't run offline, and the schema fallback finds no foreign keys)
+ * @returns {Promise<string>} - Directory of the project
+ */
+async function buildProject(schema, migration, options = {}, relationships = null) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapidd-test-'));
+  const migrationDir = path.join(dir, 'prisma', 'migrations', '20240101000000_init');
+  fs.mkdirSync(migrationDir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'prisma', 'schema.prisma'), `generator client {
+  provider = "prisma-client-js"
+  output   = "./client"
+}
+
+datasource db {
+  provider = "postgresql"
+  url      = env("DATABASE_URL")
+}
+${schema}`);
+  fs.writeFileSync(path.join(migrationDir, 'migration.sql'), migration);
+
+  const build = (only) => buildModels({
+    schema: path.join(dir, 'prisma', 'schema.prisma'),
+    output: dir,
+    offline: true,
+    skipGenerate: true,
+    ...options,
+    ...(only ? { only } : {})
+  });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await build();
+    if (relationships) {
+      // The ACL builds relation filters from relationships.json
+      fs.writeFileSync(path.join(dir, 'rapidd', 'relationships.json'), JSON.stringify(relationships, null, 4));
+      await build('acl');
+    }
+  } finally {
+    console.log = log;
+  }
+
+  fs.writeFileSync(path.join(dir, 'src', 'QueryBuilder.js'), `class QueryBuilder {
+    create() {}
+    update() {}
+    omit() { return {}; }
+    include() { return {}; }
+    filter() { return {}; }
+    sort() { return {}; }
+    take(limit) { return limit; }
+}
+const prisma = {};
+module.exports = { QueryBuilder, prisma, prismaTransaction: async (operations) => Promise.all(operations.map(operation => operation(prisma))) };
+`);
+  fs.writeFileSync(path.join(dir, 'src', 'Api.js'), `class ErrorResponse extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status_code = status;
+    }
+}
+module.exports = { ErrorResponse };
+`);
+  fs.writeFileSync(path.join(dir, 'rapidd', 'rapidd.js'), `module.exports = { acl: require('./acl') };\n`);
+
+  return dir;
+}
+
+/**
+ * Load a generated model class with a stub Prisma delegate holding one record
+ * @param {string} dir - Directory of the project (buildProject)
+ * @param {string} modelName - Model name, as in the Prisma schema
+ * @param {Object} record - Record findUnique and findMany return
+ * @returns {Object} - {Model, writes, queries}: the class, the data every create and update was called with
+ *                     and the queries every read was called with
+ */
+function loadModel(dir, modelName, record) {
+  const writes = [];
+  const queries = [];
+  const { prisma } = require(path.join(dir, 'src', 'QueryBuilder.js'));
+  prisma[modelName] = {
+    fields: Object.fromEntries(Object.keys(record || {}).map(name => [name, { name }])),
+    findUnique: async (query) => {
+      queries.push(query);
+      return record;
+    },
+    findMany: async (query) => {
+      queries.push(query);
+      return record ? [record] : [];
+    },
+    count: async (query) => {
+      queries.push(query);
+      return record ? 1 : 0;
+    },
+    create: async ({ data }) => {
+      writes.push(data);
+      return data;
+    },
+    update: async ({ data }) => {
+      writes.push(data);
+      return { ...record, ...data };
+    }
+  };
+
+  return { Model: require(path.join(dir, 'src', 'Model', `${modelName}.js`))[modelName], writes, queries };
+}
+
+/**
+ * Remove a project built by buildProject
+ * @param {string} dir
+ */
+function removeProject(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = {
+  buildProject,
+  loadModel,
+  removeProject
+};
@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { buildProject, loadModel, removeProject } = require('./helpers/project');
+
+const SCHEMA = `
+model User {
+  id      Int          @id @default(autoincrement())
+  role    String
+  members TeamMember[]
+
+  @@map("users")
+}
+
+model Team {
+  id       Int          @id @default(autoincrement())
+  members  TeamMember[]
+  projects Project[]
+
+  @@map("team")
+}
+
+model TeamMember {
+  team_id Int
+  user_id Int
+  team    Team @relation(fields: [team_id], references: [id])
+  user    User @relation(fields: [user_id], references: [id])
+
+  @@id([team_id, user_id])
+  @@map("team_member")
+}
+
+model Project {
+  id      Int    @id @default(autoincrement())
+  team_id Int
+  name    String
+  team    Team   @relation(fields: [team_id], references: [id])
+
+  @@map("project")
+}
+`;
+
+const MIGRATION = `
+ALTER TABLE project ENABLE ROW LEVEL SECURITY;
+CREATE POLICY project_member ON project FOR ALL
+  USING (team_id IN (SELECT team_id FROM team_member WHERE user_id = current_setting('app.current_user_id')::int));
+`;
+
+const RELATIONSHIPS = {
+  User: { members: { object: 'TeamMember', field: 'user_id' } },
+  Team: {
+    members: { object: 'TeamMember', field: 'team_id' },
+    projects: { object: 'Project', field: 'team_id' }
+  },
+  TeamMember: {
+    team: { object: 'Team', field: 'team_id' },
+    user: { object: 'User', field: 'user_id' }
+  },
+  Project: { team: { object: 'Team', field: 'team_id' } }
+};
+
+// Team 5 has user 1 as member, team 6 doesn't
+const TEAMS = {
+  5: { id: 5, members: [{ team_id: 5, user_id: 1 }] },
+  6: { id: 6, members: [{ team_id: 6, user_id: 2 }] }
+};
+
+const USER = { id: 1, role: 'developer' };
+
+let dir;
+let lookups;
+before(async () => {
+  dir = await buildProject(SCHEMA, MIGRATION, {}, RELATIONSHIPS);
+  const { prisma } = require(path.join(dir, 'src', 'QueryBuilder.js'));
+  lookups = [];
+  prisma.Team = {
+    findFirst: async (query) => {
+      lookups.push(query);
+      return TEAMS[query.where.id] || null;
+    }
+  };
+});
+after(() => removeProject(dir));
+
+test('the ACL lists the relations an IN subquery check reads', () => {
+  const project = require(path.join(dir, 'rapidd', 'acl.js')).model.Project;
+
+  assert.deepStrictEqual(project.checkInclude, { team: { include: { members: true } } });
+  assert.strictEqual(project.canCreate(USER, { team_id: 5, team: TEAMS[5] }), true);
+  assert.strictEqual(project.canCreate(USER, { team_id: 6, team: TEAMS[6] }), false);
+});
+
+test('create looks up the related record by its foreign key before the check', async () => {
+  const { Model, writes } = loadModel(dir, 'Project', null);
+  const project = new Model({ user: USER });
+  lookups.length = 0;
+
+  await project.create({ team_id: 5, name: 'Website' });
+  assert.deepStrictEqual(writes, [{ team_id: 5, name: 'Website' }]);
+  assert.deepStrictEqual(lookups, [{ where: { id: 5 }, include: { members: true } }]);
+
+  await assert.rejects(project.create({ team_id: 6, name: 'Website' }), { status_code: 403 });
+  await assert.rejects(project.create({ team_id: 7, name: 'Website' }), { status_code: 403 });
+  assert.strictEqual(writes.length, 1);
+});
+
+test('create resolves a relation connect to the foreign key', async () => {
+  const { Model, writes } = loadModel(dir, 'Project', null);
+  const project = new Model({ user: USER });
+
+  await project.create({ team: { connect: { id: 5 } }, name: 'Website' });
+  await assert.rejects(project.create({ team: { connect: { id: 6 } }, name: 'Website' }), { status_code: 403 });
+  assert.strictEqual(writes.length, 1);
+});
+
+test('update checks the related record of the updated foreign key', async () => {
+  const { Model, writes } = loadModel(dir, 'Project', { id: 1, team_id: 5, name: 'Website' });
+  const project = new Model({ user: USER });
+
+  await project.update(1, { name: 'Shop' });
+  await assert.rejects(project.update(1, { team_id: 6 }), { status_code: 403 });
+  assert.deepStrictEqual(writes, [{ name: 'Shop' }]);
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { buildProject, loadModel, removeProject } = require('./helpers/project');
+
+const SCHEMA = `
+model User {
+  id      Int      @id @default(autoincrement())
+  role    String
+  courses Course[]
+
+  @@map("users")
+}
+
+model Course {
+  id       Int    @id @default(autoincrement())
+  title    String
+  seats    Int    @default(0)
+  owner_id Int
+  owner    User   @relation(fields: [owner_id], references: [id])
+  lessons  Lesson[]
+
+  @@map("course")
+}
+
+model Lesson {
+  id        Int     @id @default(autoincrement())
+  course_id Int
+  approved  Boolean @default(false)
+  course    Course  @relation(fields: [course_id], references: [id])
+
+  @@map("lesson")
+}
+`;
+
+const MIGRATION = `
+ALTER TABLE course ENABLE ROW LEVEL SECURITY;
+CREATE POLICY course_owner ON course FOR ALL
+  USING (owner_id = current_setting('app.current_user_id')::int)
+  WITH CHECK (owner_id = current_setting('app.current_user_id')::int AND seats <= 30);
+ALTER TABLE lesson ENABLE ROW LEVEL SECURITY;
+CREATE POLICY lesson_insert ON lesson FOR INSERT WITH CHECK (approved = false);
+`;
+
+const RELATIONSHIPS = {
+  User: { courses: { object: 'Course', field: 'owner_id' } },
+  Course: {
+    owner: { object: 'User', field: 'owner_id' },
+    lessons: { object: 'Lesson', field: 'course_id' }
+  },
+  Lesson: { course: { object: 'Course', field: 'course_id' } }
+};
+
+const USER = { id: 1, role: 'teacher' };
+const COURSE = { id: 10, title: 'Algebra', seats: 20, owner_id: 1 };
+
+let dir;
+before(async () => {
+  dir = await buildProject(SCHEMA, MIGRATION, {}, RELATIONSHIPS);
+});
+after(() => removeProject(dir));
+
+test('update checks the foreign key a relation connect sets', async () => {
+  const { Model, writes } = loadModel(dir, 'Course', COURSE);
+  const course = new Model({ user: USER });
+
+  await assert.rejects(course.update(10, { owner: { connect: { id: 2 } } }), { status_code: 403 });
+  await course.update(10, { owner: { connect: { id: 1 } } });
+  assert.strictEqual(writes.length, 1);
+});
+
+test('update rejects relation writes it cannot resolve to a foreign key', async () => {
+  const { Model, writes } = loadModel(dir, 'Course', COURSE);
+  const course = new Model({ user: USER });
+
+  await assert.rejects(course.update(10, { owner: { create: { id: 2, role: 'teacher' } } }), { status_code: 403 });
+  await assert.rejects(course.update(10, { owner: { connectOrCreate: { where: { id: 2 }, create: { role: 'teacher' } } } }), { status_code: 403 });
+  assert.strictEqual(writes.length, 0);
+});
+
+test('update applies update operations before the check', async () => {
+  const { Model, writes } = loadModel(dir, 'Course', COURSE);
+  const course = new Model({ user: USER });
+
+  await assert.rejects(course.update(10, { seats: { increment: 20 } }), { status_code: 403 });
+  await assert.rejects(course.update(10, { owner_id: { set: 2 } }), { status_code: 403 });
+  await course.update(10, { seats: { increment: 5 } });
+  assert.strictEqual(writes.length, 1);
+});
+
+test('update checks the records its nested writes create', async () => {
+  const { Model, writes } = loadModel(dir, 'Course', COURSE);
+  const course = new Model({ user: USER });
+
+  await assert.rejects(course.update(10, { lessons: { create: { approved: true } } }), { status_code: 403 });
+  await assert.rejects(course.update(10, { lessons: { upsert: [{ where: { id: 1 }, create: { approved: true }, update: {} }] } }), { status_code: 403 });
+  await assert.rejects(course.update(10, { lessons: { update: [{ where: { id: 1 }, data: { course: { create: { title: 'Geometry', owner_id: 1 } } } }] } }), { status_code: 403 });
+  await course.update(10, { lessons: { create: { approved: false } } });
+  assert.strictEqual(writes.length, 1);
+});
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createConverter } = require('./helpers/converter');
+
+const SCHEMA = `
+model User {
+  id         Int      @id
+  student_id Int?
+  courses    Course[]
+}
+
+model Course {
+  id          Int          @id
+  owner_id    Int
+  published   Boolean
+  enrollments Enrollment[]
+  owner       User         @relation(fields: [owner_id], references: [id])
+
+  @@map("course")
+}
+
+model Enrollment {
+  course_id  Int
+  student_id Int
+  status     String
+  course     Course @relation(fields: [course_id], references: [id])
+
+  @@id([course_id, student_id])
+  @@map("enrollment")
+}
+`;
+
+const RELATIONSHIPS = {
+  User: { courses: { object: 'Course', field: 'owner_id' } },
+  Course: {
+    enrollments: { object: 'Enrollment', field: 'course_id' },
+    owner: { object: 'User', field: 'owner_id' }
+  },
+  Enrollment: { course: { object: 'Course', field: 'course_id' } }
+};
+
+const ENROLLED = "EXISTS (SELECT 1 FROM enrollment e WHERE e.course_id = course.id AND e.student_id = current_setting('app.current_user_id')::int)";
+
+test('EXISTS on a child table becomes a some filter and check', () => {
+  const { filter, condition } = createConverter(SCHEMA, RELATIONSHIPS);
+  const user = { id: 7 };
+
+  assert.deepStrictEqual(filter(ENROLLED, 'Course', user), { enrollments: { some: { student_id: 7 } } });
+  assert.strictEqual(filter(ENROLLED, 'Course', {}), false);
+  assert.strictEqual(condition(ENROLLED, 'Course', { enrollments: [{ student_id: 3 }, { student_id: 7 }] }, user), true);
+  assert.strictEqual(condition(ENROLLED, 'Course', { enrollments: [{ student_id: 3 }] }, user), false);
+});
+
+test('EXISTS on a parent table becomes a to-one relation filter', () => {
+  const { filter, condition } = createConverter(SCHEMA, RELATIONSHIPS);
+  const sql = 'published OR EXISTS (SELECT 1 FROM "user" u WHERE u.id = course.owner_id AND u.student_id IS NOT NULL)';
+
+  assert.deepStrictEqual(filter(sql, 'Course', {}), { OR: [{ published: true }, { owner: { student_id: { not: null } } }] });
+  assert.strictEqual(condition(sql, 'Course', { published: false, owner: { student_id: 1 } }, {}), true);
+  assert.strictEqual(condition(sql, 'Course', { published: false, owner: { student_id: null } }, {}), false);
+});
+
+test('NOT EXISTS negates the relation filter', () => {
+  const { filter, condition } = createConverter(SCHEMA, RELATIONSHIPS);
+  const sql = "NOT EXISTS (SELECT 1 FROM enrollment WHERE enrollment.course_id = course.id AND status = 'banned')";
+
+  assert.deepStrictEqual(filter(sql, 'Course', {}), { NOT: { enrollments: { some: { status: 'banned' } } } });
+  assert.strictEqual(condition(sql, 'Course', { enrollments: [{ status: 'active' }] }, {}), true);
+  assert.strictEqual(condition(sql, 'Course', { enrollments: [{ status: 'banned' }] }, {}), false);
+});
+
+test('EXISTS subqueries without a relation deny access', () => {
+  const { filter, condition } = createConverter(SCHEMA, RELATIONSHIPS);
+  const uncorrelated = "published OR EXISTS (SELECT 1 FROM enrollment e WHERE e.status = 'x')";
+  const joined = 'EXISTS (SELECT 1 FROM enrollment e JOIN course c ON c.id = e.course_id WHERE e.course_id = course.id)';
+
+  assert.deepStrictEqual(filter(uncorrelated, 'Course', {}), { published: true });
+  assert.strictEqual(filter(joined, 'Course', {}), false);
+  assert.strictEqual(condition(joined, 'Course', { enrollments: [{}] }, {}), false);
+  // Under NOT a denied subquery would grant access: the whole policy is denied
+  assert.strictEqual(filter(`published OR NOT ${joined}`, 'Course', {}), false);
+});
+
+test('IN (SELECT ...) becomes a relation filter and a check on the related records', () => {
+  const { converter, filter, condition } = createConverter(SCHEMA, RELATIONSHIPS);
+  const sql = "id IN (SELECT course_id FROM enrollment WHERE status = 'active' AND student_id = current_setting('app.current_user_id')::int)";
+  const user = { id: 7 };
+
+  assert.deepStrictEqual(filter(sql, 'Course', user), { enrollments: { some: { AND: [{ status: 'active' }, { student_id: 7 }] } } });
+  assert.strictEqual(condition(sql, 'Course', { enrollments: [{ status: 'active', student_id: 7 }] }, user), true);
+  assert.strictEqual(condition(sql, 'Course', { enrollments: [{ status: 'left', student_id: 7 }] }, user), false);
+  // The model loads the relations the check reads (acl checkInclude)
+  assert.deepStrictEqual(converter.compileCondition(sql, 'data', 'user', 'Course').relations, [[{ relationName: 'enrollments', isArray: true }]]);
+});
+
+test('a user value IN (SELECT ...) correlated with the row is a relation filter', () => {
+  const { filter, condition } = createConverter(SCHEMA, RELATIONSHIPS);
+  const sql = "current_setting('app.current_user_id')::int IN (SELECT student_id FROM enrollment WHERE enrollment.course_id = course.id)";
+
+  assert.deepStrictEqual(filter(sql, 'Course', { id: 7 }), { enrollments: { some: { student_id: 7 } } });
+  assert.strictEqual(condition(sql, 'Course', { enrollments: [{ student_id: 7 }] }, { id: 7 }), true);
+  assert.strictEqual(condition(sql, 'Course', { enrollments: [{ student_id: 7 }] }, {}), false);
+});
+
+test('IN (SELECT ...) without a relation path denies access', () => {
+  const { filter, condition } = createConverter(SCHEMA, RELATIONSHIPS);
+  const sql = "owner_id IN (SELECT student_id FROM enrollment WHERE status = 'active')";
+
+  assert.strictEqual(filter(sql, 'Course', {}), false);
+  assert.strictEqual(condition(sql, 'Course', { owner_id: 1 }, {}), false);
+});
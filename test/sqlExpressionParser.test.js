@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseExpression } = require('../src/parsers/sqlExpressionParser');
+const { createConverter } = require('./helpers/converter');
+
+const SCHEMA = `
+model User {
+  id    Int    @id
+  role  String
+  posts Post[]
+}
+
+model Post {
+  id         Int       @id
+  author_id  Int
+  status     String
+  level      Int
+  published  Boolean
+  deleted_at DateTime?
+  author     User      @relation(fields: [author_id], references: [id])
+}
+`;
+
+const column = name => ({ type: 'column', table: null, name });
+const literal = (value, valueType = 'string') => ({ type: 'literal', value, valueType });
+const equals = (name, value) => ({ type: 'comparison', operator: '=', left: column(name), right: literal(value) });
+
+test('AND binds tighter than OR', () => {
+  assert.deepStrictEqual(parseExpression("status = 'a' OR status = 'b' AND level = 'c'"), {
+    type: 'or',
+    args: [equals('status', 'a'), { type: 'and', args: [equals('status', 'b'), equals('level', 'c')] }]
+  });
+});
+
+test('parentheses group, nested groups of the same operator are flattened', () => {
+  assert.deepStrictEqual(parseExpression("((status = 'a' OR status = 'b')) AND (level = 'c' AND (published = 'd'))"), {
+    type: 'and',
+    args: [
+      { type: 'or', args: [equals('status', 'a'), equals('status', 'b')] },
+      equals('level', 'c'),
+      equals('published', 'd')
+    ]
+  });
+});
+
+test('NOT applies to the following comparison, NOT IN and IS NOT NULL are negated nodes', () => {
+  assert.deepStrictEqual(parseExpression("NOT status = 'a' AND status NOT IN ('b', 'c') AND deleted_at IS NOT NULL"), {
+    type: 'and',
+    args: [
+      { type: 'not', arg: equals('status', 'a') },
+      { type: 'not', arg: { type: 'in', expr: column('status'), values: [literal('b'), literal('c')] } },
+      { type: 'is', expr: column('deleted_at'), test: 'null', negated: true }
+    ]
+  });
+});
+
+test('casts are dropped, = ANY (ARRAY[...]) is an IN list', () => {
+  assert.deepStrictEqual(parseExpression("level::text = '5'::character varying(10)"), equals('level', '5'));
+  assert.deepStrictEqual(parseExpression("CAST(level AS integer) = ANY (ARRAY[1, 2])"), {
+    type: 'in',
+    expr: column('level'),
+    values: [literal('1', 'number'), literal('2', 'number')]
+  });
+});
+
+test('qualified columns and function calls keep their table and schema', () => {
+  assert.deepStrictEqual(parseExpression('post.author_id = auth.uid()'), {
+    type: 'comparison',
+    operator: '=',
+    left: { type: 'column', table: 'post', name: 'author_id' },
+    right: { type: 'function', schema: 'auth', name: 'uid', args: [] }
+  });
+});
+
+test('incomplete expressions are rejected', () => {
+  assert.throws(() => parseExpression("status = 'a' AND"), /Unexpected token/);
+  assert.throws(() => parseExpression("(status = 'a'"), /Expected '\)'/);
+  assert.throws(() => parseExpression("status = 'a' status"), /after end of expression/);
+});
+
+test('filters and conditions follow AND/OR precedence', () => {
+  const { filter, condition } = createConverter(SCHEMA);
+  const sql = "status = 'a' OR status = 'b' AND author_id = current_setting('app.current_user_id')::int";
+  const user = { id: 1 };
+
+  assert.deepStrictEqual(filter(sql, 'Post', user), { OR: [{ status: 'a' }, { AND: [{ status: 'b' }, { author_id: 1 }] }] });
+  assert.strictEqual(condition(sql, 'Post', { status: 'a', author_id: 2 }, user), true);
+  assert.strictEqual(condition(sql, 'Post', { status: 'b', author_id: 2 }, user), false);
+  assert.strictEqual(condition(sql, 'Post', { status: 'b', author_id: 1 }, user), true);
+});
+
+test('filters and conditions keep nested parentheses', () => {
+  const { filter, condition } = createConverter(SCHEMA);
+  const sql = "(status = 'a' OR status = 'b') AND ((level > 1))";
+
+  assert.deepStrictEqual(filter(sql, 'Post', {}), { AND: [{ OR: [{ status: 'a' }, { status: 'b' }] }, { level: { gt: 1 } }] });
+  assert.strictEqual(condition(sql, 'Post', { status: 'b', level: 2 }, {}), true);
+  assert.strictEqual(condition(sql, 'Post', { status: 'c', level: 2 }, {}), false);
+  assert.strictEqual(condition(sql, 'Post', { status: 'a', level: 1 }, {}), false);
+});
+
+test('filters and conditions negate with NOT and test IS NULL', () => {
+  const { filter, condition } = createConverter(SCHEMA);
+  const sql = 'NOT (published = true OR deleted_at IS NULL)';
+
+  assert.deepStrictEqual(filter(sql, 'Post', {}), { NOT: { OR: [{ published: true }, { deleted_at: null }] } });
+  assert.deepStrictEqual(filter('deleted_at IS NOT NULL', 'Post', {}), { deleted_at: { not: null } });
+  assert.strictEqual(condition(sql, 'Post', { published: false, deleted_at: new Date() }, {}), true);
+  assert.strictEqual(condition(sql, 'Post', { published: false, deleted_at: null }, {}), false);
+  assert.strictEqual(condition(sql, 'Post', { published: true, deleted_at: new Date() }, {}), false);
+});
+
+test('filters and conditions ignore casts and build IN lists', () => {
+  const { filter, condition } = createConverter(SCHEMA);
+
+  assert.deepStrictEqual(filter("CAST(level AS text) IN ('1', '2')", 'Post', {}), { level: { in: [1, 2] } });
+  assert.deepStrictEqual(filter("status NOT IN ('x', 'y')", 'Post', {}), { NOT: { status: { in: ['x', 'y'] } } });
+  assert.strictEqual(condition("level::text IN ('1', '2')", 'Post', { level: 2 }, {}), true);
+  assert.strictEqual(condition("level::text IN ('1', '2')", 'Post', { level: 3 }, {}), false);
+  assert.strictEqual(condition("status NOT IN ('x', 'y')", 'Post', { status: 'x' }, {}), false);
+});
+
+test('session variables of the current role map to the user role', () => {
+  const { filter, condition } = createConverter(SCHEMA);
+
+  for (const variable of ['app.current_role', 'app.current_user_role', 'jwt.claims.role']) {
+    const sql = `published OR current_setting('${variable}') = 'admin'`;
+    assert.deepStrictEqual(filter(sql, 'Post', { role: 'admin' }), {});
+    assert.deepStrictEqual(filter(sql, 'Post', { role: 'user' }), { published: true });
+    assert.strictEqual(condition(sql, 'Post', { published: false }, { role: 'admin' }), true);
+    assert.strictEqual(condition(sql, 'Post', { published: false }, { role: 'user' }), false);
+  }
+});
@@ -0,0 +1,127 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { splitStatements, parseSQLFiles } = require('../src/parsers/sqlMigrationParser');
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapidd-test-'));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Write migrations into the temporary directory and parse them in order
+ * @param {...string} migrations - Content of each migration.sql
+ * @returns {Object} - Result of parseSQLFiles
+ */
+function parseMigrations(...migrations) {
+  const files = migrations.map((sql, index) => {
+    const file = path.join(dir, `${Date.now()}_${index}.sql`);
+    fs.writeFileSync(file, sql);
+    return file;
+  });
+  return parseSQLFiles(files);
+}
+
+test('statements are split outside quotes, dollar quoting and comments', () => {
+  const statements = splitStatements(`
+-- a comment; with a semicolon
+SELECT 'a;b'; /* block; comment */ SELECT "x;y";
+CREATE FUNCTION f() RETURNS int AS $body$ SELECT 1; $body$ LANGUAGE sql;
+`);
+
+  assert.deepStrictEqual(statements, [
+    "SELECT 'a;b'",
+    'SELECT "x;y"',
+    'CREATE FUNCTION f() RETURNS int AS $body$ SELECT 1; $body$ LANGUAGE sql'
+  ]);
+});
+
+test('CREATE POLICY reads every clause, ALTER POLICY changes and renames, DROP POLICY removes', () => {
+  const { policies } = parseMigrations(`
+CREATE POLICY post_owner ON public."Post" AS RESTRICTIVE FOR UPDATE TO app_user, "Admin"
+  USING (author_id = current_setting('app.current_user_id')::int)
+  WITH CHECK ((status IN ('draft', 'published')));
+CREATE POLICY post_read ON post USING (true);
+CREATE POLICY post_tmp ON post FOR DELETE USING (false);
+`, `
+ALTER POLICY post_read ON post TO reader USING (published = true);
+ALTER POLICY post_read ON post RENAME TO post_select;
+DROP POLICY IF EXISTS post_tmp ON post;
+`);
+
+  assert.deepStrictEqual(policies, [
+    {
+      schema: 'public',
+      table: 'Post',
+      name: 'post_owner',
+      permissive: false,
+      roles: ['app_user', 'Admin'],
+      command: 'UPDATE',
+      using: "author_id = current_setting('app.current_user_id')::int",
+      withCheck: "(status IN ('draft', 'published'))"
+    },
+    {
+      schema: 'public',
+      table: 'post',
+      name: 'post_select',
+      permissive: true,
+      roles: ['reader'],
+      command: 'ALL',
+      using: 'published = true',
+      withCheck: null
+    }
+  ]);
+});
+
+test('ENABLE and DISABLE ROW LEVEL SECURITY apply in migration order', () => {
+  const { rlsTables } = parseMigrations(`
+ALTER TABLE post ENABLE ROW LEVEL SECURITY;
+ALTER TABLE IF EXISTS ONLY billing."Invoice" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE comment ENABLE ROW LEVEL SECURITY;
+`, `
+ALTER TABLE comment DISABLE ROW LEVEL SECURITY;
+`);
+
+  assert.deepStrictEqual(rlsTables, ['public.post', 'billing.Invoice']);
+});
+
+test('CREATE OR REPLACE FUNCTION replaces the overload with the same argument types', () => {
+  const { functions } = parseMigrations(`
+CREATE FUNCTION app.owner(p_id integer) RETURNS int LANGUAGE sql AS $$ SELECT 1 $$;
+CREATE FUNCTION app.owner(p_name text) RETURNS int LANGUAGE sql AS $$ SELECT 2 $$;
+CREATE OR REPLACE FUNCTION app.owner(other_id int4) RETURNS int4 LANGUAGE sql AS 'SELECT 3';
+`);
+
+  assert.deepStrictEqual(functions.map(func => [func.schema, func.name, func.argTypes, func.returnType, func.source.trim()]), [
+    ['app', 'owner', ['integer'], 'integer', 'SELECT 3'],
+    ['app', 'owner', ['text'], 'integer', 'SELECT 2']
+  ]);
+});
+
+test('DROP FUNCTION with an argument list drops only that overload', () => {
+  const { functions } = parseMigrations(`
+CREATE FUNCTION owner(p_id integer) RETURNS int LANGUAGE sql AS $$ SELECT 1 $$;
+CREATE FUNCTION owner(p_name varchar(20), OUT total int8) RETURNS int LANGUAGE sql AS $$ SELECT 2 $$;
+CREATE FUNCTION owner(ts timestamp(3) with time zone, d double precision DEFAULT 1) RETURNS int LANGUAGE sql AS $$ SELECT 3 $$;
+CREATE FUNCTION other() RETURNS int LANGUAGE sql AS $$ SELECT 4 $$;
+`, `
+DROP FUNCTION owner(character varying);
+DROP FUNCTION IF EXISTS public.owner(timestamptz, float8), other CASCADE;
+`);
+
+  assert.deepStrictEqual(functions.map(func => [func.name, func.argTypes]), [['owner', ['integer']]]);
+});
+
+test('DROP FUNCTION without an argument list drops the function by name', () => {
+  const { functions } = parseMigrations(`
+CREATE FUNCTION owner(p_id integer) RETURNS int LANGUAGE sql AS $$ SELECT 1 $$;
+CREATE FUNCTION app.owner(p_id integer) RETURNS int LANGUAGE sql AS $$ SELECT 2 $$;
+`, `
+DROP FUNCTION owner;
+`);
+
+  assert.deepStrictEqual(functions.map(func => func.schema), ['app']);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildProject, removeProject } = require('./helpers/project');
+
+const SCHEMA = `
+model Invoice {
+  id        Int @id @default(autoincrement())
+  tenant_id Int
+
+  @@map("invoice")
+}
+`;
+
+test('a build without the ACL still generates the user context loader rapidd.js imports', async () => {
+  const dir = await buildProject(SCHEMA, '', { only: 'model' });
+  try {
+    assert.ok(!fs.existsSync(path.join(dir, 'rapidd', 'acl.js')));
+
+    const { loadUserContext, USER_CONTEXT_SELECT } = require(path.join(dir, 'rapidd', 'userContext.js'));
+    const user = { id: 1 };
+    assert.deepStrictEqual(USER_CONTEXT_SELECT, {});
+    assert.strictEqual(await loadUserContext({}, user), user);
+  } finally {
+    removeProject(dir);
+  }
+});
+
+test('a user model with a compound @@id is loaded by its compound unique input', async () => {
+  const schema = `
+model User {
+  tenant_id Int
+  id        Int
+  role      String
+
+  @@id([tenant_id, id])
+  @@map("users")
+}
+
+model Invoice {
+  id        Int @id @default(autoincrement())
+  tenant_id Int
+
+  @@map("invoice")
+}
+`;
+  const migration = `
+ALTER TABLE invoice ENABLE ROW LEVEL SECURITY;
+CREATE POLICY invoice_admin ON invoice FOR ALL USING (current_setting('app.current_role') = 'admin');
+`;
+  const dir = await buildProject(schema, migration);
+  try {
+    const { loadUserContext, USER_CONTEXT_SELECT } = require(path.join(dir, 'rapidd', 'userContext.js'));
+    const queries = [];
+    const prisma = {
+      user: {
+        findUnique: async (query) => {
+          queries.push(query);
+          return { role: 'admin' };
+        }
+      }
+    };
+
+    assert.deepStrictEqual(USER_CONTEXT_SELECT, { role: true });
+    assert.deepStrictEqual(await loadUserContext(prisma, { tenant_id: 3, id: 1 }), { tenant_id: 3, id: 1, role: 'admin' });
+    assert.deepStrictEqual(queries, [{ where: { tenant_id_id: { tenant_id: 3, id: 1 } }, select: { role: true } }]);
+
+    // Without every key field the user can't be looked up
+    const user = { id: 1 };
+    assert.strictEqual(await loadUserContext(prisma, user), user);
+    assert.strictEqual(queries.length, 1);
+  } finally {
+    removeProject(dir);
+  }
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generateZodSchemaFile } = require('../src/generators/zodGenerator');
+
+const MODELS = {
+  Teacher: {
+    fields: {
+      id: { type: 'Int', isId: true, hasDefaultValue: true },
+      courses: { type: 'Course', isArray: true }
+    }
+  },
+  Course: {
+    fields: {
+      id: { type: 'Int', isId: true, hasDefaultValue: true },
+      title: { type: 'String' },
+      teacher_id: { type: 'Int' },
+      teacher: { type: 'Teacher', attributes: '@relation(fields: [teacher_id], references: [id])' }
+    }
+  }
+};
+
+test('the create schema requires a foreign key or its relation', () => {
+  const code = generateZodSchemaFile('Course', MODELS.Course, MODELS, {});
+
+  assert.match(code, /teacher_id: z\.number\(\)\.int\(\)\.optional\(\)/);
+  assert.match(code, /if \(data\.teacher_id === undefined && data\.teacher === undefined\) \{\n\s+ctx\.addIssue\(\{code: z\.ZodIssueCode\.custom, path: \['teacher_id'\], message: 'teacher_id or teacher is required'\}\);/);
+});
+
+test('nested creates use the create schema without the foreign key check', () => {
+  const code = generateZodSchemaFile('Teacher', MODELS.Teacher, MODELS, {});
+
+  assert.match(code, /create: z\.union\(\[z\.lazy\(\(\) => require\('\.\/Course'\)\.CourseCreateSchema\.innerType\(\)\)/);
+  assert.doesNotMatch(code, /superRefine/);
+});